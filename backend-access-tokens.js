@@ -0,0 +1,131 @@
+const crypto = require("node:crypto");
+const { createId, withStoreLock } = require("./backend-storage");
+
+const TOKEN_PREFIX = "pat_";
+const SCOPES = ["summarize", "batch:write", "read:history"];
+const MAX_ACTIVE_TOKENS = 25;
+const MAX_EXPIRY_DAYS = 365;
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token || "")).digest("hex");
+}
+
+function isAccessToken(token) {
+  return String(token || "").startsWith(TOKEN_PREFIX);
+}
+
+function isActive(record, now) {
+  if (record.revokedAt) return false;
+  return !record.expiresAt || new Date(record.expiresAt).getTime() > now;
+}
+
+function describeToken(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    scopes: record.scopes,
+    tokenPrefix: record.tokenPrefix,
+    expiresAt: record.expiresAt,
+    revokedAt: record.revokedAt,
+    active: isActive(record, Date.now()),
+    createdAt: record.createdAt
+  };
+}
+
+function parseScopes(value) {
+  const scopes = Array.isArray(value) ? [...new Set(value.map(String))] : [];
+  if (!scopes.length) throw httpError(400, `scopes must list at least one of: ${SCOPES.join(", ")}`);
+  const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+  if (unknown.length) throw httpError(400, `Unknown scopes: ${unknown.join(", ")}`);
+  return scopes;
+}
+
+function parseExpiry(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+    throw httpError(400, `expiresInDays must be an integer from 1 to ${MAX_EXPIRY_DAYS}`);
+  }
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+async function listAccessTokens(store, userId) {
+  return (await store.findRecords("accessTokens", "userId", userId)).map(describeToken);
+}
+
+// The raw token is returned once; only its SHA-256 hash is stored, the same way sessions are. Tokens are never trimmed.
+function createAccessToken(store, userId, body) {
+  return withStoreLock(store, async () => {
+    const name = String(body.name || "").trim();
+    if (!name) throw httpError(400, "Token name is required");
+    const scopes = parseScopes(body.scopes);
+    const expiresAt = parseExpiry(body.expiresInDays);
+    const now = Date.now();
+    const active = (await store.findRecords("accessTokens", "userId", userId)).filter((item) => isActive(item, now));
+    if (active.length >= MAX_ACTIVE_TOKENS) {
+      throw httpError(409, `A user can hold at most ${MAX_ACTIVE_TOKENS} active access tokens`);
+    }
+    const rawToken = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+    const record = await store.add("accessTokens", {
+      id: createId("pat"),
+      userId,
+      name,
+      scopes,
+      tokenHash: hashToken(rawToken),
+      tokenPrefix: rawToken.slice(0, TOKEN_PREFIX.length + 6),
+      expiresAt,
+      revokedAt: null,
+      createdAt: nowIso()
+    });
+    return { token: rawToken, accessToken: describeToken(record) };
+  });
+}
+
+function revokeAccessToken(store, userId, tokenId) {
+  return withStoreLock(store, async () => {
+    const record = await store.findRecord("accessTokens", tokenId);
+    if (!record || record.userId !== userId) throw httpError(404, "Access token not found");
+    if (!record.revokedAt) {
+      record.revokedAt = nowIso();
+      await store.updateRecord("accessTokens", record);
+    }
+    return describeToken(record);
+  });
+}
+
+// Used when an account is recovered, so whoever held it before loses API access along with their sessions.
+function revokeUserAccessTokens(store, userId) {
+  return withStoreLock(store, async () => {
+    const active = (await store.findRecords("accessTokens", "userId", userId)).filter((item) => !item.revokedAt);
+    for (const record of active) {
+      record.revokedAt = nowIso();
+      await store.updateRecord("accessTokens", record);
+    }
+    return active.length;
+  });
+}
+
+async function findActiveAccessToken(store, rawToken) {
+  const record = (await store.findRecords("accessTokens", "tokenHash", hashToken(rawToken)))[0];
+  return record && isActive(record, Date.now()) ? record : null;
+}
+
+module.exports = {
+  SCOPES,
+  createAccessToken,
+  findActiveAccessToken,
+  isAccessToken,
+  listAccessTokens,
+  revokeAccessToken,
+  revokeUserAccessTokens
+};
@@ -0,0 +1,70 @@
+const crypto = require("node:crypto");
+const config = require("./backend-config");
+
+const PURPOSES = {
+  "password-reset": {
+    ttlMs: () => config.PASSWORD_RESET_TTL_MINUTES * 60 * 1000,
+    // Bound to the current password, so a reset token stops working once it (or any other reset) has been used.
+    fingerprint: (user) => `${user.passwordHash || ""}:${user.passwordSalt || ""}`
+  },
+  "email-verification": {
+    ttlMs: () => config.EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000,
+    fingerprint: (user) => String(user.email || "")
+  }
+};
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function signingSecret() {
+  if (!config.JWT_SECRET) throw httpError(503, "JWT_SECRET is not configured on the backend");
+  return config.JWT_SECRET;
+}
+
+function digest(value) {
+  return crypto.createHash("sha256").update(value).digest("base64url").slice(0, 22);
+}
+
+function signature(encodedPayload) {
+  return crypto.createHmac("sha256", signingSecret()).update(encodedPayload).digest("base64url");
+}
+
+function signAccountToken(user, purpose) {
+  const rules = PURPOSES[purpose];
+  const payload = {
+    p: purpose,
+    u: user.id,
+    e: Date.now() + rules.ttlMs(),
+    f: digest(rules.fingerprint(user))
+  };
+  const encoded = Buffer.from(JSON.stringify(payload), "utf8").toString("base64url");
+  return { token: `${encoded}.${signature(encoded)}`, expiresAt: new Date(payload.e).toISOString() };
+}
+
+// Every failure is the same 400 so a caller cannot tell an unknown user from a tampered or expired token.
+async function verifyAccountToken(store, token, purpose) {
+  const invalid = httpError(400, "The link is invalid or has expired");
+  const [encoded, provided] = String(token || "").split(".");
+  if (!encoded || !provided) throw invalid;
+  const expected = Buffer.from(signature(encoded));
+  const candidate = Buffer.from(provided);
+  if (candidate.length !== expected.length || !crypto.timingSafeEqual(candidate, expected)) throw invalid;
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, "base64url").toString("utf8"));
+  } catch (_error) {
+    throw invalid;
+  }
+  if (payload.p !== purpose || !PURPOSES[purpose] || Number(payload.e) < Date.now()) throw invalid;
+  const user = await store.findUserById(String(payload.u || ""));
+  if (!user || digest(PURPOSES[purpose].fingerprint(user)) !== payload.f) throw invalid;
+  return user;
+}
+
+module.exports = {
+  signAccountToken,
+  verifyAccountToken
+};
@@ -0,0 +1,259 @@
+const config = require("./backend-config");
+const SummarizeThis = require("./summarizer-core");
+const CardIntelligenceLedger = require("./card-intelligence-ledger");
+
+const PROXY_SCHEMA_VERSION = "summarize-this-ai-proxy-request-v1";
+const DIRECT_PROVIDERS = ["openai", "google", "anthropic"];
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Configuration problems are 422s on the request field that asked for the unavailable provider.
+function providerError(field, message) {
+  const error = httpError(422, message);
+  error.problems = [{ field, message }];
+  return error;
+}
+
+function providerMode(payload) {
+  if (payload && payload.proxy && payload.proxy.enabled) return "proxy";
+  if (payload && payload.provider && payload.provider.apiKey) return "direct-provider";
+  return "local";
+}
+
+function providerGuardrails(payload) {
+  const mode = providerMode(payload);
+  const directConfigured = Boolean(config.OPENAI_API_KEY || config.ANTHROPIC_API_KEY || config.GOOGLE_API_KEY);
+  const proxyConfigured = Boolean(config.PROXY_ENDPOINT);
+  return {
+    mode,
+    directConfigured,
+    proxyConfigured,
+    localFallback: mode === "local",
+    valid: !((mode === "proxy" && !proxyConfigured) || (mode === "direct-provider" && !directConfigured))
+  };
+}
+
+function cardDataForPayload(payload) {
+  const card = payload && payload.card && typeof payload.card === "object" ? payload.card : {};
+  return Object.assign({
+    id: String(payload.cardId || card.id || "backend-request"),
+    name: String(payload.title || card.name || "Backend summary request")
+  }, card, {
+    desc: card.desc || String(payload.text || "")
+  });
+}
+
+function promptOptionsForPayload(payload) {
+  const promptProfile = SummarizeThis.normalizePromptTemplateSettings(payload);
+  return {
+    promptContext: SummarizeThis.normalizePromptContext(payload && payload.promptContext),
+    outputMode: SummarizeThis.normalizeOutputMode(payload && payload.outputMode),
+    outputLanguage: SummarizeThis.normalizeOutputLanguage(payload && payload.outputLanguage),
+    customInstructions: promptProfile.customInstructions,
+    selectedPromptTemplateId: promptProfile.selectedPromptTemplateId,
+    selectedPromptTemplateName: promptProfile.selectedPromptTemplateName
+  };
+}
+
+function requestedProvider(payload) {
+  const provider = payload && payload.provider ? payload.provider : {};
+  return String(provider.name || provider.provider || payload.providerName || "auto").toLowerCase();
+}
+
+function selectDirectProvider(requested) {
+  const keys = {
+    openai: config.OPENAI_API_KEY,
+    google: config.GOOGLE_API_KEY,
+    anthropic: config.ANTHROPIC_API_KEY
+  };
+  const candidates = DIRECT_PROVIDERS.includes(requested) ? [requested] : DIRECT_PROVIDERS;
+  const provider = candidates.find((item) => keys[item]);
+  if (!provider) {
+    throw providerError("provider.name", "No backend provider key is configured for the requested provider");
+  }
+  return { provider, apiKey: keys[provider] };
+}
+
+async function fetchJson(fetchImpl, url, init, label) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), config.PROVIDER_TIMEOUT_MS);
+  let response;
+  try {
+    response = await fetchImpl(url, Object.assign({}, init, { signal: controller.signal }));
+  } catch (error) {
+    if (error && error.name === "AbortError") {
+      throw httpError(504, `${label} took too long to respond`);
+    }
+    throw httpError(502, `${label} could not be reached`);
+  } finally {
+    clearTimeout(timeout);
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const message = (data.error && data.error.message) || (typeof data.error === "string" ? data.error : "") || "request failed";
+    throw httpError(502, `${label} returned HTTP ${response.status}: ${message}`);
+  }
+  return data;
+}
+
+async function callProxy(fetchImpl, prompt, payload, promptOptions) {
+  const provider = requestedProvider(payload);
+  const model = String(payload.model || "");
+  const data = await fetchJson(fetchImpl, config.PROXY_ENDPOINT, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      schemaVersion: PROXY_SCHEMA_VERSION,
+      provider,
+      model,
+      strategy: payload.strategy || "cost-effective",
+      outputMode: promptOptions.outputMode,
+      outputLanguage: promptOptions.outputLanguage,
+      maxOutputTokens: SummarizeThis.normalizeGenerationSettings(payload).maxOutputTokens,
+      prompt
+    })
+  }, "AI proxy");
+  const content = data.analysis || data.summary || data.result || data.output || data.content || data;
+  const metadata = Object.assign({}, data.metadata || {});
+  return {
+    content,
+    metadata: {
+      provider: metadata.provider || "AI proxy",
+      model: metadata.model || data.model || model || "proxy",
+      tokens: Number(metadata.tokens || data.tokens) || 0,
+      cost: Number(metadata.cost || data.cost) || 0
+    }
+  };
+}
+
+async function callOpenAI(fetchImpl, apiKey, prompt, payload) {
+  const model = String(payload.model || "gpt-4o-mini");
+  const data = await fetchJson(fetchImpl, `${config.OPENAI_BASE_URL}/v1/chat/completions`, {
+    method: "POST",
+    headers: {
+      "Authorization": `Bearer ${apiKey}`,
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({
+      model,
+      messages: [
+        { role: "system", content: "You analyze Trello cards for project teams. Return only valid JSON." },
+        { role: "user", content: prompt }
+      ],
+      response_format: { type: "json_object" },
+      temperature: 0.2,
+      max_tokens: SummarizeThis.normalizeGenerationSettings(payload).maxOutputTokens
+    })
+  }, "OpenAI");
+  return {
+    content: data.choices && data.choices[0] && data.choices[0].message ? data.choices[0].message.content : "{}",
+    metadata: { provider: "OpenAI", model, tokens: data.usage ? Number(data.usage.total_tokens) || 0 : 0, cost: 0 }
+  };
+}
+
+async function callGoogle(fetchImpl, apiKey, prompt, payload) {
+  const model = String(payload.model || "gemini-1.5-flash");
+  const data = await fetchJson(fetchImpl, `${config.GOOGLE_BASE_URL}/v1beta/models/${encodeURIComponent(model)}:generateContent`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-goog-api-key": apiKey
+    },
+    body: JSON.stringify({
+      contents: [{ parts: [{ text: prompt }] }],
+      generationConfig: {
+        temperature: 0.2,
+        responseMimeType: "application/json",
+        maxOutputTokens: SummarizeThis.normalizeGenerationSettings(payload).maxOutputTokens
+      }
+    })
+  }, "Google AI");
+  return {
+    content: data.candidates && data.candidates[0] && data.candidates[0].content
+      ? data.candidates[0].content.parts.map((part) => part.text || "").join("")
+      : "{}",
+    metadata: { provider: "Google AI", model, tokens: data.usageMetadata ? Number(data.usageMetadata.totalTokenCount) || 0 : 0, cost: 0 }
+  };
+}
+
+async function callAnthropic(fetchImpl, apiKey, prompt, payload) {
+  const model = String(payload.model || "claude-3-5-haiku-20241022");
+  const data = await fetchJson(fetchImpl, `${config.ANTHROPIC_BASE_URL}/v1/messages`, {
+    method: "POST",
+    headers: {
+      "x-api-key": apiKey,
+      "anthropic-version": "2023-06-01",
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({
+      model,
+      max_tokens: SummarizeThis.normalizeGenerationSettings(payload).maxOutputTokens,
+      temperature: 0.2,
+      messages: [{ role: "user", content: prompt }]
+    })
+  }, "Anthropic");
+  return {
+    content: data.content ? data.content.map((part) => part.text || "").join("") : "{}",
+    metadata: {
+      provider: "Anthropic",
+      model,
+      tokens: data.usage ? (Number(data.usage.input_tokens) || 0) + (Number(data.usage.output_tokens) || 0) : 0,
+      cost: 0
+    }
+  };
+}
+
+async function callProvider(fetchImpl, guardrails, prompt, payload, promptOptions) {
+  if (guardrails.mode === "proxy") {
+    return callProxy(fetchImpl, prompt, payload, promptOptions);
+  }
+  // Browser-held keys are never forwarded; direct mode only uses keys configured on the backend.
+  const selected = selectDirectProvider(requestedProvider(payload));
+  if (selected.provider === "openai") return callOpenAI(fetchImpl, selected.apiKey, prompt, payload);
+  if (selected.provider === "google") return callGoogle(fetchImpl, selected.apiKey, prompt, payload);
+  return callAnthropic(fetchImpl, selected.apiKey, prompt, payload);
+}
+
+async function runBackendAnalysis(payload, guardrails, options = {}) {
+  if (!guardrails.valid) {
+    throw providerError(guardrails.mode === "proxy" ? "proxy.enabled" : "provider.apiKey", `Provider mode ${guardrails.mode} is not configured on the backend`);
+  }
+  const fetchImpl = options.fetch || globalThis.fetch;
+  const cardData = cardDataForPayload(payload);
+  const promptOptions = promptOptionsForPayload(payload);
+  const localAnalysis = SummarizeThis.buildRuleBasedAnalysis(cardData, promptOptions);
+  let analysis = localAnalysis;
+
+  if (!guardrails.localFallback) {
+    const prompt = SummarizeThis.buildAIPrompt(cardData, promptOptions);
+    const response = await callProvider(fetchImpl, guardrails, prompt, payload, promptOptions);
+    const qualityScore = Math.min(98, localAnalysis.qualityScore + 5);
+    analysis = {
+      summary: SummarizeThis.normalizeAIAnalysis(response.content, localAnalysis.summary),
+      metadata: response.metadata,
+      qualityScore,
+      qualityLevel: qualityScore >= 80 ? "high" : qualityScore >= 60 ? "medium" : "low",
+      source: "ai"
+    };
+  }
+
+  const run = CardIntelligenceLedger.createAnalysisRun(cardData, analysis, {
+    outputMode: promptOptions.outputMode,
+    outputLanguage: promptOptions.outputLanguage,
+    promptTemplateId: promptOptions.selectedPromptTemplateId || `operational-ledger-v1-${promptOptions.outputMode}`,
+    promptTemplateName: promptOptions.selectedPromptTemplateName,
+    customInstructions: promptOptions.customInstructions
+  });
+  return { run, analysis };
+}
+
+module.exports = {
+  cardDataForPayload,
+  providerGuardrails,
+  providerMode,
+  runBackendAnalysis
+};
@@ -1,10 +1,43 @@
 const crypto = require("node:crypto");
 const { URL } = require("node:url");
 const config = require("./backend-config");
-const { createBackendStore, createId } = require("./backend-storage");
+const { createBackendStore, createId, withStoreLock } = require("./backend-storage");
+const { providerGuardrails, providerMode, runBackendAnalysis } = require("./backend-analysis");
+const { createBatchWorker, payloadForCard, updateBatchJob } = require("./backend-batch-worker");
+const { findStreamToken, issueStreamToken, streamBatchJobEvents } = require("./backend-batch-events");
+const { createBackup, restoreBackup } = require("./backend-backup");
+const { processStripeEvent, verifyStripeSignature } = require("./backend-stripe");
+const { createPendingPurchase, expirePendingPurchases, listPendingPurchases } = require("./backend-purchases");
+const { pricingFromSettings, quoteSummary, validatePricing } = require("./backend-pricing");
+const { diffCardRuns, listCardRuns, pushCardRun } = require("./backend-card-runs");
+const Workspaces = require("./backend-workspaces");
+const AccessTokens = require("./backend-access-tokens");
+const { fetchTrelloMember, resolveTrelloUser } = require("./backend-trello-auth");
+const { createMailTransport } = require("./backend-mail");
+const { signAccountToken, verifyAccountToken } = require("./backend-account-tokens");
+const LoginGuard = require("./backend-login-guard");
+const Totp = require("./backend-totp");
+const Webhooks = require("./backend-webhooks");
+const Reports = require("./backend-reports");
+const Maintenance = require("./backend-maintenance");
+const Metrics = require("./backend-metrics");
+const Audit = require("./backend-audit");
+const Retention = require("./backend-retention");
+const Gdpr = require("./backend-gdpr");
+const OpenApi = require("./backend-openapi");
+const RateLimits = require("./backend-rate-limit");
+const { createRouter } = require("./backend-router");
 
 const BODY_LIMIT = 1024 * 1024;
+const AUTH_BODY_LIMIT = 16 * 1024;
 const SESSION_TTL_MS = 1000 * 60 * 60 * 24 * 7;
+const MIN_PASSWORD_LENGTH = 8;
+
+const unmatchedResponses = new WeakSet();
+const requestIds = new WeakMap();
+const operations = new WeakMap();
+const responseChecks = new WeakMap();
+const capturedResponses = new WeakMap();
 
 function nowIso() {
   return new Date().toISOString();
@@ -15,11 +48,15 @@ function clone(value) {
 }
 
 function json(res, status, payload, headers) {
+  const body = withProblems(status, payload);
+  const check = responseChecks.get(res);
+  if (check) check(status, body);
+  if (capturedResponses.has(res)) capturedResponses.set(res, { status, payload: clone(body) });
   res.writeHead(status, Object.assign({
     "Content-Type": "application/json; charset=utf-8",
     "Cache-Control": "no-store"
   }, headers || {}));
-  res.end(JSON.stringify(payload));
+  res.end(JSON.stringify(body));
 }
 
 function text(res, status, body) {
@@ -35,6 +72,23 @@ function bearerToken(req) {
   return header.startsWith("Bearer ") ? header.slice("Bearer ".length) : "";
 }
 
+function normalizeAddress(address) {
+  return String(address || "").trim().replace(/^::ffff:/, "");
+}
+
+// X-Forwarded-For is only believed when the peer is one of TRUSTED_PROXIES, and then the client is the nearest hop
+// that is not itself a trusted proxy; anything further left can be written by the client.
+function clientAddress(req) {
+  const peer = String(req.socket.remoteAddress || "");
+  const trusted = config.TRUSTED_PROXIES;
+  if (!trusted.includes(normalizeAddress(peer))) return peer;
+  const hops = String(req.headers["x-forwarded-for"] || "").split(",").map(normalizeAddress).filter(Boolean);
+  for (let index = hops.length - 1; index >= 0; index -= 1) {
+    if (!trusted.includes(hops[index])) return hops[index];
+  }
+  return hops[0] || peer;
+}
+
 function tokenHash(token) {
   return crypto.createHash("sha256").update(String(token || "")).digest("hex");
 }
@@ -51,54 +105,64 @@ function verifyPassword(password, record) {
   return crypto.timingSafeEqual(Buffer.from(candidate.hash, "hex"), Buffer.from(record.hash, "hex"));
 }
 
-function readBody(req) {
+function readRawBody(req, limit = BODY_LIMIT) {
   return new Promise((resolve, reject) => {
     const chunks = [];
     let size = 0;
     req.on("data", (chunk) => {
       chunks.push(chunk);
       size += chunk.length;
-      if (size > BODY_LIMIT) reject(new Error("Request body too large"));
-    });
-    req.on("end", () => {
-      const raw = Buffer.concat(chunks).toString("utf8");
-      if (!raw) {
-        resolve({});
-        return;
-      }
-      try {
-        resolve(JSON.parse(raw));
-      } catch (_error) {
-        reject(new Error("Invalid JSON body"));
-      }
+      if (size > limit) reject(Object.assign(new Error("Request body too large"), { status: 413 }));
     });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
     req.on("error", reject);
   });
 }
 
-function summarizeText(input) {
-  const normalized = String(input || "").replace(/\s+/g, " ").trim();
-  const short = normalized.slice(0, 180);
-  return short.length < normalized.length ? `${short}...` : short;
+// Parses the JSON body and checks it against the route's OpenAPI request schema; both failures carry status 400.
+async function readBody(req, limit) {
+  const raw = await readRawBody(req, limit);
+  let body = {};
+  if (raw) {
+    try {
+      body = JSON.parse(raw);
+    } catch (_error) {
+      throw Object.assign(new Error("Invalid JSON body"), { status: 400 });
+    }
+  }
+  OpenApi.assertRequestBody(operations.get(req), body);
+  return body;
 }
 
-function providerMode(payload) {
-  if (payload && payload.proxy && payload.proxy.enabled) return "proxy";
-  if (payload && payload.provider && payload.provider.apiKey) return "direct-provider";
-  return "local";
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
 }
 
-function providerGuardrails(payload) {
-  const mode = providerMode(payload);
-  const directConfigured = Boolean(config.OPENAI_API_KEY || config.ANTHROPIC_API_KEY || config.GOOGLE_API_KEY);
-  const proxyConfigured = Boolean(config.PROXY_ENDPOINT);
-  return {
-    mode,
-    directConfigured,
-    proxyConfigured,
-    localFallback: mode === "local",
-    valid: !((mode === "proxy" && !proxyConfigured) || (mode === "direct-provider" && !directConfigured))
-  };
+// A rule about one request field, reported the same way as a schema failure on that field.
+function fieldError(status, field, message) {
+  const error = httpError(status, message);
+  error.problems = [{ field, message }];
+  return error;
+}
+
+// Every 400 and 422 body lists `problems`, as schema failures do. A rule that is not about one field becomes a single
+// problem without `field`.
+function withProblems(status, payload) {
+  if ((status !== 400 && status !== 422) || !payload || payload.success !== false || payload.problems) return payload;
+  return Object.assign({}, payload, { problems: [{ message: payload.error }] });
+}
+
+function errorPayload(error) {
+  const payload = { success: false, error: error.message };
+  if (error.problems) payload.problems = error.problems;
+  return payload;
+}
+
+function sendStatusError(res, error) {
+  if (!error.status) throw error;
+  json(res, error.status, errorPayload(error));
 }
 
 function cleanUser(user) {
@@ -109,7 +173,10 @@ function cleanUser(user) {
     name: user.name,
     credits: Number(user.credits || 0),
     role: user.role || "user",
+    plan: user.plan || "free",
     suspended: Boolean(user.suspended),
+    trelloMemberId: user.trelloMemberId || null,
+    emailVerified: user.emailVerified !== false,
     createdAt: user.createdAt,
     updatedAt: user.updatedAt
   };
@@ -130,22 +197,35 @@ function paginate(items, limit, offset) {
   };
 }
 
-function requireFields(body, fields) {
-  const missing = fields.filter((field) => !String(body[field] || "").trim());
-  return missing.length ? `Missing required fields: ${missing.join(", ")}` : "";
-}
-
 function idempotencyKey(req) {
   return String(req.headers["idempotency-key"] || "").trim();
 }
 
+// One dispatcher per store, registered by createBackendApp, so events appended by other modules fan out as well.
+const webhookDispatchers = new WeakMap();
+
 async function appendEvent(store, type, payload) {
-  return store.add("events", {
+  const event = await store.add("events", {
     id: createId("event"),
     type,
     payload: clone(payload || {}),
     createdAt: nowIso()
   }, { limit: 250 });
+  const dispatcher = webhookDispatchers.get(store);
+  if (dispatcher) {
+    // Not awaited: some callers append events while holding the store lock that enqueueing needs.
+    dispatcher.enqueue(event)
+      .catch((error) => appendAlert(store, "medium", `Webhook fan-out failed for ${event.id}: ${error.message}`, "webhooks"))
+      .catch(() => {});
+  }
+  return event;
+}
+
+// Finished batch jobs carry their card results, so receivers do not need a follow-up API call.
+async function webhookEventData(store, event) {
+  if (event.type !== "batch.completed") return event.payload;
+  const job = (await store.list("batchJobs")).find((item) => item.id === event.payload.jobId);
+  return Object.assign({}, event.payload, { job: job || null });
 }
 
 async function appendAlert(store, severity, message, source) {
@@ -159,59 +239,123 @@ async function appendAlert(store, severity, message, source) {
   }, { limit: 250 });
 }
 
-async function checkRateLimit(store, scope, key, max, windowMs) {
-  const entries = await store.listRateLimits();
-  const now = Date.now();
-  const active = entries.filter((item) => item.scope === scope && item.key === key && item.expiresAt > now);
-  if (active.length >= max) {
-    return {
-      ok: false,
-      retryAfterSeconds: Math.max(1, Math.ceil((Math.min(...active.map((item) => item.expiresAt)) - now) / 1000))
-    };
+const ACCOUNT_EMAILS = {
+  "email-verification": {
+    subject: "Confirm your Summarize This email address",
+    intro: "Use this code to confirm the email address on your Summarize This account:"
+  },
+  "password-reset": {
+    subject: "Reset your Summarize This password",
+    intro: "Use this code to choose a new Summarize This password. If you did not ask for a reset, ignore this email:"
+  }
+};
+
+// Mail failures never fail the request that triggered them; they raise an alert and the caller reports `sent: false`.
+async function sendAccountEmail(store, options, user, purpose) {
+  const signed = signAccountToken(user, purpose);
+  const template = ACCOUNT_EMAILS[purpose];
+  try {
+    await (options.mailTransport || createMailTransport()).send({
+      to: user.email,
+      subject: template.subject,
+      text: `${template.intro}\n\n${signed.token}\n\nThe code expires at ${signed.expiresAt}.\n`
+    });
+    await appendEvent(store, "mail.sent", { userId: user.id, purpose });
+    return true;
+  } catch (error) {
+    await appendAlert(store, "warning", `Could not send ${purpose} email: ${error.message}`, "mail");
+    return false;
+  }
+}
+
+// Unverified accounts can sign in and spend their starting credits, but cannot buy credits, mint access tokens,
+// queue batch jobs or draw on a workspace pool until they confirm their email address.
+function requireVerifiedEmail(res, context) {
+  if (context.user.emailVerified !== false) return true;
+  json(res, 403, { success: false, error: "Confirm your email address to use this feature" });
+  return false;
+}
+
+async function loginAllowed(store, res, subjects, options) {
+  const allowed = await LoginGuard.checkLoginAllowed(store, subjects, options.loginGuard);
+  if (allowed.ok) return true;
+  Metrics.metricsFor(store).recordRateLimit("auth.login_guard");
+  json(res, allowed.status, { success: false, error: allowed.error, retryAfterSeconds: allowed.retryAfterSeconds });
+  return false;
+}
+
+async function recordFailedLogin(store, subjects, options) {
+  const lockouts = await LoginGuard.recordLoginFailure(store, subjects, options.loginGuard);
+  for (const lockout of lockouts) {
+    await appendEvent(store, "auth.lockout", lockout);
   }
-  await store.touchRateLimit({
-    id: createId("rate"),
-    scope,
-    key,
-    createdAt: now,
-    expiresAt: now + windowMs
-  });
-  return { ok: true, retryAfterSeconds: 0 };
 }
 
-async function withIdempotency(req, store, scope, handler) {
-  const key = idempotencyKey(req);
-  if (!key) return handler();
-  const found = await store.findIdempotency(scope, key);
-  if (found) {
-    return found.response;
+async function revokeUserSessions(store, userId) {
+  const sessions = (await store.list("sessions")).filter((item) => item.userId === userId && !item.revokedAt);
+  for (const session of sessions) {
+    await store.revokeSession(session.tokenHash);
   }
-  const response = await handler();
-  await store.rememberIdempotency({
-    id: createId("idem"),
-    scope,
-    key,
-    response: clone(response),
-    createdAt: nowIso()
+  return sessions.length;
+}
+
+// The balance is read again under the store lock: the analysis can take a while, and a top-up, an admin adjustment or a
+// batch reservation may have changed it in the meantime. Resolves to null when the balance no longer covers `credits`.
+function chargeUserCredits(store, userId, credits) {
+  return withStoreLock(store, async () => {
+    const user = await store.findUserById(userId);
+    if (!user || Number(user.credits || 0) < credits) return null;
+    const updated = await store.updateUser(user.id, { credits: Number(user.credits || 0) - credits });
+    await store.add("transactions", {
+      id: createId("txn"),
+      userId: user.id,
+      type: "summary_charge",
+      credits: -credits,
+      status: "completed",
+      createdAt: nowIso()
+    }, { limit: 1000 });
+    return updated;
+  });
+}
+
+// Applies `amount` and writes its transaction under the store lock, then hands `record` the balances before and after
+// while the lock is still held, so audit entries only ever show balances the account really had. Resolves to null when
+// the user does not exist.
+function adjustUserCredits(store, userId, amount, transaction, record) {
+  return withStoreLock(store, async () => {
+    const user = await store.findUserById(userId);
+    if (!user) return null;
+    const before = Number(user.credits || 0);
+    const updated = await store.updateUser(user.id, { credits: before + amount });
+    const saved = await store.add("transactions", Object.assign({
+      id: createId("txn"),
+      userId: user.id,
+      credits: amount,
+      status: "completed"
+    }, transaction, { createdAt: nowIso() }), { limit: 1000 });
+    const change = { user: updated, before, after: Number(updated.credits || 0), transaction: saved };
+    await record(change);
+    return change;
   });
-  return response;
 }
 
+// 400 when the text itself is unusable; 422 when the request is well-formed but asks for a provider mode this backend
+// cannot serve.
 function validateSummarizePayload(payload) {
   const text = String(payload && payload.text || "");
-  if (!text.trim()) return "Text is required";
-  if (text.trim().length < 50) return "Text too short";
+  if (!text.trim()) return fieldError(400, "text", "Text is required");
+  if (text.trim().length < 50) return fieldError(400, "text", "Text too short");
   const mode = providerMode(payload);
   if (mode === "proxy" && payload.provider && payload.provider.apiKey) {
-    return "Proxy mode cannot be combined with browser-held provider credentials";
+    return fieldError(422, "provider.apiKey", "Proxy mode cannot be combined with browser-held provider credentials");
   }
   if (mode === "proxy" && !config.PROXY_ENDPOINT) {
-    return "Proxy mode was requested but PROXY_ENDPOINT is not configured on the backend";
+    return fieldError(422, "proxy.enabled", "Proxy mode was requested but PROXY_ENDPOINT is not configured on the backend");
   }
   if (mode === "direct-provider" && !(config.OPENAI_API_KEY || config.ANTHROPIC_API_KEY || config.GOOGLE_API_KEY)) {
-    return "Direct-provider mode was requested but no backend provider key is configured";
+    return fieldError(422, "provider.apiKey", "Direct-provider mode was requested but no backend provider key is configured");
   }
-  return "";
+  return null;
 }
 
 async function createSession(store, userId, role) {
@@ -231,6 +375,12 @@ async function createSession(store, userId, role) {
 async function getSessionContext(store, req) {
   const token = bearerToken(req);
   if (!token) return null;
+  if (AccessTokens.isAccessToken(token)) {
+    const accessToken = await AccessTokens.findActiveAccessToken(store, token);
+    const tokenUser = accessToken ? await store.findUserById(accessToken.userId) : null;
+    if (!tokenUser || tokenUser.suspended) return null;
+    return { role: "user", token, session: null, accessToken, user: tokenUser };
+  }
   const session = await store.findSessionByTokenHash(tokenHash(token));
   if (!session) return null;
   if (session.expiresAt && new Date(session.expiresAt).getTime() < Date.now()) {
@@ -245,8 +395,9 @@ async function getSessionContext(store, req) {
   return { role: "user", token, session, user };
 }
 
-async function requireSession(store, req, res, role) {
-  const context = await getSessionContext(store, req);
+// Interactive sessions may call every user route. A personal access token only passes routes that name one of its
+// scopes, so routes without a scope (profile, token management, purchases) stay session-only.
+function authorizeSession(res, context, role, scope) {
   if (!context) {
     json(res, 401, { success: false, error: "Unauthorized" });
     return null;
@@ -255,9 +406,38 @@ async function requireSession(store, req, res, role) {
     json(res, 403, { success: false, error: "Forbidden" });
     return null;
   }
+  if (context.accessToken && !(scope && context.accessToken.scopes.includes(scope))) {
+    json(res, 403, {
+      success: false,
+      error: scope ? `Access token is missing the ${scope} scope` : "Access tokens cannot call this route"
+    });
+    return null;
+  }
   return context;
 }
 
+// A caller-supplied X-Request-Id is kept when it is short and plain, so audit entries line up with proxy logs.
+function requestIdFor(req) {
+  const supplied = String(req.headers["x-request-id"] || "").trim();
+  return /^[\w.:-]{1,128}$/.test(supplied) ? supplied : createId("req");
+}
+
+function pickFields(record, fields) {
+  if (!record) return null;
+  return fields.reduce((picked, field) => Object.assign(picked, { [field]: record[field] === undefined ? null : record[field] }), {});
+}
+
+async function recordAudit(store, req, context, entry) {
+  const actor = context.role === "admin"
+    ? { type: "admin", id: "admin", email: context.user.email }
+    : { type: "user", id: context.user.id, email: context.user.email };
+  return Audit.appendAudit(store, Object.assign({ actor, requestId: requestIds.get(req) || null, ip: clientAddress(req) }, entry));
+}
+
+function webhookOwner(context) {
+  return context.role === "admin" ? { type: "admin", userId: null } : { type: "user", userId: context.user.id };
+}
+
 async function buildAnalytics(store) {
   const users = await store.listUsers();
   const transactions = await store.list("transactions");
@@ -278,6 +458,16 @@ async function buildAnalytics(store) {
   };
 }
 
+function batchAnalysisSettings(body) {
+  const provider = body.provider && typeof body.provider === "object" ? body.provider : {};
+  return {
+    outputMode: body.outputMode ? String(body.outputMode) : undefined,
+    outputLanguage: body.outputLanguage ? String(body.outputLanguage) : undefined,
+    proxy: { enabled: Boolean(body.proxy && body.proxy.enabled) },
+    provider: { name: String(provider.name || "auto") }
+  };
+}
+
 function buildBatchJob(body) {
   const cards = Array.isArray(body.cards) ? body.cards : [];
   return {
@@ -291,6 +481,9 @@ function buildBatchJob(body) {
       status: "pending",
       queuePosition: Number(item.queuePosition || index + 1),
       attempts: 0,
+      input: item.card && typeof item.card === "object"
+        ? clone(item.card)
+        : { desc: String(item.desc || item.text || "") },
       result: null,
       error: null
     })),
@@ -300,61 +493,199 @@ function buildBatchJob(body) {
     updatedAt: nowIso(),
     trelloWriteDefault: "off",
     approvalRequired: true,
-    aiHandoffApproved: Boolean(body.aiHandoffApproved)
+    aiHandoffApproved: Boolean(body.aiHandoffApproved),
+    analysis: batchAnalysisSettings(body)
   };
 }
 
-function computeBatchJobStatus(job) {
-  const cards = Array.isArray(job.cards) ? job.cards : [];
-  if (!cards.length) return "queued";
-  if (cards.every((item) => item.status === "completed" || item.status === "copied" || item.status === "skipped")) {
-    return "completed";
-  }
-  if (cards.some((item) => item.status === "blocked" || item.status === "failed")) {
-    return cards.some((item) => item.status === "running" || item.status === "opened") ? "partial" : "needs-attention";
+// Route middleware. Each one is `(ctx, next)`: it either answers the request itself or adds to `ctx` and calls next().
+
+// `ctx.caller` is the token's session context, looked up once per request by `apiRateLimit`.
+function session(role, scope) {
+  return (ctx, next) => {
+    ctx.auth = authorizeSession(ctx.res, ctx.caller, role, scope);
+    if (!ctx.auth) return;
+    return next();
+  };
+}
+
+// Lets a browser EventSource, which cannot set headers, authenticate with a ?token= minted by an authenticated POST.
+// The token stands in for the Bearer session only when no Authorization header was sent.
+async function streamToken(ctx, next) {
+  const token = ctx.query.get("token");
+  if (!ctx.caller && token) {
+    const record = await findStreamToken(ctx.store, token, ctx.params.jobId);
+    const user = record ? await ctx.store.findUserById(record.userId) : null;
+    if (user && !user.suspended) ctx.caller = { role: "user", token: null, session: null, user };
   }
-  if (cards.some((item) => item.status === "running" || item.status === "opened" || item.status === "analyzed")) {
-    return "running";
+  return next();
+}
+
+function verifiedEmail(ctx, next) {
+  if (!requireVerifiedEmail(ctx.res, ctx.auth)) return;
+  return next();
+}
+
+function jsonBody(limit = BODY_LIMIT) {
+  return async (ctx, next) => {
+    ctx.body = await readBody(ctx.req, limit);
+    return next();
+  };
+}
+
+// Draws one token from the caller's bucket for `scope` and sets the RateLimit-* headers from it, so the headers on a
+// response describe the last (most specific) policy the request passed through.
+async function limitRequest(ctx, scope, key, message) {
+  const result = await ctx.rateLimiter.check(scope, key, RateLimits.planFor(ctx.caller));
+  for (const [name, value] of Object.entries(RateLimits.rateLimitHeaders(result))) ctx.res.setHeader(name, value);
+  if (result.allowed) return true;
+  Metrics.metricsFor(ctx.store).recordRateLimit(scope);
+  json(ctx.res, 429, { success: false, error: message, retryAfterSeconds: result.retryAfterSeconds });
+  return false;
+}
+
+function callerKey(ctx) {
+  if (!ctx.caller) return `ip:${clientAddress(ctx.req)}`;
+  return ctx.caller.role === "admin" ? `admin:${ctx.caller.user.email}` : `user:${ctx.caller.user.id}`;
+}
+
+function rateLimit({ scope, key = callerKey, message = "Rate limit exceeded" }) {
+  return async (ctx, next) => {
+    if (!(await limitRequest(ctx, scope, key(ctx), message))) return;
+    return next();
+  };
+}
+
+// Replays the stored response when this Idempotency-Key was already used in `scope(ctx)`. Otherwise the route runs and
+// its response is remembered, unless it was a 5xx or the route threw, so that a failed request can be retried.
+function idempotent(scope) {
+  return async (ctx, next) => {
+    const key = idempotencyKey(ctx.req);
+    if (!key) return next();
+    const name = scope(ctx);
+    const found = await ctx.store.findIdempotency(name, key);
+    if (found) {
+      json(ctx.res, found.response.status, found.response.payload);
+      return;
+    }
+    capturedResponses.set(ctx.res, null);
+    await next();
+    const response = capturedResponses.get(ctx.res);
+    if (!response || response.status >= 500) return;
+    await ctx.store.rememberIdempotency({
+      id: createId("idem"),
+      scope: name,
+      key,
+      response,
+      createdAt: nowIso()
+    });
+  };
+}
+
+// The checks that reject a summary before any credits move, kept ahead of `idempotent` so they are never replayed.
+function summarizeRequest(ctx, next) {
+  const validationError = validateSummarizePayload(ctx.body);
+  if (validationError) {
+    sendStatusError(ctx.res, validationError);
+    return;
   }
-  return job.status || "queued";
+  if (ctx.body.workspaceId && !requireVerifiedEmail(ctx.res, ctx.auth)) return;
+  return next();
 }
 
-async function updateBatchJob(store, jobId, userId, updater) {
-  const jobs = await store.list("batchJobs");
-  const job = jobs.find((item) => item.id === jobId && (!userId || item.userId === userId));
-  if (!job) return null;
-  updater(job);
-  job.updatedAt = nowIso();
-  job.status = computeBatchJobStatus(job);
-  await store.replace("batchJobs", jobs);
-  return clone(job);
+async function creditPackages(ctx, next) {
+  await expirePendingPurchases(ctx.store);
+  ctx.packages = pricingFromSettings(await ctx.store.getSettings()).packages;
+  if (ctx.body.package !== undefined && !ctx.packages[ctx.body.package]) {
+    sendStatusError(ctx.res, fieldError(400, "package", `Unknown credit package: ${ctx.body.package}`));
+    return;
+  }
+  return next();
 }
 
-async function executeBatchJob(store, jobId) {
-  return updateBatchJob(store, jobId, null, (job) => {
-    if (!job.aiHandoffApproved) {
-      job.status = "blocked";
+function creditAmount(isValid, kind) {
+  return (ctx, next) => {
+    const amount = Number(ctx.body.amount);
+    if (!isValid(amount) || amount === 0) {
+      sendStatusError(ctx.res, fieldError(400, "amount", `A non-zero ${kind} credit adjustment amount is required`));
       return;
     }
-    job.status = "running";
-    for (const card of job.cards) {
-      if (card.status === "completed") continue;
-      card.status = "running";
-      card.attempts += 1;
-      card.result = {
-        summary: `Reviewed ${card.name}`,
-        confidence: 0.65
-      };
-      card.status = "completed";
+    ctx.amount = amount;
+    return next();
+  };
+}
+
+async function apiRateLimit(ctx, next) {
+  ctx.caller = await getSessionContext(ctx.store, ctx.req);
+  if (!(await limitRequest(ctx, "api", callerKey(ctx), "Rate limit exceeded"))) return;
+  return next();
+}
+
+async function validateQuery(ctx, next) {
+  if (ctx.operation) OpenApi.assertRequestQuery(ctx.operation, ctx.query);
+  return next();
+}
+
+// Runs for unmatched requests too, so a write to an unknown path during maintenance still gets the 503.
+async function maintenanceGuard(ctx, next) {
+  if (!Maintenance.isReadOnlyRequest(ctx.req.method, ctx.path)) {
+    const window = await Maintenance.activeMaintenanceWindow(ctx.store);
+    if (window) {
+      sendMaintenance(ctx.res, window);
+      return;
     }
-  });
+  }
+  return next();
+}
+
+function sendMaintenance(res, window) {
+  const retryAfter = Math.max(1, Math.ceil((new Date(window.endsAt).getTime() - Date.now()) / 1000));
+  json(res, 503, {
+    success: false,
+    error: "The backend is in read-only maintenance; try again after it ends",
+    maintenance: Maintenance.describeWindow(window, Date.now())
+  }, { "Retry-After": String(retryAfter) });
+}
+
+function notFound({ res }) {
+  unmatchedResponses.add(res);
+  text(res, 404, "Not Found");
+}
+
+function consentMeta(req) {
+  return { ip: clientAddress(req), userAgent: String(req.headers["user-agent"] || "") };
+}
+
+// v1 repeats the page under a named key (`users`, `runs`, ...) next to `items`; v2 sends `items` and the counters only.
+function sendPage(res, version, name, result) {
+  const payload = version >= 2 ? Object.assign({ success: true }, result) : Object.assign({ success: true, [name]: result.items }, result);
+  json(res, 200, payload);
 }
 
-async function route(req, res, store) {
-  const requestUrl = new URL(req.url, `http://${req.headers.host || `${config.HOST}:${config.PORT}`}`);
-  const pathname = requestUrl.pathname;
+function buildRouter() {
+  const router = createRouter();
+  router.version(2, "/api/v2", "/api");
+  router.use(apiRateLimit, validateQuery, maintenanceGuard);
 
-  if (req.method === "GET" && pathname === "/api/health") {
+  router.get("/api/openapi.json", async ({ res }) => {
+    json(res, 200, OpenApi.openApiDocument());
+  });
+
+  router.get("/metrics", async ({ req, res, store }) => {
+    if (!config.METRICS_TOKEN) {
+      json(res, 404, { success: false, error: "Metrics are disabled; set METRICS_TOKEN to enable them" });
+      return;
+    }
+    if (!Metrics.authorizedScrape(req, config.METRICS_TOKEN)) {
+      json(res, 401, { success: false, error: "Invalid metrics token" }, { "WWW-Authenticate": "Bearer" });
+      return;
+    }
+    const body = await Metrics.metricsFor(store).render(store);
+    res.writeHead(200, { "Content-Type": Metrics.CONTENT_TYPE, "Cache-Control": "no-store" });
+    res.end(body);
+  });
+
+  router.get("/api/health", async ({ res, store }) => {
     const snapshot = await store.snapshot();
     json(res, 200, {
       status: "ok",
@@ -366,33 +697,25 @@ async function route(req, res, store) {
         batchJobs: snapshot.batchJobs.length
       },
       readiness: config.backendReadiness(),
-      trello: config.powerUpReadiness()
+      trello: config.powerUpReadiness(),
+      maintenance: await Maintenance.maintenanceStatus(store)
     });
-    return;
-  }
+  });
 
-  if (req.method === "GET" && pathname === "/api/readiness") {
+  router.get("/api/readiness", async ({ res }) => {
     const readiness = config.backendReadiness();
     json(res, readiness.ok ? 200 : 503, {
       status: readiness.ok ? "ready" : "blocked",
       missing: readiness.missing,
       optional: readiness.optional
     });
-    return;
-  }
+  });
 
-  if (req.method === "GET" && pathname === "/api/config") {
-    json(res, 200, config.publicConfig());
-    return;
-  }
+  router.get("/api/config", async ({ res, store }) => {
+    json(res, 200, Object.assign(config.publicConfig(), { maintenance: await Maintenance.maintenanceStatus(store) }));
+  });
 
-  if (req.method === "POST" && pathname === "/api/auth/register") {
-    const body = await readBody(req);
-    const missing = requireFields(body, ["email", "password", "name"]);
-    if (missing) {
-      json(res, 400, { success: false, error: missing });
-      return;
-    }
+  router.post("/api/auth/register", jsonBody(AUTH_BODY_LIMIT), async ({ res, store, options, body }) => {
     const email = String(body.email).trim().toLowerCase();
     if (await store.findUserByEmail(email)) {
       json(res, 409, { success: false, error: "Email already exists" });
@@ -403,227 +726,589 @@ async function route(req, res, store) {
       email,
       name: String(body.name).trim(),
       passwordHash: passwordRecord.hash,
-      passwordSalt: passwordRecord.salt
+      passwordSalt: passwordRecord.salt,
+      emailVerified: false
     });
     const session = await createSession(store, user.id, "user");
     await appendEvent(store, "user.registered", { userId: user.id, email });
-    json(res, 201, { success: true, user: cleanUser(user), token: session.token });
-    return;
-  }
+    const verificationEmailSent = await sendAccountEmail(store, options, user, "email-verification");
+    json(res, 201, { success: true, user: cleanUser(user), token: session.token, verificationEmailSent });
+  });
+
+  router.post("/api/auth/verify-email", jsonBody(AUTH_BODY_LIMIT), async ({ res, store, body }) => {
+    let user;
+    try {
+      user = await verifyAccountToken(store, body.token, "email-verification");
+    } catch (error) {
+      sendStatusError(res, error);
+      return;
+    }
+    if (user.emailVerified === false) {
+      user = await store.updateUser(user.id, { emailVerified: true, emailVerifiedAt: nowIso() });
+      await appendEvent(store, "user.email_verified", { userId: user.id });
+    }
+    json(res, 200, { success: true, user: cleanUser(user) });
+  });
+
+  router.post("/api/auth/verify-email/resend", session("user"), rateLimit({
+    scope: "auth.verify_resend",
+    message: "Too many verification emails"
+  }), async ({ res, store, options, auth: context }) => {
+    if (context.user.emailVerified !== false) {
+      json(res, 200, { success: true, alreadyVerified: true, sent: false });
+      return;
+    }
+    const sent = await sendAccountEmail(store, options, context.user, "email-verification");
+    json(res, 202, { success: true, alreadyVerified: false, sent });
+  });
 
-  if (req.method === "POST" && pathname === "/api/auth/login") {
-    const body = await readBody(req);
+  router.post("/api/auth/password/forgot", jsonBody(AUTH_BODY_LIMIT), rateLimit({
+    scope: "auth.password_forgot",
+    key: ({ body }) => `email:${String(body.email || "").trim().toLowerCase()}`,
+    message: "Too many reset requests"
+  }), async ({ res, store, options, body }) => {
     const email = String(body.email || "").trim().toLowerCase();
+    if (!email) {
+      json(res, 400, { success: false, error: "Missing required fields: email" });
+      return;
+    }
     const user = await store.findUserByEmail(email);
-    if (!user || !verifyPassword(body.password, { hash: user.passwordHash, salt: user.passwordSalt }) || user.suspended) {
-      json(res, 401, { success: false, error: "Invalid credentials" });
+    if (user && !user.suspended) {
+      await sendAccountEmail(store, options, user, "password-reset");
+    }
+    // The same answer for known and unknown addresses keeps this route from revealing who has an account.
+    json(res, 202, { success: true });
+  });
+
+  router.post("/api/auth/password/reset", jsonBody(AUTH_BODY_LIMIT), async ({ res, store, body }) => {
+    if (String(body.password || "").length < MIN_PASSWORD_LENGTH) {
+      json(res, 400, { success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      return;
+    }
+    let user;
+    try {
+      user = await verifyAccountToken(store, body.token, "password-reset");
+    } catch (error) {
+      sendStatusError(res, error);
       return;
     }
-    const limited = await checkRateLimit(store, "auth.login", email, 10, 60_000);
-    if (!limited.ok) {
-      json(res, 429, { success: false, error: "Too many login attempts", retryAfterSeconds: limited.retryAfterSeconds });
+    const passwordRecord = scryptRecord(body.password);
+    const updated = await store.updateUser(user.id, {
+      passwordHash: passwordRecord.hash,
+      passwordSalt: passwordRecord.salt,
+      emailVerified: true
+    });
+    // A reset is how an owner takes a compromised account back, so every credential issued before it stops working
+    // and the account's sign-in lockout is lifted.
+    const revokedSessions = await revokeUserSessions(store, user.id);
+    const revokedAccessTokens = await AccessTokens.revokeUserAccessTokens(store, user.id);
+    await LoginGuard.clearLoginFailures(store, [{ kind: "account", key: String(user.email || "").toLowerCase() }]);
+    await appendEvent(store, "user.password_reset", { userId: user.id, revokedSessions, revokedAccessTokens });
+    json(res, 200, { success: true, user: cleanUser(updated) });
+  });
+
+  router.post("/api/auth/login", jsonBody(AUTH_BODY_LIMIT), rateLimit({
+    scope: "auth.login",
+    key: ({ body }) => `email:${String(body.email || "").trim().toLowerCase()}`,
+    message: "Too many login attempts"
+  }), async ({ req, res, store, options, body }) => {
+    const email = String(body.email || "").trim().toLowerCase();
+    const subjects = [{ kind: "account", key: email }, { kind: "ip", key: clientAddress(req) }];
+    if (!(await loginAllowed(store, res, subjects, options))) return;
+    const user = await store.findUserByEmail(email);
+    if (!user || !verifyPassword(body.password, { hash: user.passwordHash, salt: user.passwordSalt }) || user.suspended) {
+      await recordFailedLogin(store, subjects, options);
+      json(res, 401, { success: false, error: "Invalid credentials" });
       return;
     }
+    await LoginGuard.clearLoginFailures(store, [subjects[0]]);
     const session = await createSession(store, user.id, "user");
     await store.updateUser(user.id, { lastLoginAt: nowIso() });
     await appendEvent(store, "user.logged_in", { userId: user.id });
     json(res, 200, { success: true, user: cleanUser(user), token: session.token });
-    return;
-  }
+  });
+
+  router.post("/api/auth/trello", jsonBody(AUTH_BODY_LIMIT), rateLimit({
+    scope: "auth.trello",
+    key: ({ req }) => `ip:${clientAddress(req)}`,
+    message: "Too many sign-in attempts"
+  }), async ({ req, res, store, options, body, caller }) => {
+    const trelloToken = String(body.token || body.trelloToken || "").trim();
+    if (!trelloToken) {
+      json(res, 400, { success: false, error: "Missing required fields: token" });
+      return;
+    }
+    const linkUserId = caller && caller.role === "user" && !caller.accessToken ? caller.user.id : "";
+    // The maintenance guard lets this route through so linked members can still sign in; linking and sign-up wait.
+    const maintenance = await Maintenance.activeMaintenanceWindow(store);
+    let resolved;
+    try {
+      resolved = await resolveTrelloUser(store, await fetchTrelloMember(trelloToken, options.trelloAuth), linkUserId, {
+        existingOnly: Boolean(maintenance)
+      });
+    } catch (error) {
+      sendStatusError(res, error);
+      return;
+    }
+    if (!resolved) {
+      sendMaintenance(res, maintenance);
+      return;
+    }
+    if (resolved.user.suspended) {
+      json(res, 401, { success: false, error: "Invalid credentials" });
+      return;
+    }
+    const session = await createSession(store, resolved.user.id, "user");
+    await appendEvent(store, resolved.created ? "user.registered" : "user.trello_login", {
+      userId: resolved.user.id,
+      trelloMemberId: resolved.user.trelloMemberId,
+      linked: resolved.linked
+    });
+    json(res, resolved.created ? 201 : 200, {
+      success: true,
+      user: cleanUser(resolved.user),
+      token: session.token,
+      created: resolved.created,
+      linked: resolved.linked
+    });
+  });
 
-  if (req.method === "POST" && pathname === "/api/auth/logout") {
+  router.post("/api/auth/logout", async ({ req, res, store }) => {
     const token = bearerToken(req);
     if (token) await store.revokeSession(tokenHash(token));
     json(res, 200, { success: true });
-    return;
-  }
+  });
 
-  if (req.method === "POST" && pathname === "/api/admin/auth/login") {
-    const body = await readBody(req);
+  router.post("/api/admin/auth/login", jsonBody(AUTH_BODY_LIMIT), async ({ req, res, store, options, body }) => {
     const email = String(body.email || "").trim().toLowerCase();
     const password = String(body.password || "");
+    const subjects = [{ kind: "admin", key: email }, { kind: "ip", key: clientAddress(req) }];
+    if (!(await loginAllowed(store, res, subjects, options))) return;
     if (email !== String(config.ADMIN_EMAIL).trim().toLowerCase() || password !== config.ADMIN_PASSWORD) {
+      await recordFailedLogin(store, subjects, options);
       json(res, 401, { success: false, error: "Invalid admin credentials" });
       return;
     }
+    if (await Totp.adminTotpEnabled(store)) {
+      if (!body.totpCode) {
+        json(res, 401, { success: false, error: "TOTP code required", totpRequired: true });
+        return;
+      }
+      if (!(await Totp.verifyAdminTotp(store, body.totpCode))) {
+        await recordFailedLogin(store, subjects, options);
+        json(res, 401, { success: false, error: "Invalid TOTP code", totpRequired: true });
+        return;
+      }
+    }
+    await LoginGuard.clearLoginFailures(store, [subjects[0]]);
     const session = await createSession(store, "admin", "admin");
     await appendEvent(store, "admin.logged_in", { email });
     json(res, 200, { success: true, token: session.token, admin: { email: config.ADMIN_EMAIL, role: "admin" } });
-    return;
-  }
+  });
 
-  if (req.method === "POST" && pathname === "/api/admin/auth/logout") {
+  router.post("/api/admin/auth/logout", async ({ req, res, store }) => {
     const token = bearerToken(req);
     if (token) await store.revokeSession(tokenHash(token));
     json(res, 200, { success: true });
-    return;
-  }
+  });
 
-  if (req.method === "POST" && pathname === "/api/admin/auth/refresh") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
+  router.post("/api/admin/auth/refresh", session("admin"), async ({ res, store, auth: context }) => {
     const session = await createSession(store, "admin", "admin");
     await store.revokeSession(tokenHash(context.token));
     json(res, 200, { success: true, token: session.token, admin: { email: config.ADMIN_EMAIL, role: "admin" } });
-    return;
-  }
+  });
 
-  if (req.method === "GET" && pathname === "/api/admin/auth/verify") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    json(res, 200, { success: true, admin: { email: config.ADMIN_EMAIL, role: "admin" } });
-    return;
-  }
+  router.get("/api/admin/auth/verify", session("admin"), async ({ res, store }) => {
+    json(res, 200, {
+      success: true,
+      admin: { email: config.ADMIN_EMAIL, role: "admin", totpEnabled: await Totp.adminTotpEnabled(store) }
+    });
+  });
+
+  router.post("/api/admin/auth/totp/enroll", session("admin"), async ({ res, store }) => {
+    const enrollment = await Totp.beginAdminTotpEnrollment(store, config.ADMIN_EMAIL, config.TRELLO_APP_NAME);
+    json(res, 200, Object.assign({ success: true }, enrollment));
+  });
+
+  router.post("/api/admin/auth/totp/confirm", session("admin"), jsonBody(), async ({ req, res, store, auth: context, body }) => {
+    try {
+      const result = await Totp.confirmAdminTotpEnrollment(store, body.code);
+      await appendEvent(store, "admin.totp_enabled", { email: config.ADMIN_EMAIL });
+      await recordAudit(store, req, context, { action: "admin.totp_enabled", target: { type: "admin", id: "admin" }, before: { totpEnabled: false }, after: { totpEnabled: true } });
+      json(res, 200, Object.assign({ success: true }, result));
+    } catch (error) {
+      sendStatusError(res, error);
+    }
+  });
 
-  if (req.method === "GET" && pathname === "/api/user/profile") {
-    const context = await requireSession(store, req, res, "user");
-    if (!context) return;
+  router.post("/api/admin/auth/totp/disable", session("admin"), jsonBody(), async ({ req, res, store, auth: context, body }) => {
+    try {
+      const result = await Totp.disableAdminTotp(store, body.code);
+      await appendEvent(store, "admin.totp_disabled", { email: config.ADMIN_EMAIL });
+      await recordAudit(store, req, context, { action: "admin.totp_disabled", target: { type: "admin", id: "admin" }, before: { totpEnabled: true }, after: { totpEnabled: false } });
+      json(res, 200, Object.assign({ success: true }, result));
+    } catch (error) {
+      sendStatusError(res, error);
+    }
+  });
+
+  router.get("/api/user/profile", session("user"), async ({ res, auth: context }) => {
     json(res, 200, { success: true, user: cleanUser(context.user) });
-    return;
-  }
+  });
 
-  if (req.method === "GET" && pathname === "/api/user/credits") {
-    const context = await requireSession(store, req, res, "user");
-    if (!context) return;
-    json(res, 200, { success: true, credits: Number(context.user.credits || 0) });
-    return;
-  }
+  router.get("/api/user/credits", session("user", "read:history"), async ({ res, store, auth: context }) => {
+    json(res, 200, {
+      success: true,
+      credits: Number(context.user.credits || 0),
+      workspaces: await Workspaces.workspaceBalancesForUser(store, context.user.id)
+    });
+  });
 
-  if (req.method === "GET" && pathname === "/api/user/activity") {
-    const context = await requireSession(store, req, res, "user");
-    if (!context) return;
+  router.get("/api/user/activity", session("user", "read:history"), async ({ res, store, auth: context }) => {
     const events = (await store.list("events")).filter((item) => !item.payload.userId || item.payload.userId === context.user.id).slice(0, 20);
     json(res, 200, { success: true, activities: events });
-    return;
-  }
+  });
 
-  if (req.method === "POST" && pathname === "/api/summarize") {
-    const context = await requireSession(store, req, res, "user");
-    if (!context) return;
-    const limit = await checkRateLimit(store, "summarize", context.user.id, 20, 60_000);
-    if (!limit.ok) {
-      json(res, 429, { success: false, error: "Rate limit exceeded", retryAfterSeconds: limit.retryAfterSeconds });
-      return;
-    }
-    const body = await readBody(req);
-    const validationError = validateSummarizePayload(body);
-    if (validationError) {
-      json(res, validationError === "Text too short" || validationError === "Text is required" ? 400 : 422, { success: false, error: validationError });
-      return;
+  router.get("/api/user/data-export", session("user"), async ({ res, store, auth: context, query }) => {
+    try {
+      const exported = await Gdpr.exportUserData(store, context.user, query.get("scope"));
+      await appendEvent(store, "privacy.data_exported", { userId: context.user.id, scope: query.get("scope") || "full" });
+      res.writeHead(200, {
+        "Content-Type": "application/json; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${exported.filename}"`,
+        "Cache-Control": "no-store"
+      });
+      res.end(JSON.stringify(exported.archive, null, 2));
+    } catch (error) {
+      sendStatusError(res, error);
     }
+  });
 
-    const response = await withIdempotency(req, store, `summarize:${context.user.id}`, async () => {
-      const current = await store.findUserById(context.user.id);
-      if (Number(current.credits || 0) < 5) {
-        return { status: 402, payload: { success: false, error: "Insufficient credits" } };
+  router.post("/api/user/delete-account", session("user"), jsonBody(), async ({ req, res, store, auth: context, body }) => {
+    try {
+      const result = await Gdpr.requestDeletion(store, context.user, body);
+      if (!result.certificate) {
+        await appendEvent(store, "privacy.deletion_requested", { requestId: result.request.id, blockers: result.request.blockers });
+        json(res, 202, { success: true, request: result.request });
+        return;
       }
-      const updatedUser = await store.updateUser(current.id, { credits: Number(current.credits || 0) - 5 });
-      const summary = await store.add("summaries", {
-        id: createId("summary"),
-        userId: current.id,
-        summary: summarizeText(body.text),
-        method: body.method || "hybrid",
-        providerMode: providerMode(body),
-        confidence: 0.65,
-        heuristicConfidence: 0.65,
-        measuredEvaluation: null,
-        guardrails: providerGuardrails(body),
-        creditsUsed: 5,
-        createdAt: nowIso()
-      }, { limit: 1000 });
-      await store.add("transactions", {
-        id: createId("txn"),
-        userId: current.id,
-        type: "summary_charge",
-        credits: -5,
-        status: "completed",
-        createdAt: nowIso()
-      }, { limit: 1000 });
-      await appendEvent(store, "summary.created", {
-        userId: current.id,
-        summaryId: summary.id,
-        providerMode: summary.providerMode
+      await appendEvent(store, "privacy.deletion_completed", { requestId: result.request.id, certificateId: result.certificate.certificate_id });
+      // The audit log is never trimmed, so the entry for an erased account carries ids only: no email, name or address.
+      await Audit.appendAudit(store, {
+        action: "user.account_deleted",
+        actor: { type: "user", id: context.user.id, email: null },
+        target: { type: "user", id: context.user.id },
+        before: null,
+        after: null,
+        details: { requestId: result.request.id, certificateId: result.certificate.certificate_id },
+        requestId: requestIds.get(req) || null
       });
-      return { status: 200, payload: { success: true, result: summary, user: cleanUser(updatedUser) } };
-    });
-    json(res, response.status, response.payload);
-    return;
-  }
+      json(res, 200, { success: true, request: result.request, certificate: result.certificate });
+    } catch (error) {
+      sendStatusError(res, error);
+    }
+  });
 
-  if (req.method === "POST" && pathname === "/api/credits/purchase") {
-    const context = await requireSession(store, req, res, "user");
-    if (!context) return;
-    const body = await readBody(req);
-    const packages = { basic: 25, pro: 100, team: 250 };
-    const credits = packages[body.package] || 25;
-    const response = await withIdempotency(req, store, `purchase:${context.user.id}`, async () => {
-      const updatedUser = await store.updateUser(context.user.id, { credits: Number(context.user.credits || 0) + credits });
-      const transaction = await store.add("transactions", {
-        id: createId("txn"),
-        userId: context.user.id,
-        type: "credit_purchase",
-        credits,
-        status: "completed",
-        package: body.package || "basic",
-        paymentMethodId: body.paymentMethodId || "",
-        createdAt: nowIso()
-      }, { limit: 1000 });
-      await appendEvent(store, "credits.purchased", { userId: context.user.id, transactionId: transaction.id, credits });
-      return { status: 200, payload: { success: true, transaction, user: cleanUser(updatedUser) } };
-    });
-    json(res, response.status, response.payload);
-    return;
-  }
+  router.get("/api/user/consents", session("user"), async ({ res, store, auth: context }) => {
+    json(res, 200, Object.assign({ success: true }, await Gdpr.listConsents(store, context.user.id)));
+  });
 
-  if (req.method === "POST" && pathname === "/api/webhooks/stripe") {
-    if (!req.headers["stripe-signature"]) {
-      json(res, 400, { success: false, error: "Missing stripe-signature header" });
-      return;
+  router.post("/api/user/consents", session("user"), jsonBody(), async ({ req, res, store, auth: context, body }) => {
+    try {
+      const consent = await Gdpr.recordConsent(store, context.user.id, body, consentMeta(req));
+      await appendEvent(store, "privacy.consent_recorded", { userId: context.user.id, consentId: consent.id, purposes: consent.purposes });
+      json(res, 201, { success: true, consent });
+    } catch (error) {
+      sendStatusError(res, error);
     }
-    await appendEvent(store, "stripe.webhook.received", { signed: true });
-    json(res, 202, { success: true, accepted: true });
-    return;
-  }
+  });
 
-  if (req.method === "POST" && pathname === "/api/batch/jobs") {
-    const context = await requireSession(store, req, res, "user");
-    if (!context) return;
-    const body = await readBody(req);
-    const job = buildBatchJob(body);
-    job.userId = context.user.id;
-    await store.add("batchJobs", job, { limit: 500 });
-    await appendEvent(store, "batch.created", { userId: context.user.id, jobId: job.id, cards: job.cards.length });
-    json(res, 201, { success: true, job });
-    return;
-  }
+  router.delete("/api/user/consents", session("user"), async ({ req, res, store, auth: context }) => {
+    const consents = await Gdpr.withdrawConsent(store, context.user.id, consentMeta(req));
+    await appendEvent(store, "privacy.consent_withdrawn", { userId: context.user.id });
+    json(res, 200, Object.assign({ success: true }, consents));
+  });
 
-  if (req.method === "GET" && pathname === "/api/batch/jobs") {
-    const context = await requireSession(store, req, res, "user");
-    if (!context) return;
-    const jobs = (await store.list("batchJobs")).filter((item) => item.userId === context.user.id);
-    json(res, 200, { success: true, jobs });
-    return;
+  router.get("/api/user/tokens", session("user"), async ({ res, store, auth: context }) => {
+    json(res, 200, { success: true, tokens: await AccessTokens.listAccessTokens(store, context.user.id), scopes: AccessTokens.SCOPES });
+  });
+
+  router.post("/api/user/tokens", session("user"), verifiedEmail, jsonBody(), async ({ res, store, auth: context, body }) => {
+    try {
+      const created = await AccessTokens.createAccessToken(store, context.user.id, body);
+      await appendEvent(store, "access_token.created", {
+        userId: context.user.id,
+        tokenId: created.accessToken.id,
+        scopes: created.accessToken.scopes
+      });
+      json(res, 201, { success: true, token: created.token, accessToken: created.accessToken });
+    } catch (error) {
+      sendStatusError(res, error);
+    }
+  });
+
+  router.delete("/api/user/tokens/{tokenId}", session("user"), async ({ res, store, auth: context, params }) => {
+    try {
+      const accessToken = await AccessTokens.revokeAccessToken(store, context.user.id, params.tokenId);
+      await appendEvent(store, "access_token.revoked", { userId: context.user.id, tokenId: accessToken.id });
+      json(res, 200, { success: true, accessToken });
+    } catch (error) {
+      sendStatusError(res, error);
+    }
+  });
+
+  // The same webhook routes serve users (their own events) and the admin (every event) under /api/user and /api/admin.
+  for (const owner of ["user", "admin"]) {
+    router.get(`/api/${owner}/webhooks`, session(owner), async ({ res, store, auth: context }) => {
+      json(res, 200, { success: true, webhooks: await Webhooks.listWebhookEndpoints(store, webhookOwner(context)) });
+    });
+
+    router.post(`/api/${owner}/webhooks`, session(owner), jsonBody(), async ({ res, store, auth: context, body }) => {
+      if (context.role === "user" && !requireVerifiedEmail(res, context)) return;
+      try {
+        const created = await Webhooks.createWebhookEndpoint(store, webhookOwner(context), body);
+        await appendEvent(store, "webhook.created", {
+          userId: created.webhook.userId || undefined,
+          webhookId: created.webhook.id,
+          events: created.webhook.events
+        });
+        json(res, 201, { success: true, secret: created.secret, webhook: created.webhook });
+      } catch (error) {
+        sendStatusError(res, error);
+      }
+    });
+
+    router.put(`/api/${owner}/webhooks/{webhookId}`, session(owner), jsonBody(), async ({ res, store, auth: context, body, params }) => {
+      try {
+        json(res, 200, { success: true, webhook: await Webhooks.updateWebhookEndpoint(store, webhookOwner(context), params.webhookId, body) });
+      } catch (error) {
+        sendStatusError(res, error);
+      }
+    });
+
+    router.delete(`/api/${owner}/webhooks/{webhookId}`, session(owner), async ({ res, store, auth: context, params }) => {
+      try {
+        const webhook = await Webhooks.deleteWebhookEndpoint(store, webhookOwner(context), params.webhookId);
+        await appendEvent(store, "webhook.deleted", { userId: webhook.userId || undefined, webhookId: webhook.id });
+        json(res, 200, { success: true, webhook });
+      } catch (error) {
+        sendStatusError(res, error);
+      }
+    });
+
+    router.get(`/api/${owner}/webhooks/{webhookId}/deliveries`, session(owner), async ({ res, store, auth: context, params, query, version }) => {
+      try {
+        const deliveries = await Webhooks.listWebhookDeliveries(store, webhookOwner(context), params.webhookId);
+        const pagination = parsePagination(query);
+        const result = paginate(deliveries, pagination.limit, pagination.offset);
+        sendPage(res, version, "deliveries", result);
+      } catch (error) {
+        sendStatusError(res, error);
+      }
+    });
+
+    router.post(`/api/${owner}/webhooks/{webhookId}/deliveries/{deliveryId}/redeliver`, session(owner), async ({ res, store, auth: context, params }) => {
+      try {
+        const delivery = await webhookDispatchers.get(store).redeliver(webhookOwner(context), params.webhookId, params.deliveryId);
+        json(res, 202, { success: true, delivery });
+      } catch (error) {
+        sendStatusError(res, error);
+      }
+    });
   }
 
-  const batchJobDetailMatch = pathname.match(/^\/api\/batch\/jobs\/([^/]+)$/);
-  if (req.method === "GET" && batchJobDetailMatch) {
-    const context = await requireSession(store, req, res, "user");
-    if (!context) return;
+  router.post("/api/summarize", session("user", "summarize"), rateLimit({ scope: "summarize" }), jsonBody(), summarizeRequest, idempotent(({ auth }) => `summarize:${auth.user.id}`), async ({ res, store, options, auth: context, body }) => {
+    const metrics = Metrics.metricsFor(store);
+    const current = await store.findUserById(context.user.id);
+    const quote = quoteSummary(pricingFromSettings(await store.getSettings()), body);
+    if (body.quotedCredits !== undefined && Number(body.quotedCredits) !== quote.credits) {
+      json(res, 409, { success: false, error: "Price changed since the quote; review the new price", quote });
+      return;
+    }
+    const workspaceId = body.workspaceId ? String(body.workspaceId) : "";
+    const guardrails = providerGuardrails(body);
+    if (workspaceId) {
+      try {
+        await Workspaces.checkWorkspaceCharge(store, workspaceId, current.id, quote.credits);
+      } catch (error) {
+        if (!error.status) throw error;
+        metrics.recordSummary(guardrails.mode, "api", error.status === 402 ? "insufficient_credits" : "rejected");
+        json(res, error.status, { success: false, error: error.message, quote });
+        return;
+      }
+    } else if (Number(current.credits || 0) < quote.credits) {
+      metrics.recordSummary(guardrails.mode, "api", "insufficient_credits");
+      json(res, 402, { success: false, error: "Insufficient credits", quote });
+      return;
+    }
+    let analysis;
+    try {
+      analysis = await runBackendAnalysis(body, guardrails, options.analysis);
+    } catch (error) {
+      if (!error.status) throw error;
+      metrics.recordSummary(guardrails.mode, "api", "failed");
+      await appendEvent(store, "summary.failed", { userId: current.id, providerMode: guardrails.mode, error: error.message });
+      json(res, error.status, errorPayload(error));
+      return;
+    }
+    const run = analysis.run;
+    let updatedUser = current;
+    if (workspaceId) {
+      try {
+        await Workspaces.chargeWorkspace(store, workspaceId, current.id, quote.credits);
+      } catch (error) {
+        if (!error.status) throw error;
+        metrics.recordSummary(guardrails.mode, "api", error.status === 402 ? "insufficient_credits" : "rejected");
+        json(res, error.status, { success: false, error: error.message, quote });
+        return;
+      }
+    } else {
+      updatedUser = await chargeUserCredits(store, current.id, quote.credits);
+      if (!updatedUser) {
+        metrics.recordSummary(guardrails.mode, "api", "insufficient_credits");
+        json(res, 402, { success: false, error: "Insufficient credits", quote });
+        return;
+      }
+    }
+    metrics.recordSummary(guardrails.mode, "api", "success");
+    metrics.recordCredits("api", workspaceId ? "workspace" : "user", quote.credits);
+    const summary = await store.add("summaries", {
+      id: createId("summary"),
+      userId: current.id,
+      workspaceId: workspaceId || null,
+      cardId: run.cardId,
+      runId: run.id,
+      summary: run.result.about || run.result.currentStatus,
+      method: body.method || "hybrid",
+      providerMode: guardrails.mode,
+      provider: run.provider,
+      model: run.model,
+      confidence: Number((run.result.confidence.overall / 100).toFixed(2)),
+      heuristicConfidence: Number((analysis.analysis.qualityScore / 100).toFixed(2)),
+      measuredEvaluation: null,
+      guardrails,
+      creditsUsed: quote.credits,
+      pricing: quote.breakdown,
+      run,
+      createdAt: nowIso()
+    }, { limit: 1000 });
+    await appendEvent(store, "summary.created", {
+      userId: current.id,
+      workspaceId: workspaceId || undefined,
+      summaryId: summary.id,
+      runId: run.id,
+      providerMode: summary.providerMode
+    });
+    json(res, 200, { success: true, result: summary, user: cleanUser(updatedUser) });
+  });
+
+  router.post("/api/summarize/quote", session("user", "summarize"), jsonBody(), async ({ res, store, auth: context, body }) => {
+    const quote = quoteSummary(pricingFromSettings(await store.getSettings()), body);
+    json(res, 200, { success: true, quote, credits: Number(context.user.credits || 0) });
+  });
+
+  router.get("/api/credits/pricing", async ({ res, store }) => {
+    json(res, 200, { success: true, pricing: pricingFromSettings(await store.getSettings()) });
+  });
+
+  router.post("/api/credits/purchase", session("user"), verifiedEmail, jsonBody(), creditPackages, idempotent(({ auth }) => `purchase:${auth.user.id}`), async ({ res, store, auth: context, body, packages }) => {
+    const purchase = await createPendingPurchase(store, context.user, body, packages);
+    await appendEvent(store, "credits.purchase_pending", {
+      userId: context.user.id,
+      transactionId: purchase.transaction.id,
+      checkoutSessionId: purchase.checkoutSession.id,
+      credits: purchase.transaction.credits
+    });
+    json(res, 202, {
+      success: true,
+      transaction: purchase.transaction,
+      checkoutSession: purchase.checkoutSession,
+      user: cleanUser(context.user)
+    });
+  });
+
+  router.post("/api/webhooks/stripe", async ({ req, res, store }) => {
+    if (!req.headers["stripe-signature"]) {
+      json(res, 400, { success: false, error: "Missing stripe-signature header" });
+      return;
+    }
+    if (!config.STRIPE_WEBHOOK_SECRET) {
+      json(res, 503, { success: false, error: "STRIPE_WEBHOOK_SECRET is not configured" });
+      return;
+    }
+    const raw = await readRawBody(req);
+    let event;
+    try {
+      verifyStripeSignature(raw, req.headers["stripe-signature"], config.STRIPE_WEBHOOK_SECRET, {
+        toleranceSeconds: config.STRIPE_WEBHOOK_TOLERANCE_SECONDS
+      });
+      event = JSON.parse(raw);
+    } catch (error) {
+      json(res, 400, { success: false, error: error.status ? error.message : "Invalid webhook payload" });
+      return;
+    }
+    if (!event || !event.id || !event.type) {
+      json(res, 400, { success: false, error: "Webhook payload is not a Stripe event" });
+      return;
+    }
+    const result = await processStripeEvent(store, event, { appendEvent });
+    json(res, 200, {
+      success: true,
+      received: true,
+      duplicate: result.duplicate,
+      handled: result.handled,
+      transactionId: result.transaction ? result.transaction.id : null
+    });
+  });
+
+  router.post("/api/batch/jobs", session("user", "batch:write"), verifiedEmail, jsonBody(), async ({ res, store, auth: context, body }) => {
+    const job = buildBatchJob(body);
+    job.userId = context.user.id;
+    const pricing = pricingFromSettings(await store.getSettings());
+    job.estimatedCredits = job.cards.reduce((sum, card) => sum + quoteSummary(pricing, payloadForCard(job, card)).credits, 0);
+    await store.add("batchJobs", job, { limit: 500 });
+    await appendEvent(store, "batch.created", { userId: context.user.id, jobId: job.id, cards: job.cards.length });
+    json(res, 201, { success: true, job });
+  });
+
+  router.get("/api/batch/jobs", session("user", "read:history"), async ({ res, store, auth: context }) => {
+    const jobs = (await store.list("batchJobs")).filter((item) => item.userId === context.user.id);
+    json(res, 200, { success: true, jobs });
+  });
+
+  router.post("/api/batch/jobs/{jobId}/events/token", session("user", "read:history"), async ({ res, store, auth: context, params }) => {
+    const job = (await store.list("batchJobs")).find((item) => item.id === params.jobId && item.userId === context.user.id);
+    if (!job) {
+      json(res, 404, { success: false, error: "Batch job not found" });
+      return;
+    }
+    json(res, 201, Object.assign({ success: true }, await issueStreamToken(store, context.user.id, job.id)));
+  });
+
+  router.get("/api/batch/jobs/{jobId}/events", streamToken, session("user", "read:history"), async ({ req, res, store, auth: context, params, query }) => {
+    const job = (await store.list("batchJobs")).find((item) => item.id === params.jobId && item.userId === context.user.id);
+    if (!job) {
+      json(res, 404, { success: false, error: "Batch job not found" });
+      return;
+    }
+    // EventSource sends Last-Event-ID itself when it reconnects, which works while its ?token= is unexpired. Once the
+    // token has expired, or when the popup reopens, the client mints a new one and passes the id it saved as ?lastEventId=.
+    const lastEventId = req.headers["last-event-id"] || query.get("lastEventId") || 0;
+    await streamBatchJobEvents(req, res, store, job, lastEventId);
+  });
+
+  router.get("/api/batch/jobs/{jobId}", session("user", "read:history"), async ({ res, store, auth: context, params }) => {
     const jobs = await store.list("batchJobs");
-    const job = jobs.find((item) => item.id === batchJobDetailMatch[1] && item.userId === context.user.id);
+    const job = jobs.find((item) => item.id === params.jobId && item.userId === context.user.id);
     if (!job) {
       json(res, 404, { success: false, error: "Batch job not found" });
       return;
     }
     json(res, 200, { success: true, job });
-    return;
-  }
+  });
 
-  const batchJobStartMatch = pathname.match(/^\/api\/batch\/jobs\/([^/]+)\/start$/);
-  if (req.method === "POST" && batchJobStartMatch) {
-    const context = await requireSession(store, req, res, "user");
-    if (!context) return;
-    const job = await updateBatchJob(store, batchJobStartMatch[1], context.user.id, (item) => {
+  router.post("/api/batch/jobs/{jobId}/start", session("user", "batch:write"), async ({ res, store, auth: context, params }) => {
+    const job = await updateBatchJob(store, params.jobId, context.user.id, (item) => {
       item.status = item.aiHandoffApproved ? "running" : "blocked";
       item.startedAt = item.startedAt || nowIso();
     });
@@ -633,29 +1318,28 @@ async function route(req, res, store) {
     }
     await appendEvent(store, "batch.started", { userId: context.user.id, jobId: job.id });
     json(res, 200, { success: true, job });
-    return;
-  }
+  });
 
-  const batchJobMatch = pathname.match(/^\/api\/batch\/jobs\/([^/]+)\/run$/);
-  if (req.method === "POST" && batchJobMatch) {
-    const context = await requireSession(store, req, res, "user");
-    if (!context) return;
-    const job = await executeBatchJob(store, batchJobMatch[1]);
+  router.post("/api/batch/jobs/{jobId}/run", session("user", "batch:write"), async ({ res, store, batchWorker, auth: context, params }) => {
+    const job = await updateBatchJob(store, params.jobId, context.user.id, (item) => {
+      item.executor = "server";
+      item.startedAt = item.startedAt || nowIso();
+      item.finishedAt = null;
+      for (const card of item.cards || []) {
+        if (card.status === "analyzed" && card.result) card.status = "completed";
+      }
+    });
     if (!job) {
       json(res, 404, { success: false, error: "Batch job not found" });
       return;
     }
-    await appendEvent(store, "batch.completed", { userId: context.user.id, jobId: job.id, status: job.status });
-    json(res, 200, { success: true, job });
-    return;
-  }
+    batchWorker.run(job.id).catch((error) => appendAlert(store, "high", `Batch job ${job.id} failed: ${error.message}`, "batch-worker"));
+    await appendEvent(store, "batch.queued", { userId: context.user.id, jobId: job.id });
+    json(res, 202, { success: true, job });
+  });
 
-  const batchJobStatusMatch = pathname.match(/^\/api\/batch\/jobs\/([^/]+)\/status$/);
-  if (req.method === "POST" && batchJobStatusMatch) {
-    const context = await requireSession(store, req, res, "user");
-    if (!context) return;
-    const body = await readBody(req);
-    const job = await updateBatchJob(store, batchJobStatusMatch[1], context.user.id, (item) => {
+  router.post("/api/batch/jobs/{jobId}/status", session("user", "batch:write"), jsonBody(), async ({ res, store, auth: context, body, params }) => {
+    const job = await updateBatchJob(store, params.jobId, context.user.id, (item) => {
       item.status = String(body.status || item.status || "running");
       if (body.summary) item.summary = String(body.summary);
       if (body.finishedAt) item.finishedAt = String(body.finishedAt);
@@ -665,16 +1349,11 @@ async function route(req, res, store) {
       return;
     }
     json(res, 200, { success: true, job });
-    return;
-  }
+  });
 
-  const batchJobCardMatch = pathname.match(/^\/api\/batch\/jobs\/([^/]+)\/cards\/([^/]+)$/);
-  if (req.method === "POST" && batchJobCardMatch) {
-    const context = await requireSession(store, req, res, "user");
-    if (!context) return;
-    const body = await readBody(req);
-    const job = await updateBatchJob(store, batchJobCardMatch[1], context.user.id, (item) => {
-      const card = (item.cards || []).find((entry) => entry.id === batchJobCardMatch[2]);
+  router.post("/api/batch/jobs/{jobId}/cards/{cardId}", session("user", "batch:write"), jsonBody(), async ({ res, store, auth: context, body, params }) => {
+    const job = await updateBatchJob(store, params.jobId, context.user.id, (item) => {
+      const card = (item.cards || []).find((entry) => entry.id === params.cardId);
       if (!card) return;
       if (body.status !== undefined) card.status = String(body.status);
       if (body.error !== undefined) card.error = body.error ? String(body.error) : null;
@@ -687,7 +1366,7 @@ async function route(req, res, store) {
       json(res, 404, { success: false, error: "Batch job not found" });
       return;
     }
-    const card = job.cards.find((entry) => entry.id === batchJobCardMatch[2]);
+    const card = job.cards.find((entry) => entry.id === params.cardId);
     if (!card) {
       json(res, 404, { success: false, error: "Batch card not found" });
       return;
@@ -699,12 +1378,61 @@ async function route(req, res, store) {
       status: card.status
     });
     json(res, 200, { success: true, job, card });
-    return;
-  }
+  });
+
+  router.get("/api/cards/{cardId}/runs/{runId}/diff", session("user", "read:history"), async ({ res, store, auth: context, params, query }) => {
+    const records = await listCardRuns(store, context.user.id, params.cardId);
+    try {
+      const diff = diffCardRuns(records, params.runId, query.get("against"));
+      json(res, 200, Object.assign({ success: true }, diff));
+    } catch (error) {
+      if (!error.status) throw error;
+      json(res, error.status, { success: false, error: error.message });
+    }
+  });
+
+  router.get("/api/cards/{cardId}/runs/{runId}", session("user", "read:history"), async ({ res, store, auth: context, params }) => {
+    const runId = params.runId;
+    const record = (await listCardRuns(store, context.user.id, params.cardId)).find((item) => item.id === runId);
+    if (!record) {
+      json(res, 404, { success: false, error: "Run not found" });
+      return;
+    }
+    json(res, 200, { success: true, run: record.run, pushedBy: record.userId, boardId: record.boardId });
+  });
+
+  router.get("/api/cards/{cardId}/runs", session("user", "read:history"), async ({ res, store, auth: context, params, query, version }) => {
+    const pagination = parsePagination(query);
+    const records = await listCardRuns(store, context.user.id, params.cardId);
+    const result = paginate(records.map((item) => item.run), pagination.limit, pagination.offset);
+    sendPage(res, version, "runs", result);
+  });
+
+  router.post("/api/cards/{cardId}/runs", session("user", "summarize"), jsonBody(), async ({ res, store, auth: context, body, params }) => {
+    const cardId = params.cardId;
+    let pushed;
+    try {
+      pushed = await pushCardRun(store, context.user.id, cardId, body);
+    } catch (error) {
+      if (!error.status) throw error;
+      json(res, error.status, { success: false, error: error.message });
+      return;
+    }
+    if (pushed.created) {
+      await appendEvent(store, "card_run.pushed", { userId: context.user.id, cardId, runId: pushed.record.id });
+    }
+    json(res, pushed.created ? 201 : 200, { success: true, created: pushed.created, run: pushed.record.run });
+  });
+
+  router.get("/api/workspaces/{workspaceId}", session("user"), async ({ res, store, auth: context, params }) => {
+    try {
+      json(res, 200, { success: true, workspace: await Workspaces.workspaceForManager(store, params.workspaceId, context.user.id) });
+    } catch (error) {
+      sendStatusError(res, error);
+    }
+  });
 
-  if (req.method === "GET" && pathname === "/api/admin/system/health") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
+  router.get("/api/admin/system/health", session("admin"), async ({ res, store }) => {
     const snapshot = await store.snapshot();
     json(res, 200, {
       success: true,
@@ -714,12 +1442,9 @@ async function route(req, res, store) {
       transactionsTracked: snapshot.transactions.length,
       batchJobsTracked: snapshot.batchJobs.length
     });
-    return;
-  }
+  });
 
-  if (req.method === "GET" && pathname === "/api/admin/dashboard/metrics") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
+  router.get("/api/admin/dashboard/metrics", session("admin"), async ({ res, store }) => {
     const snapshot = await store.snapshot();
     json(res, 200, {
       success: true,
@@ -732,12 +1457,9 @@ async function route(req, res, store) {
         batchJobs: snapshot.batchJobs.length
       }
     });
-    return;
-  }
+  });
 
-  if (req.method === "GET" && pathname === "/api/admin/dashboard/realtime") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
+  router.get("/api/admin/dashboard/realtime", session("admin"), async ({ res, store }) => {
     const sessions = await store.list("sessions");
     const events = await store.list("events");
     const alerts = await store.list("systemAlerts");
@@ -749,21 +1471,15 @@ async function route(req, res, store) {
         alertsOpen: alerts.filter((item) => !item.acknowledged).length
       }
     });
-    return;
-  }
+  });
 
-  if (req.method === "GET" && pathname === "/api/admin/users") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    const pagination = parsePagination(requestUrl.searchParams);
+  router.get("/api/admin/users", session("admin"), async ({ res, store, query, version }) => {
+    const pagination = parsePagination(query);
     const result = paginate((await store.listUsers()).map(cleanUser), pagination.limit, pagination.offset);
-    json(res, 200, Object.assign({ success: true, users: result.items }, result));
-    return;
-  }
+    sendPage(res, version, "users", result);
+  });
 
-  if (req.method === "GET" && pathname === "/api/admin/users/stats") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
+  router.get("/api/admin/users/stats", session("admin"), async ({ res, store }) => {
     const users = await store.listUsers();
     const totalCredits = users.reduce((sum, item) => sum + Number(item.credits || 0), 0);
     json(res, 200, {
@@ -774,269 +1490,424 @@ async function route(req, res, store) {
         averageCredits: users.length ? Number((totalCredits / users.length).toFixed(2)) : 0
       }
     });
-    return;
-  }
+  });
 
-  const userDetailMatch = pathname.match(/^\/api\/admin\/users\/([^/]+)$/);
-  if (userDetailMatch && req.method === "GET") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    const user = await store.findUserById(userDetailMatch[1]);
+  router.get("/api/admin/users/{userId}", session("admin"), async ({ res, store, params }) => {
+    const user = await store.findUserById(params.userId);
     if (!user) {
       json(res, 404, { success: false, error: "User not found" });
       return;
     }
     json(res, 200, { success: true, user: cleanUser(user) });
-    return;
-  }
+  });
 
-  if (userDetailMatch && req.method === "PUT") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    const body = await readBody(req);
-    const user = await store.updateUser(userDetailMatch[1], {
-      email: body.email !== undefined ? String(body.email).trim().toLowerCase() : undefined,
-      name: body.name !== undefined ? String(body.name) : undefined,
-      role: body.role !== undefined ? String(body.role) : undefined
-    });
+  router.put("/api/admin/users/{userId}", session("admin"), jsonBody(), async ({ req, res, store, auth: context, body, params }) => {
+    const updates = {};
+    if (body.email !== undefined) updates.email = String(body.email).trim().toLowerCase();
+    if (body.name !== undefined) updates.name = String(body.name);
+    if (body.role !== undefined) updates.role = String(body.role);
+    if (body.plan !== undefined) updates.plan = body.plan;
+    const existing = await store.findUserById(params.userId);
+    const user = existing ? await store.updateUser(existing.id, updates) : null;
     if (!user) {
       json(res, 404, { success: false, error: "User not found" });
       return;
     }
     await appendEvent(store, "admin.user_updated", { userId: user.id });
+    await recordAudit(store, req, context, {
+      action: "admin.user_updated",
+      target: { type: "user", id: user.id },
+      before: pickFields(existing, Object.keys(updates)),
+      after: pickFields(user, Object.keys(updates))
+    });
     json(res, 200, { success: true, user: cleanUser(user) });
-    return;
-  }
+  });
 
-  if (userDetailMatch && req.method === "DELETE") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    const user = await store.deleteUser(userDetailMatch[1]);
+  router.delete("/api/admin/users/{userId}", session("admin"), async ({ req, res, store, auth: context, params }) => {
+    const user = await store.deleteUser(params.userId);
     if (!user) {
       json(res, 404, { success: false, error: "User not found" });
       return;
     }
     await appendEvent(store, "admin.user_deleted", { userId: user.id });
+    await recordAudit(store, req, context, { action: "admin.user_deleted", target: { type: "user", id: user.id }, before: cleanUser(user), after: null });
     json(res, 200, { success: true, user: cleanUser(user) });
-    return;
-  }
+  });
 
-  const userActivityMatch = pathname.match(/^\/api\/admin\/users\/([^/]+)\/activity$/);
-  if (req.method === "GET" && userActivityMatch) {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    const events = (await store.list("events")).filter((item) => item.payload && item.payload.userId === userActivityMatch[1]);
+  router.get("/api/admin/users/{userId}/activity", session("admin"), async ({ res, store, params }) => {
+    const events = (await store.list("events")).filter((item) => item.payload && item.payload.userId === params.userId);
     json(res, 200, { success: true, activities: events });
-    return;
-  }
+  });
 
-  const userSuspendMatch = pathname.match(/^\/api\/admin\/users\/([^/]+)\/suspend$/);
-  if (req.method === "POST" && userSuspendMatch) {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    const body = await readBody(req);
-    const user = await store.updateUser(userSuspendMatch[1], { suspended: true, suspensionReason: String(body.reason || "") });
+  router.post("/api/admin/users/{userId}/suspend", session("admin"), jsonBody(), async ({ req, res, store, auth: context, body, params }) => {
+    const existing = await store.findUserById(params.userId);
+    const user = existing ? await store.updateUser(existing.id, { suspended: true, suspensionReason: String(body.reason || "") }) : null;
     if (!user) {
       json(res, 404, { success: false, error: "User not found" });
       return;
     }
     await appendEvent(store, "admin.user_suspended", { userId: user.id, reason: user.suspensionReason });
+    await recordAudit(store, req, context, {
+      action: "admin.user_suspended",
+      target: { type: "user", id: user.id },
+      before: pickFields(existing, ["suspended", "suspensionReason"]),
+      after: pickFields(user, ["suspended", "suspensionReason"])
+    });
     json(res, 200, { success: true, user: cleanUser(user), suspended: true });
-    return;
-  }
+  });
 
-  const userUnsuspendMatch = pathname.match(/^\/api\/admin\/users\/([^/]+)\/unsuspend$/);
-  if (req.method === "POST" && userUnsuspendMatch) {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    const user = await store.updateUser(userUnsuspendMatch[1], { suspended: false, suspensionReason: "" });
+  router.post("/api/admin/users/{userId}/unsuspend", session("admin"), async ({ req, res, store, auth: context, params }) => {
+    const existing = await store.findUserById(params.userId);
+    const user = existing ? await store.updateUser(existing.id, { suspended: false, suspensionReason: "" }) : null;
     if (!user) {
       json(res, 404, { success: false, error: "User not found" });
       return;
     }
     await appendEvent(store, "admin.user_unsuspended", { userId: user.id });
+    await recordAudit(store, req, context, {
+      action: "admin.user_unsuspended",
+      target: { type: "user", id: user.id },
+      before: pickFields(existing, ["suspended", "suspensionReason"]),
+      after: pickFields(user, ["suspended", "suspensionReason"])
+    });
     json(res, 200, { success: true, user: cleanUser(user), suspended: false });
-    return;
-  }
+  });
 
-  const userCreditsMatch = pathname.match(/^\/api\/admin\/users\/([^/]+)\/credits$/);
-  if (req.method === "GET" && userCreditsMatch) {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    const user = await store.findUserById(userCreditsMatch[1]);
+  router.get("/api/admin/users/{userId}/credits", session("admin"), async ({ res, store, params }) => {
+    const user = await store.findUserById(params.userId);
     if (!user) {
       json(res, 404, { success: false, error: "User not found" });
       return;
     }
     json(res, 200, { success: true, credits: Number(user.credits || 0), user: cleanUser(user) });
-    return;
-  }
+  });
 
-  const userCreditAdjustMatch = pathname.match(/^\/api\/admin\/users\/([^/]+)\/credits\/adjust$/);
-  if (req.method === "POST" && userCreditAdjustMatch) {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    const body = await readBody(req);
-    const amount = Number(body.amount);
-    if (!Number.isFinite(amount) || amount === 0) {
-      json(res, 400, { success: false, error: "A non-zero numeric credit adjustment amount is required" });
-      return;
-    }
-    const response = await withIdempotency(req, store, `admin-credit:${userCreditAdjustMatch[1]}`, async () => {
-      const user = await store.findUserById(userCreditAdjustMatch[1]);
-      if (!user) return { status: 404, payload: { success: false, error: "User not found" } };
-      const updatedUser = await store.updateUser(user.id, { credits: Number(user.credits || 0) + amount });
-      const transaction = await store.add("transactions", {
-        id: createId("txn"),
-        userId: user.id,
-        type: "admin_credit_adjustment",
-        credits: amount,
-        status: "completed",
-        reason: String(body.reason || "manual admin adjustment"),
-        createdAt: nowIso()
-      }, { limit: 1000 });
+  router.post("/api/admin/users/{userId}/credits/adjust", session("admin"), jsonBody(), creditAmount(Number.isFinite, "numeric"), idempotent(({ params }) => `admin-credit:${params.userId}`), async ({ req, res, store, auth: context, body, params, amount }) => {
+    const reason = String(body.reason || "manual admin adjustment");
+    const adjusted = await adjustUserCredits(store, params.userId, amount, { type: "admin_credit_adjustment", reason }, async (change) => {
       await appendEvent(store, "admin.credits_adjusted", {
-        userId: user.id,
-        before: Number(user.credits || 0),
-        after: Number(updatedUser.credits || 0),
+        userId: change.user.id,
+        before: change.before,
+        after: change.after,
         amount
       });
-      return { status: 200, payload: { success: true, user: cleanUser(updatedUser), transaction } };
+      await recordAudit(store, req, context, {
+        action: "admin.credits_adjusted",
+        target: { type: "user", id: change.user.id },
+        before: { credits: change.before },
+        after: { credits: change.after },
+        details: { amount, reason, transactionId: change.transaction.id }
+      });
     });
-    json(res, response.status, response.payload);
-    return;
-  }
+    if (!adjusted) {
+      json(res, 404, { success: false, error: "User not found" });
+      return;
+    }
+    json(res, 200, { success: true, user: cleanUser(adjusted.user), transaction: adjusted.transaction });
+  });
+
+  router.get("/api/admin/workspaces", session("admin"), async ({ res, store, query, version }) => {
+    const pagination = parsePagination(query);
+    const result = paginate(await Workspaces.listWorkspaces(store), pagination.limit, pagination.offset);
+    sendPage(res, version, "workspaces", result);
+  });
+
+  router.post("/api/admin/workspaces", session("admin"), jsonBody(), async ({ req, res, store, auth: context, body }) => {
+    try {
+      const workspace = await Workspaces.createWorkspace(store, body);
+      await appendEvent(store, "admin.workspace_created", { workspaceId: workspace.id, ownerId: String(body.ownerId) });
+      await recordAudit(store, req, context, { action: "admin.workspace_created", target: { type: "workspace", id: workspace.id }, before: null, after: workspace });
+      json(res, 201, { success: true, workspace });
+    } catch (error) {
+      sendStatusError(res, error);
+    }
+  });
+
+  router.get("/api/admin/workspaces/{workspaceId}", session("admin"), async ({ res, store, params }) => {
+    try {
+      const workspace = await Workspaces.findWorkspace(store, params.workspaceId);
+      json(res, 200, { success: true, workspace: await Workspaces.describeWorkspace(store, workspace) });
+    } catch (error) {
+      sendStatusError(res, error);
+    }
+  });
+
+  router.post("/api/admin/workspaces/{workspaceId}/members", session("admin"), jsonBody(), async ({ req, res, store, auth: context, body, params }) => {
+    try {
+      const member = await Workspaces.addMember(store, params.workspaceId, body);
+      await appendEvent(store, "admin.workspace_member_added", {
+        workspaceId: params.workspaceId,
+        userId: member.userId,
+        role: member.role
+      });
+      await recordAudit(store, req, context, {
+        action: "admin.workspace_member_added",
+        target: { type: "workspace", id: params.workspaceId },
+        before: null,
+        after: pickFields(member, ["userId", "role", "monthlyCreditCap"])
+      });
+      json(res, 201, { success: true, member });
+    } catch (error) {
+      sendStatusError(res, error);
+    }
+  });
+
+  router.put("/api/admin/workspaces/{workspaceId}/members/{userId}", session("admin"), jsonBody(), async ({ req, res, store, auth: context, body, params }) => {
+    try {
+      const existing = (await store.list("workspaceMembers"))
+        .find((item) => item.workspaceId === params.workspaceId && item.userId === params.userId);
+      const member = await Workspaces.updateMember(store, params.workspaceId, params.userId, body);
+      await appendEvent(store, "admin.workspace_member_updated", {
+        workspaceId: params.workspaceId,
+        userId: member.userId,
+        role: member.role,
+        monthlyCreditCap: member.monthlyCreditCap
+      });
+      await recordAudit(store, req, context, {
+        action: "admin.workspace_member_updated",
+        target: { type: "workspace", id: params.workspaceId },
+        before: pickFields(existing, ["userId", "role", "monthlyCreditCap"]),
+        after: pickFields(member, ["userId", "role", "monthlyCreditCap"])
+      });
+      json(res, 200, { success: true, member });
+    } catch (error) {
+      sendStatusError(res, error);
+    }
+  });
+
+  router.delete("/api/admin/workspaces/{workspaceId}/members/{userId}", session("admin"), async ({ req, res, store, auth: context, params }) => {
+    try {
+      const member = await Workspaces.removeMember(store, params.workspaceId, params.userId);
+      await appendEvent(store, "admin.workspace_member_removed", { workspaceId: params.workspaceId, userId: member.userId });
+      await recordAudit(store, req, context, {
+        action: "admin.workspace_member_removed",
+        target: { type: "workspace", id: params.workspaceId },
+        before: pickFields(member, ["userId", "role", "monthlyCreditCap"]),
+        after: null
+      });
+      json(res, 200, { success: true, member });
+    } catch (error) {
+      sendStatusError(res, error);
+    }
+  });
 
-  if (req.method === "GET" && pathname === "/api/admin/transactions") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
+  router.post("/api/admin/workspaces/{workspaceId}/credits/adjust", session("admin"), jsonBody(), creditAmount(Number.isInteger, "integer"), idempotent(({ params }) => `admin-workspace-credit:${params.workspaceId}`), async ({ req, res, store, auth: context, body, params, amount }) => {
+    // Errors propagate to handle() so that a failed adjustment is not remembered for the idempotency key.
+    const adjusted = await Workspaces.adjustWorkspaceCredits(store, params.workspaceId, amount, body.reason);
+    await appendEvent(store, "admin.workspace_credits_adjusted", {
+      workspaceId: adjusted.workspace.id,
+      before: adjusted.before,
+      after: adjusted.workspace.credits,
+      amount
+    });
+    await recordAudit(store, req, context, {
+      action: "admin.workspace_credits_adjusted",
+      target: { type: "workspace", id: adjusted.workspace.id },
+      before: { credits: adjusted.before },
+      after: { credits: adjusted.workspace.credits },
+      details: { amount, reason: adjusted.transaction.reason, transactionId: adjusted.transaction.id }
+    });
+    json(res, 200, { success: true, workspace: adjusted.workspace, transaction: adjusted.transaction });
+  });
+
+  router.get("/api/admin/transactions", session("admin"), async ({ res, store }) => {
+    await expirePendingPurchases(store);
     const transactions = await store.list("transactions");
     json(res, 200, { success: true, transactions });
-    return;
-  }
+  });
+
+  router.get("/api/admin/transactions/pending", session("admin"), async ({ res, store }) => {
+    json(res, 200, { success: true, purchases: await listPendingPurchases(store) });
+  });
 
-  if (req.method === "POST" && pathname === "/api/admin/credits/bulk-adjust") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    const body = await readBody(req);
+  router.post("/api/admin/credits/bulk-adjust", session("admin"), jsonBody(), async ({ req, res, store, auth: context, body }) => {
     const adjustments = Array.isArray(body.adjustments) ? body.adjustments : [];
     const results = [];
     for (const adjustment of adjustments) {
-      const user = await store.findUserById(adjustment.userId);
-      if (!user) {
-        results.push({ userId: adjustment.userId, success: false, error: "User not found" });
-        continue;
-      }
       const amount = Number(adjustment.amount || 0);
-      const updated = await store.updateUser(user.id, { credits: Number(user.credits || 0) + amount });
-      await store.add("transactions", {
-        id: createId("txn"),
-        userId: user.id,
-        type: "admin_credit_adjustment",
-        credits: amount,
-        status: "completed",
-        reason: String(adjustment.reason || "bulk adjustment"),
-        createdAt: nowIso()
-      }, { limit: 1000 });
-      results.push({ userId: user.id, success: true, credits: updated.credits });
+      const reason = String(adjustment.reason || "bulk adjustment");
+      const adjusted = await adjustUserCredits(store, adjustment.userId, amount, { type: "admin_credit_adjustment", reason }, (change) => recordAudit(store, req, context, {
+        action: "admin.credits_adjusted",
+        target: { type: "user", id: change.user.id },
+        before: { credits: change.before },
+        after: { credits: change.after },
+        details: { amount, reason, transactionId: change.transaction.id, bulk: true }
+      }));
+      results.push(adjusted
+        ? { userId: adjusted.user.id, success: true, credits: adjusted.user.credits }
+        : { userId: adjustment.userId, success: false, error: "User not found" });
     }
     await appendEvent(store, "admin.bulk_credits_adjusted", { count: results.length });
     json(res, 200, { success: true, results });
-    return;
-  }
+  });
 
-  const transactionReviewMatch = pathname.match(/^\/api\/admin\/transactions\/([^/]+)\/review$/);
-  if (req.method === "POST" && transactionReviewMatch) {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    const body = await readBody(req);
+  router.post("/api/admin/transactions/{transactionId}/review", session("admin"), jsonBody(), async ({ req, res, store, auth: context, body, params }) => {
     const review = await store.add("reviews", {
       id: createId("review"),
-      transactionId: transactionReviewMatch[1],
+      transactionId: params.transactionId,
       notes: String(body.notes || ""),
       createdAt: nowIso()
     }, { limit: 500 });
-    await appendEvent(store, "transaction.reviewed", { transactionId: transactionReviewMatch[1], reviewId: review.id });
+    await appendEvent(store, "transaction.reviewed", { transactionId: params.transactionId, reviewId: review.id });
+    await recordAudit(store, req, context, {
+      action: "admin.transaction_reviewed",
+      target: { type: "transaction", id: params.transactionId },
+      before: null,
+      after: { reviewId: review.id, notes: review.notes }
+    });
     json(res, 200, { success: true, review });
-    return;
-  }
+  });
 
-  const transactionRefundMatch = pathname.match(/^\/api\/admin\/transactions\/([^/]+)\/refund$/);
-  if (req.method === "POST" && transactionRefundMatch) {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    const body = await readBody(req);
-    const transactions = await store.list("transactions");
-    const original = transactions.find((item) => item.id === transactionRefundMatch[1]);
-    if (!original) {
-      json(res, 404, { success: false, error: "Transaction not found" });
+  router.post("/api/admin/transactions/{transactionId}/refund", session("admin"), jsonBody(), async ({ req, res, store, auth: context, body, params }) => {
+    const reason = String(body.reason || "manual refund");
+    let refund;
+    try {
+      refund = await withStoreLock(store, async () => {
+        const original = (await store.list("transactions")).find((item) => item.id === params.transactionId);
+        if (!original) throw httpError(404, "Transaction not found");
+        if (original.status === "pending" || original.status === "expired") {
+          throw httpError(409, `A ${original.status} purchase has no credits to refund`);
+        }
+        const credits = Math.abs(Number(original.credits || 0));
+        const user = await store.findUserById(original.userId);
+        const refunded = user ? await store.updateUser(user.id, { credits: Number(user.credits || 0) + credits }) : null;
+        const transaction = await store.add("transactions", {
+          id: createId("txn"),
+          userId: original.userId,
+          type: "refund",
+          credits,
+          status: "completed",
+          reason,
+          relatedTransactionId: original.id,
+          createdAt: nowIso()
+        }, { limit: 1000 });
+        await appendEvent(store, "transaction.refunded", { transactionId: original.id, refundId: transaction.id });
+        await recordAudit(store, req, context, {
+          action: "admin.transaction_refunded",
+          target: { type: "transaction", id: original.id },
+          before: user ? { userId: user.id, credits: Number(user.credits || 0) } : null,
+          after: refunded ? { userId: refunded.id, credits: Number(refunded.credits || 0) } : null,
+          details: { refundId: transaction.id, credits, reason }
+        });
+        return transaction;
+      });
+    } catch (error) {
+      sendStatusError(res, error);
       return;
     }
-    const refund = await store.add("transactions", {
-      id: createId("txn"),
-      userId: original.userId,
-      type: "refund",
-      credits: Math.abs(Number(original.credits || 0)),
-      status: "completed",
-      reason: String(body.reason || "manual refund"),
-      relatedTransactionId: original.id,
-      createdAt: nowIso()
-    }, { limit: 1000 });
-    const user = await store.findUserById(original.userId);
-    if (user) {
-      await store.updateUser(user.id, { credits: Number(user.credits || 0) + Math.abs(Number(original.credits || 0)) });
-    }
-    await appendEvent(store, "transaction.refunded", { transactionId: original.id, refundId: refund.id });
     json(res, 200, { success: true, transaction: refund });
-    return;
-  }
+  });
 
-  if (req.method === "GET" && pathname === "/api/admin/settings") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
+  router.get("/api/admin/settings", session("admin"), async ({ res, store }) => {
     const settings = await store.getSettings();
-    json(res, 200, { success: true, settings });
-    return;
-  }
+    json(res, 200, {
+      success: true,
+      settings: Object.assign({}, settings, {
+        pricing: pricingFromSettings(settings),
+        retention: Retention.retentionFromSettings(settings),
+        rateLimits: RateLimits.rateLimitsFromSettings(settings)
+      })
+    });
+  });
 
-  if (req.method === "PUT" && pathname === "/api/admin/settings") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    const body = await readBody(req);
-    const settings = await store.updateSettings({
-      providerMode: body.providerMode !== undefined ? String(body.providerMode) : undefined,
-      proxyEndpoint: body.proxyEndpoint !== undefined ? String(body.proxyEndpoint) : undefined
+  router.put("/api/admin/settings", session("admin"), jsonBody(), async ({ req, res, store, rateLimiter, auth: context, body }) => {
+    const updates = {};
+    if (body.providerMode !== undefined) updates.providerMode = String(body.providerMode);
+    if (body.proxyEndpoint !== undefined) updates.proxyEndpoint = String(body.proxyEndpoint);
+    const previous = await store.getSettings();
+    try {
+      if (body.pricing !== undefined) updates.pricing = validatePricing(body.pricing);
+      if (body.retention !== undefined) updates.retention = Retention.validateRetention(body.retention, previous);
+      if (body.rateLimits !== undefined) updates.rateLimits = RateLimits.validateRateLimits(body.rateLimits, previous);
+    } catch (error) {
+      json(res, error.status || 400, { success: false, error: error.message });
+      return;
+    }
+    const settings = await store.updateSettings(updates);
+    if (updates.rateLimits) rateLimiter.refresh();
+    await appendEvent(store, "settings.updated", { providerMode: settings.providerMode, pricingChanged: Boolean(updates.pricing) });
+    await recordAudit(store, req, context, {
+      action: "admin.settings_updated",
+      target: { type: "settings", id: "settings" },
+      before: pickFields(previous, Object.keys(updates)),
+      after: pickFields(settings, Object.keys(updates))
     });
-    await appendEvent(store, "settings.updated", { providerMode: settings.providerMode });
     json(res, 200, { success: true, settings });
-    return;
-  }
+  });
 
-  if (req.method === "GET" && pathname === "/api/admin/settings/history") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
+  router.get("/api/admin/settings/history", session("admin"), async ({ res, store }) => {
     json(res, 200, { success: true, history: await store.list("settingsHistory") });
-    return;
-  }
+  });
+
+  router.get("/api/admin/rate-limits", session("admin"), async ({ res, store, rateLimiter }) => {
+    json(res, 200, {
+      success: true,
+      backend: rateLimiter.backend.name,
+      rateLimits: RateLimits.rateLimitsFromSettings(await store.getSettings()),
+      throttled: rateLimiter.throttled()
+    });
+  });
 
-  if (req.method === "GET" && pathname === "/api/admin/analytics") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
+  router.get("/api/admin/retention", session("admin"), async ({ res, store }) => {
+    json(res, 200, {
+      success: true,
+      retention: Retention.retentionFromSettings(await store.getSettings()),
+      runs: await store.list("retentionRuns")
+    });
+  });
+
+  router.post("/api/admin/retention/run", session("admin"), jsonBody(), async ({ req, res, store, auth: context, body }) => {
+    const run = await Retention.sweepRetention(store, { trigger: "manual", dryRun: Boolean(body.dryRun) });
+    if (!run.dryRun) {
+      await appendEvent(store, "retention.swept", { runId: run.id, trigger: run.trigger, removed: run.removed });
+      await recordAudit(store, req, context, {
+        action: "admin.retention_run",
+        target: { type: "retention", id: run.id },
+        before: null,
+        after: null,
+        details: { removed: run.removed, archive: run.archive }
+      });
+    }
+    json(res, 200, { success: true, run });
+  });
+
+  router.get("/api/admin/privacy/requests", session("admin"), async ({ res, store, query, version }) => {
+    try {
+      const pagination = parsePagination(query);
+      const result = paginate(await Gdpr.listPrivacyRequests(store, query), pagination.limit, pagination.offset);
+      sendPage(res, version, "requests", result);
+    } catch (error) {
+      sendStatusError(res, error);
+    }
+  });
+
+  router.post("/api/admin/privacy/requests/{requestId}/process", session("admin"), async ({ req, res, store, auth: context, params }) => {
+    try {
+      const result = await Gdpr.processDeletionRequest(store, params.requestId);
+      await appendEvent(store, "privacy.deletion_completed", { requestId: result.request.id, certificateId: result.certificate.certificate_id });
+      await recordAudit(store, req, context, {
+        action: "admin.privacy_deletion_processed",
+        target: { type: "privacyRequest", id: result.request.id },
+        before: { status: "pending" },
+        after: { status: result.request.status },
+        details: { certificateId: result.certificate.certificate_id }
+      });
+      json(res, 200, { success: true, request: result.request, certificate: result.certificate });
+    } catch (error) {
+      sendStatusError(res, error);
+    }
+  });
+
+  router.get("/api/admin/analytics", session("admin"), async ({ res, store }) => {
     json(res, 200, { success: true, analytics: await buildAnalytics(store) });
-    return;
-  }
+  });
 
-  if (req.method === "GET" && pathname === "/api/admin/analytics/users") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
+  router.get("/api/admin/analytics/users", session("admin"), async ({ res, store }) => {
     const users = await store.listUsers();
     json(res, 200, { success: true, users: users.map(cleanUser) });
-    return;
-  }
+  });
 
-  if (req.method === "GET" && pathname === "/api/admin/analytics/revenue") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
+  router.get("/api/admin/analytics/revenue", session("admin"), async ({ res, store }) => {
     const transactions = await store.list("transactions");
     json(res, 200, {
       success: true,
@@ -1045,136 +1916,158 @@ async function route(req, res, store) {
         purchases: transactions.filter((item) => item.type === "credit_purchase")
       }
     });
-    return;
-  }
+  });
 
-  if (req.method === "GET" && pathname === "/api/admin/analytics/usage") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
+  router.get("/api/admin/analytics/usage", session("admin"), async ({ res, store }) => {
     const summaries = await store.list("summaries");
     json(res, 200, { success: true, usage: { summaries } });
-    return;
-  }
+  });
 
-  if (req.method === "POST" && pathname === "/api/admin/reports/generate") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    const body = await readBody(req);
-    const report = await store.add("reports", {
-      id: createId("report"),
-      type: body.type || "usage",
-      parameters: clone(body.parameters || {}),
-      createdAt: nowIso(),
-      content: {
-        generatedAt: nowIso(),
-        analytics: await buildAnalytics(store)
-      }
-    }, { limit: 200 });
-    json(res, 200, { success: true, report });
-    return;
-  }
+  router.post("/api/admin/reports/generate", session("admin"), jsonBody(), async ({ res, store, body }) => {
+    try {
+      const generated = await Reports.generateReport(store, String(body.type || "usage-by-user"), body.parameters);
+      const report = await store.add("reports", Object.assign({ id: createId("report"), createdAt: nowIso() }, generated), { limit: 200 });
+      await appendEvent(store, "report.generated", { reportId: report.id, type: report.type, rows: report.content.rows.length });
+      json(res, 200, { success: true, report });
+    } catch (error) {
+      sendStatusError(res, error);
+    }
+  });
 
-  if (req.method === "GET" && pathname === "/api/admin/reports") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    json(res, 200, { success: true, reports: await store.list("reports") });
-    return;
-  }
+  router.get("/api/admin/reports", session("admin"), async ({ res, store }) => {
+    json(res, 200, {
+      success: true,
+      reports: await store.list("reports"),
+      types: Object.keys(Reports.REPORT_TYPES),
+      formats: Object.keys(Reports.FORMATS)
+    });
+  });
 
-  const reportDownloadMatch = pathname.match(/^\/api\/admin\/reports\/([^/]+)\/download$/);
-  if (req.method === "GET" && reportDownloadMatch) {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    const report = (await store.list("reports")).find((item) => item.id === reportDownloadMatch[1]);
+  router.get("/api/admin/reports/{reportId}/download", session("admin"), async ({ res, store, params, query }) => {
+    const report = (await store.list("reports")).find((item) => item.id === params.reportId);
     if (!report) {
       json(res, 404, { success: false, error: "Report not found" });
       return;
     }
-    json(res, 200, { success: true, report });
-    return;
-  }
+    if (!report.content || !Array.isArray(report.content.columns)) {
+      json(res, 409, { success: false, error: "This report predates downloadable formats; generate it again" });
+      return;
+    }
+    try {
+      const rendered = Reports.renderReport(report, query.get("format"));
+      // HTML opens inline so it can be printed; the other formats download as files.
+      res.writeHead(200, {
+        "Content-Type": rendered.contentType,
+        "Content-Length": Buffer.byteLength(rendered.body),
+        "Content-Disposition": `${rendered.extension === "html" ? "inline" : "attachment"}; filename="${rendered.filename}"`,
+        "Content-Security-Policy": "default-src 'none'; style-src 'unsafe-inline'",
+        "Cache-Control": "no-store"
+      });
+      res.end(rendered.body);
+    } catch (error) {
+      sendStatusError(res, error);
+    }
+  });
 
-  if (req.method === "POST" && pathname === "/api/admin/backup/create") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    const body = await readBody(req);
-    const backup = await store.add("backups", {
-      id: createId("backup"),
-      type: body.type || "full",
-      createdAt: nowIso(),
-      restoredAt: null
-    }, { limit: 100 });
+  router.post("/api/admin/backup/create", session("admin"), jsonBody(), async ({ req, res, store, auth: context, body }) => {
+    const backup = await createBackup(store, body.type || "full");
+    await appendEvent(store, "backup.created", { backupId: backup.id, bytes: backup.bytes });
+    await recordAudit(store, req, context, { action: "admin.backup_created", target: { type: "backup", id: backup.id }, before: null, after: { type: backup.type, checksum: backup.checksum } });
     json(res, 200, { success: true, backup });
-    return;
-  }
+  });
 
-  if (req.method === "GET" && pathname === "/api/admin/backup/list") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
+  router.get("/api/admin/backup/list", session("admin"), async ({ res, store }) => {
     json(res, 200, { success: true, backups: await store.list("backups") });
-    return;
-  }
+  });
 
-  const backupRestoreMatch = pathname.match(/^\/api\/admin\/backup\/([^/]+)\/restore$/);
-  if (req.method === "POST" && backupRestoreMatch) {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
+  router.post("/api/admin/backup/{backupId}/restore", session("admin"), jsonBody(), async ({ req, res, store, auth: context, body, params }) => {
     const backups = await store.list("backups");
-    const backup = backups.find((item) => item.id === backupRestoreMatch[1]);
+    const backup = backups.find((item) => item.id === params.backupId);
     if (!backup) {
       json(res, 404, { success: false, error: "Backup not found" });
       return;
     }
-    backup.restoredAt = nowIso();
-    await store.replace("backups", backups);
-    await appendEvent(store, "backup.restored", { backupId: backup.id });
-    json(res, 200, { success: true, backup });
-    return;
-  }
+    const dryRun = Boolean(body.dryRun);
+    let result;
+    try {
+      result = await restoreBackup(store, backup, { dryRun });
+    } catch (error) {
+      if (!error.status) throw error;
+      json(res, error.status, { success: false, error: error.message });
+      return;
+    }
+    if (dryRun) {
+      json(res, 200, { success: true, dryRun, backup, diff: result.diff });
+      return;
+    }
+    const catalog = await store.list("backups");
+    const restored = catalog.find((item) => item.id === backup.id);
+    restored.restoredAt = nowIso();
+    await store.replace("backups", catalog);
+    await appendEvent(store, "backup.restored", {
+      backupId: backup.id,
+      safetyBackupId: result.safetyBackup.id,
+      hasChanges: result.diff.hasChanges
+    });
+    await recordAudit(store, req, context, {
+      action: "admin.backup_restored",
+      target: { type: "backup", id: backup.id },
+      before: { safetyBackupId: result.safetyBackup.id },
+      after: { checksum: backup.checksum },
+      details: { hasChanges: result.diff.hasChanges }
+    });
+    json(res, 200, { success: true, dryRun, backup: restored, safetyBackup: result.safetyBackup, diff: result.diff });
+  });
 
-  if (req.method === "POST" && pathname === "/api/admin/maintenance/schedule") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    const body = await readBody(req);
-    const window = await store.add("maintenanceWindows", {
-      id: createId("maintenance"),
-      startsAt: body.startsAt,
-      endsAt: body.endsAt,
-      note: String(body.note || "")
-    }, { limit: 100 });
-    json(res, 200, { success: true, window });
-    return;
-  }
+  router.post("/api/admin/maintenance/schedule", session("admin"), jsonBody(), async ({ req, res, store, auth: context, body }) => {
+    try {
+      const window = await Maintenance.scheduleMaintenanceWindow(store, body);
+      await appendEvent(store, "admin.maintenance_scheduled", { windowId: window.id, startsAt: window.startsAt, endsAt: window.endsAt });
+      await recordAudit(store, req, context, {
+        action: "admin.maintenance_scheduled",
+        target: { type: "maintenance_window", id: window.id },
+        before: null,
+        after: pickFields(window, ["startsAt", "endsAt", "note"])
+      });
+      json(res, 200, { success: true, window });
+    } catch (error) {
+      sendStatusError(res, error);
+    }
+  });
 
-  if (req.method === "GET" && pathname === "/api/admin/maintenance/windows") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    json(res, 200, { success: true, windows: await store.list("maintenanceWindows") });
-    return;
-  }
+  router.get("/api/admin/maintenance/windows", session("admin"), async ({ res, store }) => {
+    json(res, 200, { success: true, windows: await store.list("maintenanceWindows"), status: await Maintenance.maintenanceStatus(store) });
+  });
 
-  const restartServiceMatch = pathname.match(/^\/api\/admin\/system\/services\/([^/]+)\/restart$/);
-  if (req.method === "POST" && restartServiceMatch) {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
-    await appendEvent(store, "system.service_restart_requested", { service: restartServiceMatch[1] });
-    json(res, 200, { success: true, service: restartServiceMatch[1], status: "restart-requested" });
-    return;
-  }
+  router.delete("/api/admin/maintenance/windows/{windowId}", session("admin"), async ({ req, res, store, auth: context, params }) => {
+    try {
+      const window = await Maintenance.cancelMaintenanceWindow(store, params.windowId);
+      await appendEvent(store, "admin.maintenance_cancelled", { windowId: window.id });
+      await recordAudit(store, req, context, {
+        action: "admin.maintenance_cancelled",
+        target: { type: "maintenance_window", id: window.id },
+        before: null,
+        after: pickFields(window, ["cancelledAt"])
+      });
+      json(res, 200, { success: true, window });
+    } catch (error) {
+      sendStatusError(res, error);
+    }
+  });
+
+  router.post("/api/admin/system/services/{serviceId}/restart", session("admin"), async ({ req, res, store, auth: context, params }) => {
+    await appendEvent(store, "system.service_restart_requested", { service: params.serviceId });
+    await recordAudit(store, req, context, { action: "admin.service_restart_requested", target: { type: "service", id: params.serviceId }, before: null, after: null });
+    json(res, 200, { success: true, service: params.serviceId, status: "restart-requested" });
+  });
 
-  if (req.method === "GET" && pathname === "/api/admin/system/alerts") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
+  router.get("/api/admin/system/alerts", session("admin"), async ({ res, store }) => {
     json(res, 200, { success: true, alerts: await store.list("systemAlerts") });
-    return;
-  }
+  });
 
-  const acknowledgeAlertMatch = pathname.match(/^\/api\/admin\/system\/alerts\/([^/]+)\/acknowledge$/);
-  if (req.method === "POST" && acknowledgeAlertMatch) {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
+  router.post("/api/admin/system/alerts/{alertId}/acknowledge", session("admin"), async ({ res, store, params }) => {
     const alerts = await store.list("systemAlerts");
-    const alert = alerts.find((item) => item.id === acknowledgeAlertMatch[1]);
+    const alert = alerts.find((item) => item.id === params.alertId);
     if (!alert) {
       json(res, 404, { success: false, error: "Alert not found" });
       return;
@@ -1183,26 +2076,90 @@ async function route(req, res, store) {
     alert.acknowledgedAt = nowIso();
     await store.replace("systemAlerts", alerts);
     json(res, 200, { success: true, alert });
-    return;
-  }
+  });
 
-  if (req.method === "GET" && pathname === "/api/admin/audit") {
-    const context = await requireSession(store, req, res, "admin");
-    if (!context) return;
+  router.get("/api/admin/security/lockouts", session("admin"), async ({ res, store }) => {
+    json(res, 200, { success: true, lockouts: await LoginGuard.listLoginThrottles(store) });
+  });
+
+  router.post("/api/admin/security/lockouts/unlock", session("admin"), jsonBody(), async ({ req, res, store, auth: context, body }) => {
+    let email = String(body.email || "").trim().toLowerCase();
+    if (body.userId) {
+      const user = await store.findUserById(String(body.userId));
+      if (!user) {
+        json(res, 404, { success: false, error: "User not found" });
+        return;
+      }
+      email = user.email;
+    }
+    const subjects = [];
+    if (email) subjects.push({ kind: "account", key: email }, { kind: "admin", key: email });
+    if (body.ip) subjects.push({ kind: "ip", key: String(body.ip) });
+    if (!subjects.length) {
+      json(res, 400, { success: false, error: "Provide userId, email or ip to unlock" });
+      return;
+    }
+    const cleared = await LoginGuard.clearLoginFailures(store, subjects);
+    await appendEvent(store, "auth.unlocked", { cleared: cleared.map((item) => item.id) });
+    await recordAudit(store, req, context, {
+      action: "admin.lockouts_cleared",
+      target: { type: "login_throttle", id: subjects.map((subject) => `${subject.kind}:${subject.key}`).join(",") },
+      before: cleared.map((item) => pickFields(item, ["id", "failures", "lockouts", "lockedUntil"])),
+      after: null
+    });
+    json(res, 200, { success: true, cleared });
+  });
+
+  router.get("/api/admin/audit", session("admin"), async ({ res, store }) => {
     json(res, 200, { success: true, events: (await store.list("events")).slice(0, 100), reviews: (await store.list("reviews")).slice(0, 100) });
-    return;
-  }
+  });
 
-  text(res, 404, "Not Found");
+  router.get("/api/admin/audit/log", session("admin"), async ({ res, store, query, version }) => {
+    try {
+      const pagination = parsePagination(query);
+      const result = paginate(await Audit.listAuditEntries(store, query), pagination.limit, pagination.offset);
+      sendPage(res, version, "entries", result);
+    } catch (error) {
+      sendStatusError(res, error);
+    }
+  });
+
+  router.get("/api/admin/audit/verify", session("admin"), async ({ res, store }) => {
+    json(res, 200, { success: true, verification: await Audit.verifyAuditLog(store) });
+  });
+
+  router.get("/api/admin/audit/export", session("admin"), async ({ res, store, query }) => {
+    try {
+      const entries = await Audit.listAuditEntries(store, query);
+      const rendered = Audit.renderAuditExport(entries, query.get("format"));
+      const verification = await Audit.verifyAuditLog(store);
+      res.writeHead(200, {
+        "Content-Type": rendered.contentType,
+        "Content-Length": Buffer.byteLength(rendered.body),
+        "Content-Disposition": `attachment; filename="${rendered.filename}"`,
+        "X-Audit-Head-Hash": verification.headHash,
+        "Cache-Control": "no-store"
+      });
+      res.end(rendered.body);
+    } catch (error) {
+      sendStatusError(res, error);
+    }
+  });
+
+  return router;
 }
 
+const router = buildRouter();
+
 async function createBackendApp(options = {}) {
   const seedPasswordRecord = scryptRecord("correct-password", "seed-password-salt");
   const store = options.store || await createBackendStore({
     storeType: options.storeType,
     filePath: options.filePath,
+    connection: options.connection,
     seedPasswordRecord
   });
+  Metrics.instrumentStore(store);
 
   const readiness = config.backendReadiness();
   if (!readiness.ok) {
@@ -1214,25 +2171,100 @@ async function createBackendApp(options = {}) {
     await appendAlert(store, "medium", "TRELLO_APP_KEY is not configured; Trello authorization and signed REST calls cannot complete.", "startup");
   }
 
+  const webhookDispatcher = Webhooks.createWebhookDispatcher(store, Object.assign({
+    expandEvent: webhookEventData
+  }, options.webhooks || {}));
+  webhookDispatchers.set(store, webhookDispatcher);
+  await webhookDispatcher.resume();
+
+  const rateLimiter = RateLimits.createRateLimiter(store, options.rateLimits);
+
+  const batchWorker = createBatchWorker(store, Object.assign({
+    analyze: (payload, guardrails) => runBackendAnalysis(payload, guardrails, options.analysis),
+    appendEvent,
+    pausedUntil: async (target) => {
+      const window = await Maintenance.activeMaintenanceWindow(target);
+      return window ? new Date(window.endsAt).getTime() : 0;
+    }
+  }, options.batchWorker || {}));
+  await batchWorker.resume();
+
+  const retentionSweeper = Retention.createRetentionSweeper(store, Object.assign({
+    onSwept: async (run) => {
+      await appendEvent(store, "retention.swept", { runId: run.id, trigger: run.trigger, removed: run.removed });
+      await Audit.appendAudit(store, {
+        action: "system.retention_run",
+        target: { type: "retention", id: run.id },
+        before: null,
+        after: null,
+        details: { removed: run.removed, archive: run.archive }
+      });
+    },
+    onError: (error) => appendAlert(store, "high", `Retention sweep failed: ${error.message}`, "retention")
+  }, options.retention || {}));
+  retentionSweeper.start();
+
+  // With `validateResponses`, every JSON response is checked against the OpenAPI document and mismatches are kept
+  // here for the contract tests.
+  const contractViolations = [];
+  const checkResponse = (req, operation) => (status, payload) => {
+    const route = `${req.method} ${String(req.url || "").split("?")[0]}`;
+    const problems = operation
+      ? OpenApi.responseProblems(operation, status, payload)
+      : status < 400 ? [{ field: "path", message: "is not in the OpenAPI document" }] : [];
+    if (problems.length) {
+      contractViolations.push({ route, operationId: operation ? operation.operationId : null, status, problems });
+    }
+  };
+
   return {
     store,
+    batchWorker,
+    webhookDispatcher,
+    retentionSweeper,
+    rateLimiter,
+    contractViolations,
+    close() {
+      batchWorker.stop();
+      webhookDispatcher.stop();
+      retentionSweeper.stop();
+    },
     async handle(req, res) {
+      const startedAt = process.hrtime.bigint();
+      const requestId = requestIdFor(req);
+      requestIds.set(req, requestId);
+      res.setHeader("X-Request-Id", requestId);
+      res.on("finish", () => {
+        const route = unmatchedResponses.has(res) ? "unmatched" : Metrics.routeLabel(String(req.url || "").split("?")[0]);
+        Metrics.metricsFor(store).observeRequest(req.method, route, res.statusCode, startedAt);
+      });
       res.setHeader("X-Content-Type-Options", "nosniff");
       res.setHeader("X-Frame-Options", "DENY");
       res.setHeader("Referrer-Policy", "no-referrer");
       const origin = req.headers.origin || "*";
       res.setHeader("Access-Control-Allow-Origin", origin);
       res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
-      res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, Idempotency-Key");
+      res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, Idempotency-Key, X-Request-Id");
+      res.setHeader("Access-Control-Expose-Headers", "X-Request-Id, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After");
       res.setHeader("Access-Control-Max-Age", "86400");
       if (req.method === "OPTIONS") {
         res.writeHead(204);
         res.end();
         return;
       }
+      const requestUrl = new URL(req.url, `http://${req.headers.host || `${config.HOST}:${config.PORT}`}`);
+      const ctx = { req, res, store, options, batchWorker, rateLimiter, pathname: requestUrl.pathname, query: requestUrl.searchParams };
+      router.resolve(ctx);
+      ctx.operation = ctx.route ? OpenApi.operationFor(req.method, ctx.route.path, ctx.version) : null;
+      if (ctx.operation) operations.set(req, ctx.operation);
+      if (options.validateResponses) responseChecks.set(res, checkResponse(req, ctx.operation));
       try {
-        await route(req, res, store);
+        await router.dispatch(ctx, notFound);
       } catch (error) {
+        if (error.status) {
+          json(res, error.status, errorPayload(error));
+          return;
+        }
         await appendAlert(store, "high", error.message, "runtime");
         json(res, 500, { success: false, error: error.message });
       }
@@ -1241,5 +2273,6 @@ async function createBackendApp(options = {}) {
 }
 
 module.exports = {
-  createBackendApp
+  createBackendApp,
+  routeTable: () => router.table()
 };
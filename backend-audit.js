@@ -0,0 +1,206 @@
+const crypto = require("node:crypto");
+const { createBackendStore, createId } = require("./backend-storage");
+const { csvCell } = require("./backend-reports");
+
+const GENESIS_HASH = "0".repeat(64);
+const HEAD_ID = "audit_head";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HASHED_FIELDS = ["id", "seq", "action", "actor", "target", "before", "after", "details", "requestId", "ip", "createdAt", "prevHash"];
+const FILTERS = ["action", "actorId", "targetType", "targetId", "requestId"];
+const EXPORT_FORMATS = {
+  jsonl: { contentType: "application/x-ndjson; charset=utf-8", extension: "jsonl" },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" }
+};
+const CSV_COLUMNS = [
+  ["seq", (entry) => entry.seq],
+  ["createdAt", (entry) => entry.createdAt],
+  ["action", (entry) => entry.action],
+  ["actorType", (entry) => entry.actor && entry.actor.type],
+  ["actorId", (entry) => entry.actor && entry.actor.id],
+  ["actorEmail", (entry) => entry.actor && entry.actor.email],
+  ["targetType", (entry) => entry.target && entry.target.type],
+  ["targetId", (entry) => entry.target && entry.target.id],
+  ["before", (entry) => jsonCell(entry.before)],
+  ["after", (entry) => jsonCell(entry.after)],
+  ["details", (entry) => jsonCell(entry.details)],
+  ["requestId", (entry) => entry.requestId],
+  ["ip", (entry) => entry.ip],
+  ["prevHash", (entry) => entry.prevHash],
+  ["hash", (entry) => entry.hash]
+];
+
+const chains = new WeakMap();
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function jsonValue(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function jsonCell(value) {
+  return value === null || value === undefined ? "" : JSON.stringify(value);
+}
+
+// Object keys are sorted so a row that comes back from Postgres JSONB or SQLite with its keys reordered still hashes the same.
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map((item) => canonicalJson(item === undefined ? null : item)).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).filter((key) => value[key] !== undefined).sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function entryHash(entry) {
+  const hashed = {};
+  for (const field of HASHED_FIELDS) hashed[field] = entry[field] === undefined ? null : entry[field];
+  return crypto.createHash("sha256").update(canonicalJson(hashed)).digest("hex");
+}
+
+// The head is its own one-row collection, so an append reads one record however long the log grows. A log written before
+// the head existed is read in full once to seed it.
+async function chainHead(store) {
+  const head = (await store.list("auditHead"))[0];
+  if (head) return head;
+  const newest = (await store.list("auditLog"))[0];
+  return newest ? { seq: newest.seq, hash: newest.hash } : null;
+}
+
+async function writeEntry(store, input) {
+  const head = await chainHead(store);
+  const entry = {
+    id: createId("audit"),
+    seq: head ? Number(head.seq) + 1 : 1,
+    action: String(input.action),
+    actor: jsonValue(input.actor || { type: "system", id: null, email: null }),
+    target: jsonValue(input.target),
+    before: jsonValue(input.before),
+    after: jsonValue(input.after),
+    details: jsonValue(input.details),
+    requestId: input.requestId || null,
+    ip: input.ip || null,
+    createdAt: nowIso(),
+    prevHash: head ? head.hash : GENESIS_HASH
+  };
+  entry.hash = entryHash(entry);
+  const saved = await store.add("auditLog", entry);
+  await store.replace("auditHead", [{ id: HEAD_ID, seq: saved.seq, hash: saved.hash, updatedAt: saved.createdAt }]);
+  return saved;
+}
+
+// Appends are serialized per store on their own chain rather than the batch store lock, so a route may record an
+// entry while it holds that lock. The log is never trimmed.
+function appendAudit(store, input) {
+  const previous = chains.get(store) || Promise.resolve();
+  const next = previous.then(() => writeEntry(store, input));
+  chains.set(store, next.catch(() => {}));
+  return next;
+}
+
+// Walks the chain from the first entry. A removed or reordered entry breaks the sequence or the prevHash link; an
+// edited one no longer matches its hash. Truncating the newest entries leaves the recorded head pointing past the end.
+async function verifyAuditLog(store) {
+  const entries = (await store.list("auditLog")).slice().sort((left, right) => left.seq - right.seq);
+  const head = (await store.list("auditHead"))[0];
+  const problems = [];
+  let prevHash = GENESIS_HASH;
+  entries.forEach((entry, index) => {
+    if (entry.seq !== index + 1) problems.push({ seq: entry.seq, id: entry.id, problem: `Expected sequence ${index + 1}` });
+    if (entry.prevHash !== prevHash) problems.push({ seq: entry.seq, id: entry.id, problem: "prevHash does not match the previous entry" });
+    if (entry.hash !== entryHash(entry)) problems.push({ seq: entry.seq, id: entry.id, problem: "hash does not match the entry contents" });
+    prevHash = entry.hash;
+  });
+  if (head && (head.seq !== entries.length || head.hash !== prevHash)) {
+    problems.push({ seq: head.seq, id: head.id, problem: "The recorded chain head does not match the newest entry" });
+  }
+  return {
+    ok: problems.length === 0,
+    entries: entries.length,
+    headHash: entries.length ? entries[entries.length - 1].hash : GENESIS_HASH,
+    problems,
+    verifiedAt: nowIso()
+  };
+}
+
+function parseBoundary(value, name, endOfDay) {
+  const text = String(value).trim();
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const time = new Date(dateOnly ? `${text}T00:00:00.000Z` : text).getTime();
+  if (!Number.isFinite(time)) throw httpError(400, `${name} must be an ISO date or timestamp`);
+  return new Date(dateOnly && endOfDay ? time + DAY_MS : time).toISOString();
+}
+
+function matchesAction(pattern, action) {
+  return pattern.endsWith(".*") ? action.startsWith(pattern.slice(0, -1)) : action === pattern;
+}
+
+// Newest first. `action` takes an exact action or a `prefix.*` pattern; a date-only `to` includes that whole day.
+async function listAuditEntries(store, searchParams) {
+  const query = {};
+  for (const name of FILTERS) query[name] = String(searchParams.get(name) || "").trim();
+  const from = searchParams.get("from") ? parseBoundary(searchParams.get("from"), "from", false) : "";
+  const to = searchParams.get("to") ? parseBoundary(searchParams.get("to"), "to", true) : "";
+  if (from && to && from >= to) throw httpError(400, "from must be before to");
+  return (await store.list("auditLog")).filter((entry) => {
+    if (query.action && !matchesAction(query.action, entry.action)) return false;
+    if (query.actorId && !(entry.actor && entry.actor.id === query.actorId)) return false;
+    if (query.targetType && !(entry.target && entry.target.type === query.targetType)) return false;
+    if (query.targetId && !(entry.target && entry.target.id === query.targetId)) return false;
+    if (query.requestId && entry.requestId !== query.requestId) return false;
+    if (from && entry.createdAt < from) return false;
+    if (to && entry.createdAt >= to) return false;
+    return true;
+  });
+}
+
+function publicEntry(entry) {
+  const published = {};
+  for (const field of HASHED_FIELDS.concat("hash")) published[field] = entry[field] === undefined ? null : entry[field];
+  return published;
+}
+
+// Exports run oldest first, so a full export can be re-verified line by line.
+function renderAuditExport(entries, format) {
+  const chosen = String(format || "jsonl").toLowerCase();
+  if (!EXPORT_FORMATS[chosen]) throw httpError(400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+  const ordered = entries.slice().sort((left, right) => left.seq - right.seq).map(publicEntry);
+  const body = chosen === "jsonl"
+    ? ordered.map((entry) => `${JSON.stringify(entry)}\n`).join("")
+    : `${[CSV_COLUMNS.map((column) => column[0])]
+      .concat(ordered.map((entry) => CSV_COLUMNS.map((column) => column[1](entry))))
+      .map((line) => line.map(csvCell).join(",")).join("\r\n")}\r\n`;
+  return Object.assign({ body, filename: `audit-log-${nowIso().slice(0, 10)}.${EXPORT_FORMATS[chosen].extension}` }, EXPORT_FORMATS[chosen]);
+}
+
+if (require.main === module) {
+  createBackendStore()
+    .then(verifyAuditLog)
+    .then((result) => {
+      console.log(`Audit log: ${result.entries} entries, head ${result.headHash}`);
+      for (const problem of result.problems) console.log(`[FAIL] #${problem.seq} ${problem.id}: ${problem.problem}`);
+      console.log(result.ok ? "Audit chain verified." : "Audit chain is broken.");
+      process.exit(result.ok ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  GENESIS_HASH,
+  appendAudit,
+  entryHash,
+  listAuditEntries,
+  renderAuditExport,
+  verifyAuditLog
+};
@@ -0,0 +1,161 @@
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const fsp = fs.promises;
+const path = require("node:path");
+const zlib = require("node:zlib");
+const { promisify } = require("node:util");
+const config = require("./backend-config");
+const { SCHEMA_VERSION, createId, withStoreLock } = require("./backend-storage");
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const BACKUP_LIMIT = 100;
+const FILE_SUFFIX = ".json.gz";
+// The backup catalog describes files on disk and the audit log is append-only, so a restore keeps the current ones.
+const PRESERVED_COLLECTIONS = ["backups", "auditLog", "auditHead"];
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function checksum(buffer) {
+  return `sha256:${crypto.createHash("sha256").update(buffer).digest("hex")}`;
+}
+
+function collectionNames(snapshot) {
+  return Object.keys(snapshot).filter((key) => Array.isArray(snapshot[key]));
+}
+
+function collectionCounts(snapshot) {
+  return collectionNames(snapshot).reduce((counts, key) => {
+    counts[key] = snapshot[key].length;
+    return counts;
+  }, {});
+}
+
+async function writeSnapshotFile(snapshot, fileName) {
+  const compressed = await gzip(Buffer.from(JSON.stringify(snapshot), "utf8"));
+  await fsp.mkdir(config.BACKUP_DIR, { recursive: true });
+  const target = path.join(config.BACKUP_DIR, fileName);
+  await fsp.writeFile(`${target}.tmp`, compressed);
+  await fsp.rename(`${target}.tmp`, target);
+  return { bytes: compressed.length, checksum: checksum(compressed) };
+}
+
+async function pruneBackupFiles(store) {
+  const kept = new Set((await store.list("backups")).map((item) => item.fileName).filter(Boolean));
+  const files = await fsp.readdir(config.BACKUP_DIR).catch(() => []);
+  for (const file of files) {
+    if (file.endsWith(FILE_SUFFIX) && !kept.has(file)) {
+      await fsp.unlink(path.join(config.BACKUP_DIR, file)).catch(() => {});
+    }
+  }
+}
+
+async function createBackup(store, type) {
+  const id = createId("backup");
+  const snapshot = await store.snapshot();
+  const fileName = `${id}${FILE_SUFFIX}`;
+  const file = await writeSnapshotFile(snapshot, fileName);
+  const backup = await store.add("backups", {
+    id,
+    type: type || "full",
+    fileName,
+    bytes: file.bytes,
+    checksum: file.checksum,
+    schemaVersion: snapshot.meta.schemaVersion,
+    counts: collectionCounts(snapshot),
+    createdAt: nowIso(),
+    restoredAt: null
+  }, { limit: BACKUP_LIMIT });
+  await pruneBackupFiles(store);
+  return backup;
+}
+
+async function readBackup(backup) {
+  if (!backup.fileName) {
+    throw httpError(422, "Backup has no snapshot file");
+  }
+  let compressed;
+  try {
+    compressed = await fsp.readFile(path.join(config.BACKUP_DIR, path.basename(backup.fileName)));
+  } catch (error) {
+    if (error.code === "ENOENT") throw httpError(404, "Backup file not found");
+    throw error;
+  }
+  if (checksum(compressed) !== backup.checksum) {
+    throw httpError(422, "Backup checksum does not match; the file is corrupt or was modified");
+  }
+  const snapshot = JSON.parse((await gunzip(compressed)).toString("utf8"));
+  const version = snapshot.meta && snapshot.meta.schemaVersion;
+  if (version !== SCHEMA_VERSION) {
+    throw httpError(409, `Backup schema version ${version} does not match store schema version ${SCHEMA_VERSION}`);
+  }
+  return snapshot;
+}
+
+function recordKey(record) {
+  return record && record.id ? record.id : JSON.stringify(record);
+}
+
+function diffSnapshots(current, target) {
+  const collections = {};
+  for (const key of collectionNames(target)) {
+    if (PRESERVED_COLLECTIONS.includes(key)) continue;
+    const before = new Map((current[key] || []).map((record) => [recordKey(record), JSON.stringify(record)]));
+    const after = new Map(target[key].map((record) => [recordKey(record), JSON.stringify(record)]));
+    let added = 0;
+    let changed = 0;
+    for (const [id, serialized] of after) {
+      if (!before.has(id)) added += 1;
+      else if (before.get(id) !== serialized) changed += 1;
+    }
+    const removed = [...before.keys()].filter((id) => !after.has(id)).length;
+    collections[key] = { current: before.size, backup: after.size, added, removed, changed };
+  }
+  const settingsChanged = JSON.stringify(current.settings) !== JSON.stringify(target.settings);
+  return {
+    collections,
+    settingsChanged,
+    hasChanges: settingsChanged || Object.values(collections).some((item) => item.added || item.removed || item.changed)
+  };
+}
+
+function withPreservedCollections(snapshot, current) {
+  const next = Object.assign({}, snapshot);
+  for (const key of PRESERVED_COLLECTIONS) {
+    next[key] = current[key] || [];
+  }
+  return next;
+}
+
+// Held under the store lock from the safety backup to the swap, so no locked write lands in between and is lost.
+async function restoreBackup(store, backup, options = {}) {
+  const snapshot = await readBackup(backup);
+  if (options.dryRun) {
+    const current = await store.snapshot();
+    return { diff: diffSnapshots(current, withPreservedCollections(snapshot, current)), safetyBackup: null };
+  }
+  return withStoreLock(store, async () => {
+    const safetyBackup = await createBackup(store, "pre-restore");
+    const current = await store.snapshot();
+    const next = withPreservedCollections(snapshot, current);
+    const diff = diffSnapshots(current, next);
+    await store.restore(next);
+    return { diff, safetyBackup };
+  });
+}
+
+module.exports = {
+  createBackup,
+  diffSnapshots,
+  readBackup,
+  restoreBackup
+};
@@ -0,0 +1,193 @@
+const crypto = require("node:crypto");
+const { EventEmitter } = require("node:events");
+const { createId, withStoreLock } = require("./backend-storage");
+
+const EVENT_LIMIT = 5000;
+const HEARTBEAT_MS = 15000;
+const RECONNECT_MS = 3000;
+const STREAM_TOKEN_TTL_MS = 10 * 60 * 1000;
+
+const emitters = new WeakMap();
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function emitterFor(store) {
+  if (!emitters.has(store)) {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    emitters.set(store, emitter);
+  }
+  return emitters.get(store);
+}
+
+function isFinished(job) {
+  return Boolean(job.finishedAt);
+}
+
+// Compares a job before and after one update. A card going back to `pending` with a retry time is a `card.retry`;
+// other card moves are `card.status`; the job gets `job.status` when its computed status or finishedAt changes.
+function progressChanges(before, after) {
+  const changes = [];
+  const previousCards = new Map((before.cards || []).map((card) => [card.id, card]));
+  for (const card of after.cards || []) {
+    const previous = previousCards.get(card.id);
+    const previousStatus = previous ? previous.status : null;
+    if (previousStatus === card.status) continue;
+    if (card.status === "pending" && card.nextAttemptAt) {
+      changes.push({ type: "card.retry", data: { cardId: card.id, attempts: card.attempts || 0, nextAttemptAt: card.nextAttemptAt, error: card.error || null } });
+    } else {
+      changes.push({
+        type: "card.status",
+        data: { cardId: card.id, status: card.status, previousStatus, attempts: card.attempts || 0, error: card.error || null, runId: card.runId || null }
+      });
+    }
+  }
+  if (before.status !== after.status || isFinished(before) !== isFinished(after)) {
+    changes.push({ type: "job.status", data: { status: after.status, previousStatus: before.status, finishedAt: after.finishedAt || null } });
+  }
+  return changes;
+}
+
+// Called inside updateBatchJob's store lock, so sequence numbers on the job stay gap-free and ordered.
+async function recordBatchJobProgress(store, before, after) {
+  const changes = progressChanges(before, after);
+  const entries = [];
+  for (const change of changes) {
+    after.progressSeq = Number(after.progressSeq || 0) + 1;
+    entries.push(await store.add("batchJobEvents", {
+      id: createId("bje"),
+      jobId: after.id,
+      seq: after.progressSeq,
+      type: change.type,
+      data: change.data,
+      createdAt: nowIso()
+    }, { limit: EVENT_LIMIT }));
+  }
+  return entries;
+}
+
+function publishBatchJobProgress(store, entries) {
+  for (const entry of entries) emitterFor(store).emit(entry.jobId, entry);
+}
+
+function subscribeBatchJobProgress(store, jobId, listener) {
+  const emitter = emitterFor(store);
+  emitter.on(jobId, listener);
+  return () => emitter.off(jobId, listener);
+}
+
+async function listBatchJobProgress(store, jobId) {
+  return (await store.list("batchJobEvents")).filter((item) => item.jobId === jobId).sort((left, right) => left.seq - right.seq);
+}
+
+function hashStreamToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// A browser EventSource cannot send an Authorization header, so the popup first mints a stream token with its Bearer
+// session and opens the stream with ?token=. The token names one job and opens streams for it until it expires, so
+// the EventSource's own reconnects (same URL plus Last-Event-ID) keep working; after that the client mints a new one.
+// The record is keyed by the token's hash, and expired tokens are removed whenever a new one is issued.
+function issueStreamToken(store, userId, jobId) {
+  return withStoreLock(store, async () => {
+    const now = Date.now();
+    const token = `bst_${crypto.randomBytes(24).toString("base64url")}`;
+    const expiresAt = new Date(now + STREAM_TOKEN_TTL_MS).toISOString();
+    const expired = (await store.list("batchStreamTokens")).filter((item) => new Date(item.expiresAt).getTime() <= now);
+    await store.removeRecords("batchStreamTokens", expired.map((item) => item.id));
+    await store.add("batchStreamTokens", { id: hashStreamToken(token), userId, jobId, expiresAt, createdAt: nowIso() });
+    return { token, expiresAt };
+  });
+}
+
+// null for an unknown or expired token, or one minted for another job.
+async function findStreamToken(store, token, jobId) {
+  const record = await store.findRecord("batchStreamTokens", hashStreamToken(token));
+  if (!record || record.jobId !== jobId || new Date(record.expiresAt).getTime() <= Date.now()) return null;
+  return record;
+}
+
+function writeEvent(res, id, type, data) {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Streams a job's progress as Server-Sent Events. Without a Last-Event-ID (or when the retained history no longer
+// reaches back to it) the stream opens with a `snapshot` of the whole job; otherwise it replays what was missed.
+// Live entries that arrive while the backlog is read are buffered and de-duplicated by sequence number. The stream
+// sends `end` and closes once the job has finished.
+async function streamBatchJobEvents(req, res, store, job, lastEventId) {
+  let lastSent = Math.max(0, Number(lastEventId) || 0);
+  let backlogDone = false;
+  let closed = false;
+  const buffered = [];
+  let heartbeat = null;
+  let unsubscribe = () => {};
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    clearInterval(heartbeat);
+    res.end();
+  };
+  const send = (entry) => {
+    if (closed || entry.seq <= lastSent) return;
+    lastSent = entry.seq;
+    writeEvent(res, entry.seq, entry.type, entry.data);
+    if (entry.type === "job.status" && entry.data.finishedAt) {
+      writeEvent(res, entry.seq, "end", { jobId: job.id, status: entry.data.status });
+      close();
+    }
+  };
+
+  unsubscribe = subscribeBatchJobProgress(store, job.id, (entry) => {
+    if (backlogDone) send(entry);
+    else buffered.push(entry);
+  });
+  req.on("close", close);
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  const current = (await store.list("batchJobs")).find((item) => item.id === job.id) || job;
+  const history = await listBatchJobProgress(store, job.id);
+  const currentSeq = Number(current.progressSeq || 0);
+  const reachable = lastSent > 0 && lastSent <= currentSeq &&
+    (lastSent === currentSeq || history.some((item) => item.seq === lastSent + 1));
+  if (!reachable) {
+    lastSent = currentSeq;
+    writeEvent(res, currentSeq, "snapshot", { job: current });
+    if (isFinished(current)) {
+      writeEvent(res, currentSeq, "end", { jobId: job.id, status: current.status });
+      close();
+      return;
+    }
+  }
+  for (const entry of history) send(entry);
+  backlogDone = true;
+  for (const entry of buffered) send(entry);
+  if (!closed && isFinished(current) && lastSent >= currentSeq) {
+    writeEvent(res, currentSeq, "end", { jobId: job.id, status: current.status });
+    close();
+    return;
+  }
+  if (closed) return;
+  heartbeat = setInterval(() => res.write(": keep-alive\n\n"), HEARTBEAT_MS);
+  if (heartbeat.unref) heartbeat.unref();
+}
+
+module.exports = {
+  findStreamToken,
+  issueStreamToken,
+  listBatchJobProgress,
+  publishBatchJobProgress,
+  recordBatchJobProgress,
+  streamBatchJobEvents,
+  subscribeBatchJobProgress
+};
@@ -0,0 +1,284 @@
+const { createId, withStoreLock } = require("./backend-storage");
+const { providerGuardrails, providerMode, runBackendAnalysis } = require("./backend-analysis");
+const { pricingFromSettings, quoteSummary } = require("./backend-pricing");
+const { publishBatchJobProgress, recordBatchJobProgress } = require("./backend-batch-events");
+const { metricsFor } = require("./backend-metrics");
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_BASE_MS = 2000;
+const RUNNABLE_CARD_STATUSES = ["pending", "opened"];
+const PAUSE_POLL_MS = 60000;
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function computeBatchJobStatus(job) {
+  const cards = Array.isArray(job.cards) ? job.cards : [];
+  if (!cards.length) return "queued";
+  if (cards.every((item) => item.status === "completed" || item.status === "copied" || item.status === "skipped")) {
+    return "completed";
+  }
+  if (cards.some((item) => item.status === "blocked" || item.status === "failed")) {
+    return cards.some((item) => item.status === "running" || item.status === "opened") ? "partial" : "needs-attention";
+  }
+  if (cards.some((item) => item.status === "running" || item.status === "opened" || item.status === "analyzed")) {
+    return "running";
+  }
+  return job.status || "queued";
+}
+
+function updateBatchJob(store, jobId, userId, updater) {
+  return withStoreLock(store, async () => {
+    const jobs = await store.list("batchJobs");
+    const job = jobs.find((item) => item.id === jobId && (!userId || item.userId === userId));
+    if (!job) return null;
+    const before = clone(job);
+    updater(job);
+    job.updatedAt = nowIso();
+    job.status = computeBatchJobStatus(job);
+    const progress = await recordBatchJobProgress(store, before, job);
+    await store.replace("batchJobs", jobs);
+    publishBatchJobProgress(store, progress);
+    return clone(job);
+  });
+}
+
+function isRetryable(error) {
+  return !error.status || error.status >= 500 || error.status === 429;
+}
+
+function payloadForCard(job, card) {
+  const input = card.input && typeof card.input === "object" ? card.input : {};
+  return Object.assign({}, job.analysis || {}, {
+    cardId: card.id,
+    title: card.name,
+    text: input.desc || "",
+    card: Object.assign({ id: card.id, name: card.name }, input)
+  });
+}
+
+class BatchWorker {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.analyze = options.analyze || runBackendAnalysis;
+    this.appendEvent = options.appendEvent || (async () => null);
+    this.pausedUntil = options.pausedUntil || (async () => 0);
+    this.pausePollMs = Math.max(10, Number(options.pausePollMs || PAUSE_POLL_MS));
+    this.maxAttempts = Math.max(1, Number(options.maxAttempts || DEFAULT_MAX_ATTEMPTS));
+    this.retryBaseMs = Math.max(0, Number(options.retryBaseMs === undefined ? DEFAULT_RETRY_BASE_MS : options.retryBaseMs));
+    this.active = new Map();
+    this.sleepers = new Set();
+    this.stopped = false;
+  }
+
+  async resume() {
+    const jobs = await this.store.list("batchJobs");
+    const resumable = jobs.filter((job) => job.executor === "server" && !job.finishedAt);
+    for (const job of resumable) {
+      await updateBatchJob(this.store, job.id, null, (item) => {
+        for (const card of item.cards || []) {
+          if (card.status === "running") card.status = "pending";
+        }
+      });
+      this.run(job.id).catch(() => {});
+    }
+    return resumable.map((job) => job.id);
+  }
+
+  run(jobId) {
+    const current = this.active.get(jobId);
+    if (current) return current.then(() => this.run(jobId));
+    const task = this.drain(jobId).finally(() => this.active.delete(jobId));
+    this.active.set(jobId, task);
+    return task;
+  }
+
+  stop() {
+    this.stopped = true;
+    for (const sleeper of this.sleepers) {
+      clearTimeout(sleeper.timer);
+      sleeper.resolve();
+    }
+    this.sleepers.clear();
+  }
+
+  sleep(ms) {
+    if (ms <= 0) return Promise.resolve();
+    return new Promise((resolve) => {
+      const sleeper = { resolve };
+      sleeper.timer = setTimeout(() => {
+        this.sleepers.delete(sleeper);
+        resolve();
+      }, ms);
+      if (sleeper.timer.unref) sleeper.timer.unref();
+      this.sleepers.add(sleeper);
+    });
+  }
+
+  async findJob(jobId) {
+    return (await this.store.list("batchJobs")).find((item) => item.id === jobId) || null;
+  }
+
+  async drain(jobId) {
+    let job = await this.findJob(jobId);
+    if (!job) return null;
+    if (!job.aiHandoffApproved) {
+      return updateBatchJob(this.store, jobId, null, (item) => {
+        item.status = "blocked";
+      });
+    }
+
+    let firstChunk = true;
+    while (!this.stopped) {
+      job = await this.findJob(jobId);
+      if (!job || !job.aiHandoffApproved) break;
+      const open = job.cards.filter((card) => RUNNABLE_CARD_STATUSES.includes(card.status));
+      if (!open.length) break;
+      const now = Date.now();
+      const ready = open
+        .filter((card) => !card.nextAttemptAt || new Date(card.nextAttemptAt).getTime() <= now)
+        .sort((left, right) => Number(left.queuePosition || 0) - Number(right.queuePosition || 0));
+      if (!ready.length) {
+        const nextAt = Math.min(...open.map((card) => new Date(card.nextAttemptAt).getTime()));
+        await this.sleep(nextAt - now);
+        continue;
+      }
+      // Paused jobs re-check periodically so a window that is cancelled early releases them.
+      const pausedUntil = await this.pausedUntil(this.store);
+      if (pausedUntil > now) {
+        await this.sleep(Math.min(pausedUntil - now, this.pausePollMs));
+        continue;
+      }
+      if (!firstChunk) await this.sleep(Number(job.delaySeconds || 0) * 1000);
+      firstChunk = false;
+      if (this.stopped) break;
+      const chunk = ready.slice(0, job.concurrency || 1);
+      await Promise.all(chunk.map((card) => this.processCard(job, card.id)));
+    }
+
+    if (this.stopped) return this.findJob(jobId);
+    const finished = await updateBatchJob(this.store, jobId, null, (item) => {
+      if (!item.cards.some((card) => RUNNABLE_CARD_STATUSES.includes(card.status))) {
+        item.finishedAt = item.finishedAt || nowIso();
+      }
+    });
+    if (finished && finished.finishedAt) {
+      await this.appendEvent(this.store, "batch.completed", { userId: finished.userId, jobId: finished.id, status: finished.status });
+    }
+    return finished;
+  }
+
+  async processCard(job, cardId) {
+    const started = await updateBatchJob(this.store, job.id, null, (item) => {
+      const card = item.cards.find((entry) => entry.id === cardId);
+      card.status = "running";
+      card.attempts = Number(card.attempts || 0) + 1;
+      card.nextAttemptAt = null;
+      card.updatedAt = nowIso();
+    });
+    const card = started.cards.find((entry) => entry.id === cardId);
+    const payload = payloadForCard(started, card);
+    const metrics = metricsFor(this.store);
+
+    try {
+      const charged = await this.reserveCredits(started, card, payload);
+      if (charged === null) {
+        const error = new Error("Insufficient credits");
+        error.status = 402;
+        throw error;
+      }
+      let analysis;
+      try {
+        analysis = await this.analyze(payload, providerGuardrails(payload));
+      } catch (error) {
+        await this.releaseCredits(started, card, charged);
+        throw error;
+      }
+      await updateBatchJob(this.store, job.id, null, (item) => {
+        const entry = item.cards.find((candidate) => candidate.id === cardId);
+        entry.status = "completed";
+        entry.error = null;
+        entry.runId = analysis.run.id;
+        entry.result = analysis.run;
+        entry.updatedAt = nowIso();
+      });
+      metrics.recordSummary(providerMode(payload), "batch", "success");
+    } catch (error) {
+      const retry = isRetryable(error) && card.attempts < this.maxAttempts;
+      metrics.recordSummary(providerMode(payload), "batch", error.status === 402 ? "insufficient_credits" : retry ? "retried" : "failed");
+      const delayMs = this.retryBaseMs * Math.pow(2, card.attempts - 1);
+      await updateBatchJob(this.store, job.id, null, (item) => {
+        const entry = item.cards.find((candidate) => candidate.id === cardId);
+        entry.error = error.message;
+        entry.status = retry ? "pending" : "failed";
+        entry.nextAttemptAt = retry ? new Date(Date.now() + delayMs).toISOString() : null;
+        entry.updatedAt = nowIso();
+      });
+      await this.appendEvent(this.store, retry ? "batch.card_retry_scheduled" : "batch.card_failed", {
+        userId: started.userId,
+        jobId: job.id,
+        cardId,
+        attempts: card.attempts,
+        error: error.message
+      });
+    }
+  }
+
+  // Resolves to the credits charged, or null when the balance does not cover the card's quote.
+  reserveCredits(job, card, payload) {
+    return withStoreLock(this.store, async () => {
+      const quote = quoteSummary(pricingFromSettings(await this.store.getSettings()), payload);
+      const user = await this.store.findUserById(job.userId);
+      if (!user || Number(user.credits || 0) < quote.credits) return null;
+      await this.store.updateUser(user.id, { credits: Number(user.credits || 0) - quote.credits });
+      await this.store.add("transactions", {
+        id: createId("txn"),
+        userId: user.id,
+        type: "summary_charge",
+        credits: -quote.credits,
+        status: "completed",
+        jobId: job.id,
+        cardId: card.id,
+        createdAt: nowIso()
+      }, { limit: 1000 });
+      metricsFor(this.store).recordCredits("batch", "user", quote.credits);
+      return quote.credits;
+    });
+  }
+
+  releaseCredits(job, card, credits) {
+    return withStoreLock(this.store, async () => {
+      const user = await this.store.findUserById(job.userId);
+      if (!user) return;
+      await this.store.updateUser(user.id, { credits: Number(user.credits || 0) + credits });
+      await this.store.add("transactions", {
+        id: createId("txn"),
+        userId: user.id,
+        type: "summary_charge_reversal",
+        credits,
+        status: "completed",
+        jobId: job.id,
+        cardId: card.id,
+        createdAt: nowIso()
+      }, { limit: 1000 });
+      metricsFor(this.store).recordRefund("batch", credits);
+    });
+  }
+}
+
+function createBatchWorker(store, options) {
+  return new BatchWorker(store, options);
+}
+
+module.exports = {
+  BatchWorker,
+  computeBatchJobStatus,
+  createBatchWorker,
+  payloadForCard,
+  updateBatchJob
+};
@@ -0,0 +1,96 @@
+const config = require("./backend-config");
+const CardIntelligenceLedger = require("./card-intelligence-ledger");
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function runTime(run) {
+  return String(run.completedAt || run.finishedAt || run.createdAt || "");
+}
+
+function validateLedgerRun(run, cardId) {
+  if (!run || typeof run !== "object" || Array.isArray(run)) {
+    throw httpError(400, "run must be a ledger run object");
+  }
+  if (!run.id || typeof run.id !== "string") {
+    throw httpError(400, "run.id is required");
+  }
+  if (!run.result || typeof run.result !== "object") {
+    throw httpError(400, "run.result is required");
+  }
+  if (run.cardId && String(run.cardId) !== cardId) {
+    throw httpError(409, "run.cardId does not match the card in the URL");
+  }
+}
+
+// A run belongs to the user who pushed it, or to the workspace it was pushed for. Nobody else can read it or learn that it
+// exists, so the routes answer 404 for runs the caller cannot see.
+async function readableBy(store, userId) {
+  const workspaceIds = new Set((await store.list("workspaceMembers"))
+    .filter((item) => item.userId === userId)
+    .map((item) => item.workspaceId));
+  return (record) => (record.workspaceId ? workspaceIds.has(record.workspaceId) : record.userId === userId);
+}
+
+// Newest run first, ordered by when the run completed rather than when it was pushed, so backfilled history sorts correctly.
+async function listCardRuns(store, userId, cardId) {
+  const readable = await readableBy(store, userId);
+  return (await store.list("cardRuns"))
+    .filter((item) => item.cardId === cardId && readable(item))
+    .sort((left, right) => runTime(right.run).localeCompare(runTime(left.run)));
+}
+
+async function pushCardRun(store, userId, cardId, body) {
+  const run = body && body.run ? body.run : body;
+  validateLedgerRun(run, cardId);
+  const workspaceId = body && body.workspaceId ? String(body.workspaceId) : "";
+  const readable = await readableBy(store, userId);
+  if (workspaceId && !readable({ workspaceId })) throw httpError(404, "Workspace not found");
+  const existing = (await store.list("cardRuns")).find((item) => item.id === run.id);
+  if (existing) {
+    if (!readable(existing)) throw httpError(409, "A run with this id already exists");
+    if (existing.cardId !== cardId) throw httpError(409, "A run with this id belongs to another card");
+    return { created: false, record: existing };
+  }
+  const record = await store.add("cardRuns", {
+    id: run.id,
+    cardId,
+    boardId: String((body && body.boardId) || run.boardId || ""),
+    userId,
+    workspaceId: workspaceId || null,
+    run: Object.assign({}, run, { cardId }),
+    createdAt: nowIso()
+  }, { limit: config.CARD_RUN_LIMIT });
+  return { created: true, record };
+}
+
+// Compares a run with `againstId`, or with the run just before it when no comparison run is given.
+function diffCardRuns(records, runId, againstId) {
+  const index = records.findIndex((item) => item.id === runId);
+  if (index === -1) throw httpError(404, "Run not found");
+  const previous = againstId
+    ? records.find((item) => item.id === againstId)
+    : records[index + 1];
+  if (againstId && !previous) throw httpError(404, "Comparison run not found");
+  const currentRun = records[index].run;
+  const previousRun = previous ? previous.run : null;
+  return {
+    runId,
+    againstRunId: previous ? previous.id : null,
+    change: CardIntelligenceLedger.summarizeRunChange(currentRun, previousRun),
+    brief: CardIntelligenceLedger.changeBriefForLedgerRuns(currentRun, previousRun)
+  };
+}
+
+module.exports = {
+  diffCardRuns,
+  listCardRuns,
+  pushCardRun
+};
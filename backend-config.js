@@ -8,14 +8,45 @@ function env() {
     DATABASE_URL: process.env.DATABASE_URL || "",
     STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY || "",
     STRIPE_WEBHOOK_SECRET: process.env.STRIPE_WEBHOOK_SECRET || "",
+    PURCHASE_EXPIRY_MINUTES: Number(process.env.PURCHASE_EXPIRY_MINUTES || 30),
+    STRIPE_WEBHOOK_TOLERANCE_SECONDS: Number(process.env.STRIPE_WEBHOOK_TOLERANCE_SECONDS || 300),
     ADMIN_EMAIL: process.env.ADMIN_EMAIL || "admin@example.com",
     ADMIN_PASSWORD: process.env.ADMIN_PASSWORD || "",
     TRELLO_APP_KEY: process.env.TRELLO_APP_KEY || "",
     TRELLO_APP_NAME: process.env.TRELLO_APP_NAME || "Summarize This",
+    TRELLO_API_BASE_URL: process.env.TRELLO_API_BASE_URL || "https://api.trello.com",
     PROXY_ENDPOINT: process.env.PROXY_ENDPOINT || "",
     OPENAI_API_KEY: process.env.OPENAI_API_KEY || "",
     ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY || "",
-    GOOGLE_API_KEY: process.env.GOOGLE_API_KEY || ""
+    GOOGLE_API_KEY: process.env.GOOGLE_API_KEY || "",
+    OPENAI_BASE_URL: process.env.OPENAI_BASE_URL || "https://api.openai.com",
+    ANTHROPIC_BASE_URL: process.env.ANTHROPIC_BASE_URL || "https://api.anthropic.com",
+    GOOGLE_BASE_URL: process.env.GOOGLE_BASE_URL || "https://generativelanguage.googleapis.com",
+    PROVIDER_TIMEOUT_MS: Number(process.env.PROVIDER_TIMEOUT_MS || 30000),
+    CARD_RUN_LIMIT: Math.max(1, Number(process.env.CARD_RUN_LIMIT || 5000)),
+    MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || "outbox",
+    MAIL_FROM: process.env.MAIL_FROM || "Summarize This <no-reply@localhost>",
+    MAIL_OUTBOX_DIR: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "database", "outbox"),
+    SMTP_HOST: process.env.SMTP_HOST || "",
+    SMTP_PORT: Number(process.env.SMTP_PORT || 587),
+    SMTP_SECURE: process.env.SMTP_SECURE === "true",
+    SMTP_USER: process.env.SMTP_USER || "",
+    SMTP_PASSWORD: process.env.SMTP_PASSWORD || "",
+    LOGIN_MAX_FAILURES: Math.max(1, Number(process.env.LOGIN_MAX_FAILURES || 5)),
+    LOGIN_IP_MAX_FAILURES: Math.max(1, Number(process.env.LOGIN_IP_MAX_FAILURES || 20)),
+    LOGIN_LOCKOUT_MINUTES: Math.max(1, Number(process.env.LOGIN_LOCKOUT_MINUTES || 15)),
+    TRUSTED_PROXIES: String(process.env.TRUSTED_PROXIES || "").split(",").map((item) => item.trim()).filter(Boolean),
+    PASSWORD_RESET_TTL_MINUTES: Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60),
+    EMAIL_VERIFICATION_TTL_HOURS: Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 48),
+    WEBHOOK_MAX_ATTEMPTS: Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6)),
+    WEBHOOK_RETRY_BASE_MS: Math.max(0, Number(process.env.WEBHOOK_RETRY_BASE_MS || 30000)),
+    WEBHOOK_TIMEOUT_MS: Math.max(1000, Number(process.env.WEBHOOK_TIMEOUT_MS || 10000)),
+    WEBHOOK_ALLOW_PRIVATE_URLS: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true",
+    METRICS_TOKEN: process.env.METRICS_TOKEN || "",
+    RATE_LIMIT_BACKEND: process.env.RATE_LIMIT_BACKEND || "memory",
+    RETENTION_INTERVAL_MINUTES: Math.max(0, Number(process.env.RETENTION_INTERVAL_MINUTES || 60)),
+    RETENTION_ARCHIVE_DIR: process.env.RETENTION_ARCHIVE_DIR || path.join(__dirname, "database", "archives"),
+    BACKUP_DIR: process.env.BACKUP_DIR || path.join(__dirname, "database", "backups")
   };
 }
 
@@ -38,6 +69,7 @@ function backendReadiness() {
       STRIPE_SECRET_KEY: Boolean(current.STRIPE_SECRET_KEY),
       STRIPE_WEBHOOK_SECRET: Boolean(current.STRIPE_WEBHOOK_SECRET),
       PROXY_ENDPOINT: Boolean(current.PROXY_ENDPOINT),
+      METRICS_TOKEN: Boolean(current.METRICS_TOKEN),
       directProviderKey: Boolean(current.OPENAI_API_KEY || current.ANTHROPIC_API_KEY || current.GOOGLE_API_KEY)
     }
   };
@@ -89,6 +121,12 @@ const exported = {
   get STRIPE_WEBHOOK_SECRET() {
     return env().STRIPE_WEBHOOK_SECRET;
   },
+  get PURCHASE_EXPIRY_MINUTES() {
+    return env().PURCHASE_EXPIRY_MINUTES;
+  },
+  get STRIPE_WEBHOOK_TOLERANCE_SECONDS() {
+    return env().STRIPE_WEBHOOK_TOLERANCE_SECONDS;
+  },
   get ADMIN_EMAIL() {
     return env().ADMIN_EMAIL;
   },
@@ -101,6 +139,9 @@ const exported = {
   get TRELLO_APP_NAME() {
     return env().TRELLO_APP_NAME;
   },
+  get TRELLO_API_BASE_URL() {
+    return env().TRELLO_API_BASE_URL;
+  },
   get PROXY_ENDPOINT() {
     return env().PROXY_ENDPOINT;
   },
@@ -113,6 +154,90 @@ const exported = {
   get GOOGLE_API_KEY() {
     return env().GOOGLE_API_KEY;
   },
+  get OPENAI_BASE_URL() {
+    return env().OPENAI_BASE_URL;
+  },
+  get ANTHROPIC_BASE_URL() {
+    return env().ANTHROPIC_BASE_URL;
+  },
+  get GOOGLE_BASE_URL() {
+    return env().GOOGLE_BASE_URL;
+  },
+  get PROVIDER_TIMEOUT_MS() {
+    return env().PROVIDER_TIMEOUT_MS;
+  },
+  get CARD_RUN_LIMIT() {
+    return env().CARD_RUN_LIMIT;
+  },
+  get MAIL_TRANSPORT() {
+    return env().MAIL_TRANSPORT;
+  },
+  get MAIL_FROM() {
+    return env().MAIL_FROM;
+  },
+  get MAIL_OUTBOX_DIR() {
+    return env().MAIL_OUTBOX_DIR;
+  },
+  get SMTP_HOST() {
+    return env().SMTP_HOST;
+  },
+  get SMTP_PORT() {
+    return env().SMTP_PORT;
+  },
+  get SMTP_SECURE() {
+    return env().SMTP_SECURE;
+  },
+  get SMTP_USER() {
+    return env().SMTP_USER;
+  },
+  get SMTP_PASSWORD() {
+    return env().SMTP_PASSWORD;
+  },
+  get LOGIN_MAX_FAILURES() {
+    return env().LOGIN_MAX_FAILURES;
+  },
+  get LOGIN_IP_MAX_FAILURES() {
+    return env().LOGIN_IP_MAX_FAILURES;
+  },
+  get LOGIN_LOCKOUT_MINUTES() {
+    return env().LOGIN_LOCKOUT_MINUTES;
+  },
+  get TRUSTED_PROXIES() {
+    return env().TRUSTED_PROXIES;
+  },
+  get PASSWORD_RESET_TTL_MINUTES() {
+    return env().PASSWORD_RESET_TTL_MINUTES;
+  },
+  get EMAIL_VERIFICATION_TTL_HOURS() {
+    return env().EMAIL_VERIFICATION_TTL_HOURS;
+  },
+  get WEBHOOK_MAX_ATTEMPTS() {
+    return env().WEBHOOK_MAX_ATTEMPTS;
+  },
+  get WEBHOOK_RETRY_BASE_MS() {
+    return env().WEBHOOK_RETRY_BASE_MS;
+  },
+  get WEBHOOK_TIMEOUT_MS() {
+    return env().WEBHOOK_TIMEOUT_MS;
+  },
+  get WEBHOOK_ALLOW_PRIVATE_URLS() {
+    return env().WEBHOOK_ALLOW_PRIVATE_URLS;
+  },
+  get METRICS_TOKEN() {
+    return env().METRICS_TOKEN;
+  },
+  get RATE_LIMIT_BACKEND() {
+    return env().RATE_LIMIT_BACKEND;
+  },
+  get RETENTION_INTERVAL_MINUTES() {
+    return env().RETENTION_INTERVAL_MINUTES;
+  },
+  get RETENTION_ARCHIVE_DIR() {
+    return env().RETENTION_ARCHIVE_DIR;
+  },
+  get BACKUP_DIR() {
+    return env().BACKUP_DIR;
+  },
   missingEnvForBackend,
   backendReadiness,
   powerUpReadiness,
@@ -0,0 +1,317 @@
+const { GDPRComplianceManager } = require("./gdpr-compliance");
+const { createId, withStoreLock } = require("./backend-storage");
+const { retentionFromSettings } = require("./backend-retention");
+
+const CONSENT_PURPOSES = ["ai_processing", "analytics", "product_email"];
+const EXPORT_SCOPES = ["full", "portable"];
+const REQUEST_STATUSES = ["pending", "completed"];
+const PROCESSING_LOG_LIMIT = 500;
+// Removed outright when an account is deleted.
+const DELETED_COLLECTIONS = ["summaries", "sessions", "accessTokens", "cardRuns", "workspaceMembers", "webhookEndpoints"];
+// Kept for accounting and legal obligations with the user id swapped for a pseudonym.
+const PSEUDONYMIZED_COLLECTIONS = ["transactions", "checkoutSessions", "consents"];
+
+const managers = new WeakMap();
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function ownedBy(userId) {
+  return (item) => item.userId === userId;
+}
+
+function withoutFields(record, fields) {
+  const copy = Object.assign({}, record);
+  for (const field of fields) delete copy[field];
+  return copy;
+}
+
+function profileOf(user) {
+  return withoutFields(user, ["passwordHash", "passwordSalt"]);
+}
+
+// Binds the abstract storage hooks of GDPRComplianceManager to a backend store. Age-based cleanup belongs to
+// backend-retention.js, so the manager's own daily cleanup timer is not started.
+class StoreGDPRManager extends GDPRComplianceManager {
+  constructor(store, options = {}) {
+    super(Object.assign({ legalBasis: "contract", encryptSensitiveData: false }, options));
+    this.store = store;
+  }
+
+  setupDataRetentionCleanup() {}
+
+  setupConsentMonitoring() {}
+
+  setupDataProcessingLogging() {}
+
+  // privacyRequests and the audit trail are the durable record; the manager's processing log only covers recent activity.
+  storeProcessingLog() {
+    if (this.dataProcessingLog.length > PROCESSING_LOG_LIMIT) {
+      this.dataProcessingLog.splice(0, this.dataProcessingLog.length - PROCESSING_LOG_LIMIT);
+    }
+  }
+
+  async storeConsentRecord(consentId, record) {
+    return this.store.add("consents", Object.assign({ id: consentId }, record, { createdAt: record.timestamp }), { limit: 10000 });
+  }
+
+  async updateConsentRecord(consentId, record) {
+    const consents = await this.store.list("consents");
+    await this.store.replace("consents", consents.map((item) => (item.id === consentId ? Object.assign({}, item, record, { updatedAt: nowIso() }) : item)));
+  }
+
+  async getUserConsentRecords(userId) {
+    return (await this.store.list("consents")).filter(ownedBy(userId)).map((item) => [item.id, item]);
+  }
+
+  async getUserLegalBasis(userId) {
+    const active = (await this.getUserConsentRecords(userId)).filter(([, consent]) => consent.is_active);
+    return {
+      account: "contract",
+      consentedPurposes: [...new Set(active.flatMap(([, consent]) => consent.purposes))]
+    };
+  }
+
+  async collectUserData(userId) {
+    const store = this.store;
+    const user = await store.findUserById(userId);
+    const jobs = (await store.list("batchJobs")).filter(ownedBy(userId));
+    const jobIds = new Set(jobs.map((job) => job.id));
+    const workspaceIds = new Set((await store.list("workspaceMembers")).filter(ownedBy(userId)).map((member) => member.workspaceId));
+    return {
+      profile: user ? profileOf(user) : null,
+      summaries: (await store.list("summaries")).filter(ownedBy(userId)),
+      transactions: (await store.list("transactions")).filter(ownedBy(userId)),
+      events: (await store.list("events")).filter((event) => event.payload && event.payload.userId === userId),
+      batchJobs: jobs,
+      batchJobEvents: (await store.list("batchJobEvents")).filter((event) => jobIds.has(event.jobId)),
+      sessions: (await store.list("sessions")).filter(ownedBy(userId)).map((session) => withoutFields(session, ["tokenHash"])),
+      accessTokens: (await store.list("accessTokens")).filter(ownedBy(userId)).map((token) => withoutFields(token, ["tokenHash"])),
+      cardRuns: (await store.list("cardRuns")).filter(ownedBy(userId)),
+      workspaces: (await store.list("workspaces")).filter((workspace) => workspaceIds.has(workspace.id)),
+      workspaceMemberships: (await store.list("workspaceMembers")).filter(ownedBy(userId)),
+      webhookEndpoints: (await store.list("webhookEndpoints")).filter(ownedBy(userId)).map((endpoint) => withoutFields(endpoint, ["secret"])),
+      checkoutSessions: (await store.list("checkoutSessions")).filter(ownedBy(userId)),
+      consents: (await store.list("consents")).filter(ownedBy(userId)),
+      privacyRequests: (await store.list("privacyRequests")).filter(ownedBy(userId))
+    };
+  }
+
+  async checkDataPortabilityApplicability() {
+    return { applicable: true };
+  }
+
+  // Portable data is what the user supplied or had the service produce for them, not operational records.
+  async collectPortableUserData(userId) {
+    const data = await this.collectUserData(userId);
+    return {
+      profile: data.profile && { email: data.profile.email, name: data.profile.name, createdAt: data.profile.createdAt },
+      summaries: data.summaries,
+      cardRuns: data.cardRuns,
+      batchJobs: data.batchJobs,
+      consents: data.consents
+    };
+  }
+
+  formatPortableData(data) {
+    return data;
+  }
+
+  async checkDeletionPermission(userId) {
+    const blockers = [];
+    const jobs = (await this.store.list("batchJobs")).filter(ownedBy(userId));
+    if (jobs.some((job) => job.executor === "server" && !job.finishedAt)) blockers.push("A server-run batch job is still in progress");
+    const purchases = (await this.store.list("transactions")).filter(ownedBy(userId));
+    if (purchases.some((item) => item.type === "credit_purchase" && item.status === "pending")) blockers.push("A credit purchase is still pending");
+    const members = await this.store.list("workspaceMembers");
+    for (const member of members.filter((item) => item.userId === userId && item.role === "owner")) {
+      const otherOwners = members.filter((item) => item.workspaceId === member.workspaceId && item.role === "owner" && item.userId !== userId);
+      if (!otherOwners.length) blockers.push(`Workspace ${member.workspaceId} needs another owner first`);
+    }
+    return { permitted: blockers.length === 0, reason: blockers.join("; "), blockers };
+  }
+
+  async performUserDataDeletion(userId) {
+    const store = this.store;
+    const user = await store.findUserById(userId);
+    const pseudonym = `deleted_${this.pseudonymizeValue(userId, this.generatePseudonymizationKey(userId))}`;
+    const pseudonymize = (item) => Object.assign({}, item, { userId: pseudonym });
+    const endpointIds = new Set((await store.list("webhookEndpoints")).filter(ownedBy(userId)).map((endpoint) => endpoint.id));
+    const jobIds = new Set((await store.list("batchJobs")).filter(ownedBy(userId)).map((job) => job.id));
+
+    for (const name of DELETED_COLLECTIONS) {
+      await store.replace(name, (await store.list(name)).filter((item) => item.userId !== userId));
+    }
+    await store.replace("batchJobs", (await store.list("batchJobs")).filter((job) => !jobIds.has(job.id)));
+    await store.replace("batchJobEvents", (await store.list("batchJobEvents")).filter((event) => !jobIds.has(event.jobId)));
+    await store.replace("webhookDeliveries", (await store.list("webhookDeliveries")).filter((delivery) => !endpointIds.has(delivery.endpointId)));
+    await store.replace("idempotencyRecords", (await store.list("idempotencyRecords")).filter((record) => !String(record.scope).endsWith(`:${userId}`)));
+    if (user && user.email) {
+      const email = String(user.email).toLowerCase();
+      await store.replace("loginThrottles", (await store.list("loginThrottles")).filter((record) => !(record.kind === "account" && record.key === email)));
+    }
+    for (const name of PSEUDONYMIZED_COLLECTIONS) {
+      await store.replace(name, (await store.list(name)).map((item) => (item.userId === userId ? pseudonymize(item) : item)));
+    }
+    await store.replace("events", (await store.list("events")).map((event) => (event.payload && event.payload.userId === userId
+      ? Object.assign({}, event, { payload: withoutFields(Object.assign({}, event.payload, { userId: pseudonym }), ["email"]) })
+      : event)));
+    await store.replace("privacyRequests", (await store.list("privacyRequests")).map((item) => (item.userId === userId
+      ? Object.assign(pseudonymize(item), { email: null })
+      : item)));
+    await store.deleteUser(userId);
+    return {
+      pseudonym,
+      retainedData: PSEUDONYMIZED_COLLECTIONS.concat("events", "privacyRequests", "auditLog"),
+      retentionReasons: [
+        "Transactions and checkout sessions are kept for accounting under a pseudonym",
+        "Consent records and data-subject requests are kept under a pseudonym as evidence of lawful processing",
+        "Events are kept under a pseudonym until the events retention policy removes them",
+        "The admin audit trail is append-only and keeps its entries"
+      ]
+    };
+  }
+
+  async storeDeletionCertificate(certificate) {
+    return this.store.add("deletionCertificates", Object.assign({ id: certificate.certificate_id }, certificate, { user_id: null }), { limit: 10000 });
+  }
+}
+
+function managerFor(store) {
+  if (!managers.has(store)) managers.set(store, new StoreGDPRManager(store));
+  return managers.get(store);
+}
+
+async function listConsents(store, userId) {
+  const consents = (await store.list("consents")).filter(ownedBy(userId));
+  const active = consents.filter((consent) => consent.is_active);
+  return { purposes: CONSENT_PURPOSES, granted: [...new Set(active.flatMap((consent) => consent.purposes))], consents };
+}
+
+async function recordConsent(store, userId, body, meta) {
+  const purposes = Array.isArray(body && body.purposes) ? [...new Set(body.purposes.map(String))] : [];
+  if (!purposes.length) throw httpError(400, "purposes must be a non-empty array");
+  const unknown = purposes.filter((purpose) => !CONSENT_PURPOSES.includes(purpose));
+  if (unknown.length) throw httpError(400, `Unknown consent purpose: ${unknown.join(", ")}`);
+  const consentId = await managerFor(store).recordConsent(userId, {
+    purposes,
+    ipAddress: meta.ip,
+    userAgent: meta.userAgent,
+    language: body.language ? String(body.language).slice(0, 10) : "en",
+    method: "explicit",
+    checkboxChecked: true
+  });
+  return (await store.list("consents")).find((consent) => consent.id === consentId);
+}
+
+async function withdrawConsent(store, userId, meta) {
+  await managerFor(store).withdrawConsent(userId, { method: "user_request", ipAddress: meta.ip, userAgent: meta.userAgent });
+  return listConsents(store, userId);
+}
+
+function addRequest(store, user, type, fields) {
+  return store.add("privacyRequests", Object.assign({
+    id: createId("privacy"),
+    type,
+    userId: user.id,
+    email: user.email,
+    status: "pending",
+    blockers: [],
+    certificateId: null,
+    completedAt: null,
+    createdAt: nowIso()
+  }, fields), { limit: 10000 });
+}
+
+async function updateRequest(store, requestId, changes) {
+  const requests = await store.list("privacyRequests");
+  const next = requests.map((item) => (item.id === requestId ? Object.assign({}, item, changes, { updatedAt: nowIso() }) : item));
+  await store.replace("privacyRequests", next);
+  return next.find((item) => item.id === requestId);
+}
+
+// `full` is the Article 15 access copy of everything held about the user; `portable` is the Article 20 subset.
+async function exportUserData(store, user, scope) {
+  const chosen = String(scope || "full").toLowerCase();
+  if (!EXPORT_SCOPES.includes(chosen)) throw httpError(400, `scope must be one of: ${EXPORT_SCOPES.join(", ")}`);
+  const manager = managerFor(store);
+  const archive = chosen === "portable"
+    ? await manager.portUserData(user.id, { format: "JSON" })
+    : await manager.exportUserData(user.id, {});
+  if (archive.metadata && archive.metadata.retention_periods) {
+    archive.metadata.retention_periods = retentionFromSettings(await store.getSettings()).policies;
+  }
+  await addRequest(store, user, "export", { scope: chosen, status: "completed", completedAt: nowIso() });
+  return {
+    archive,
+    filename: `summarize-this-${chosen === "portable" ? "portable-data" : "data-export"}-${nowIso().slice(0, 10)}.json`
+  };
+}
+
+async function completeDeletion(store, request) {
+  const manager = managerFor(store);
+  const outcome = await withStoreLock(store, async () => {
+    const permission = await manager.checkDeletionPermission(request.userId);
+    if (!permission.permitted) return { blockers: permission.blockers };
+    return { certificate: await manager.deleteUserData(request.userId, { reason: "user_request" }) };
+  });
+  if (outcome.blockers) {
+    return { request: await updateRequest(store, request.id, { blockers: outcome.blockers }), certificate: null };
+  }
+  const completed = await updateRequest(store, request.id, {
+    status: "completed",
+    blockers: [],
+    certificateId: outcome.certificate.certificate_id,
+    completedAt: nowIso()
+  });
+  return { request: completed, certificate: Object.assign({}, outcome.certificate, { user_id: null }) };
+}
+
+// Deletes the account straight away when nothing blocks it. Otherwise the request stays pending with its blockers
+// listed, for an admin to process once they clear.
+async function requestDeletion(store, user, body) {
+  if (String((body && body.confirmEmail) || "").trim().toLowerCase() !== String(user.email).toLowerCase()) {
+    throw httpError(400, "confirmEmail must match the account email");
+  }
+  const existing = (await store.list("privacyRequests"))
+    .find((item) => item.userId === user.id && item.type === "deletion" && item.status === "pending");
+  return completeDeletion(store, existing || await addRequest(store, user, "deletion", {}));
+}
+
+async function processDeletionRequest(store, requestId) {
+  const request = (await store.list("privacyRequests")).find((item) => item.id === requestId);
+  if (!request || request.type !== "deletion") throw httpError(404, "Deletion request not found");
+  if (request.status !== "pending") throw httpError(409, "Deletion request is already completed");
+  const result = await completeDeletion(store, request);
+  if (!result.certificate) throw Object.assign(httpError(409, `Deletion is blocked: ${result.request.blockers.join("; ")}`), { request: result.request });
+  return result;
+}
+
+async function listPrivacyRequests(store, searchParams) {
+  const status = String(searchParams.get("status") || "").trim();
+  const type = String(searchParams.get("type") || "").trim();
+  if (status && !REQUEST_STATUSES.includes(status)) throw httpError(400, `status must be one of: ${REQUEST_STATUSES.join(", ")}`);
+  return (await store.list("privacyRequests"))
+    .filter((item) => (!status || item.status === status) && (!type || item.type === type));
+}
+
+module.exports = {
+  CONSENT_PURPOSES,
+  EXPORT_SCOPES,
+  StoreGDPRManager,
+  exportUserData,
+  listConsents,
+  listPrivacyRequests,
+  managerFor,
+  processDeletionRequest,
+  recordConsent,
+  requestDeletion,
+  withdrawConsent
+};
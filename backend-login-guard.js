@@ -0,0 +1,124 @@
+const config = require("./backend-config");
+const { withStoreLock } = require("./backend-storage");
+
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function policyFor(options) {
+  return Object.assign({
+    accountMaxFailures: config.LOGIN_MAX_FAILURES,
+    ipMaxFailures: config.LOGIN_IP_MAX_FAILURES,
+    lockoutMinutes: config.LOGIN_LOCKOUT_MINUTES,
+    failureWindowMinutes: config.LOGIN_LOCKOUT_MINUTES,
+    delayAfterFailures: 2,
+    delayBaseMs: 1000,
+    maxDelayMs: 30000
+  }, options || {});
+}
+
+function throttleId(subject) {
+  return `${subject.kind}:${subject.key}`;
+}
+
+function maxFailures(policy, subject) {
+  return subject.kind === "ip" ? policy.ipMaxFailures : policy.accountMaxFailures;
+}
+
+// Wait required after the most recent failure: nothing for the first few, then doubling up to maxDelayMs.
+function requiredDelayMs(policy, failures) {
+  if (failures <= policy.delayAfterFailures) return 0;
+  return Math.min(policy.maxDelayMs, policy.delayBaseMs * Math.pow(2, failures - policy.delayAfterFailures - 1));
+}
+
+function lockoutMs(policy, lockouts) {
+  return Math.min(MAX_LOCKOUT_MS, policy.lockoutMinutes * 60 * 1000 * Math.pow(2, Math.max(0, lockouts - 1)));
+}
+
+function retryAfter(untilMs, now) {
+  return Math.max(1, Math.ceil((untilMs - now) / 1000));
+}
+
+// Checked before the password so a locked account cannot be used to test guesses.
+async function checkLoginAllowed(store, subjects, options) {
+  const policy = policyFor(options);
+  const now = Date.now();
+  for (const subject of subjects) {
+    const record = await store.findRecord("loginThrottles", throttleId(subject));
+    if (!record) continue;
+    const lockedUntil = record.lockedUntil ? new Date(record.lockedUntil).getTime() : 0;
+    if (lockedUntil > now) {
+      return { ok: false, status: 423, error: "Too many failed sign-in attempts; try again later", retryAfterSeconds: retryAfter(lockedUntil, now) };
+    }
+    // Shared addresses (offices, NAT) only lock at the higher IP threshold; delays apply per account.
+    if (record.kind === "ip") continue;
+    const waitUntil = new Date(record.lastFailureAt).getTime() + requiredDelayMs(policy, record.failures);
+    if (waitUntil > now) {
+      return { ok: false, status: 429, error: "Too many failed sign-in attempts; slow down", retryAfterSeconds: retryAfter(waitUntil, now) };
+    }
+  }
+  return { ok: true };
+}
+
+// Kept for a day after the last failure so repeat lockouts keep doubling; anything older is dropped on the next write.
+function isStale(record, now) {
+  const lockedUntil = record.lockedUntil ? new Date(record.lockedUntil).getTime() : 0;
+  return lockedUntil <= now && now - new Date(record.lastFailureAt || record.updatedAt || 0).getTime() > MAX_LOCKOUT_MS;
+}
+
+// Returns the subjects this failure locked, so the caller can record `auth.lockout` events.
+function recordLoginFailure(store, subjects, options) {
+  const policy = policyFor(options);
+  return withStoreLock(store, async () => {
+    const now = Date.now();
+    const ids = new Set(subjects.map(throttleId));
+    const records = await store.list("loginThrottles");
+    await store.removeRecords("loginThrottles", records.filter((item) => !ids.has(item.id) && isStale(item, now)).map((item) => item.id));
+    const lockouts = [];
+    for (const subject of subjects) {
+      const existing = records.find((item) => item.id === throttleId(subject));
+      const record = existing || { id: throttleId(subject), kind: subject.kind, key: subject.key, failures: 0, lockouts: 0, lockedUntil: null };
+      const stale = record.lastFailureAt && now - new Date(record.lastFailureAt).getTime() > policy.failureWindowMinutes * 60 * 1000;
+      record.failures = (stale ? 0 : record.failures) + 1;
+      record.lastFailureAt = nowIso();
+      if (record.failures >= maxFailures(policy, subject)) {
+        record.lockouts += 1;
+        record.failures = 0;
+        record.lockedUntil = new Date(now + lockoutMs(policy, record.lockouts)).toISOString();
+        lockouts.push({ kind: record.kind, key: record.key, lockedUntil: record.lockedUntil, lockouts: record.lockouts });
+      }
+      record.updatedAt = nowIso();
+      if (existing) await store.updateRecord("loginThrottles", record);
+      else await store.add("loginThrottles", record);
+    }
+    return lockouts;
+  });
+}
+
+function clearLoginFailures(store, subjects) {
+  return withStoreLock(store, async () => {
+    const removed = [];
+    for (const subject of subjects) {
+      const record = await store.findRecord("loginThrottles", throttleId(subject));
+      if (record) removed.push(record);
+    }
+    await store.removeRecords("loginThrottles", removed.map((item) => item.id));
+    return removed;
+  });
+}
+
+async function listLoginThrottles(store) {
+  const now = Date.now();
+  return (await store.list("loginThrottles")).map((item) => Object.assign({}, item, {
+    locked: Boolean(item.lockedUntil) && new Date(item.lockedUntil).getTime() > now
+  }));
+}
+
+module.exports = {
+  checkLoginAllowed,
+  clearLoginFailures,
+  listLoginThrottles,
+  recordLoginFailure
+};
@@ -0,0 +1,219 @@
+const fs = require("node:fs");
+const fsp = fs.promises;
+const net = require("node:net");
+const os = require("node:os");
+const path = require("node:path");
+const tls = require("node:tls");
+const config = require("./backend-config");
+const { createId } = require("./backend-storage");
+
+const SMTP_TIMEOUT_MS = 15000;
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function normalizeMessage(message) {
+  return {
+    id: createId("mail"),
+    from: message.from || config.MAIL_FROM,
+    to: String(message.to || "").trim(),
+    subject: String(message.subject || ""),
+    text: String(message.text || ""),
+    createdAt: nowIso()
+  };
+}
+
+// Writes each message as JSON into a directory instead of sending it, for local runs and tests.
+function createOutboxTransport(options = {}) {
+  const directory = options.directory || config.MAIL_OUTBOX_DIR;
+  return {
+    driver: "outbox",
+    async send(input) {
+      const message = normalizeMessage(input);
+      await fsp.mkdir(directory, { recursive: true });
+      const target = path.join(directory, `${message.id}.json`);
+      await fsp.writeFile(`${target}.tmp`, JSON.stringify(message, null, 2));
+      await fsp.rename(`${target}.tmp`, target);
+      return { id: message.id, driver: "outbox", path: target };
+    }
+  };
+}
+
+async function readOutbox(directory) {
+  const dir = directory || config.MAIL_OUTBOX_DIR;
+  const files = (await fsp.readdir(dir).catch(() => [])).filter((file) => file.endsWith(".json"));
+  const messages = [];
+  for (const file of files) {
+    messages.push(JSON.parse(await fsp.readFile(path.join(dir, file), "utf8")));
+  }
+  return messages.sort((left, right) => right.createdAt.localeCompare(left.createdAt));
+}
+
+function headerValue(value) {
+  return String(value || "").replace(/[\r\n]+/g, " ");
+}
+
+function formatMessage(message) {
+  const body = message.text.replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+  return [
+    `From: ${headerValue(message.from)}`,
+    `To: ${headerValue(message.to)}`,
+    `Subject: ${headerValue(message.subject)}`,
+    `Date: ${new Date(message.createdAt).toUTCString()}`,
+    `Message-ID: <${message.id}@${os.hostname()}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+    "",
+    body
+  ].join("\r\n");
+}
+
+function addressOnly(value) {
+  const match = String(value || "").match(/<([^>]+)>/);
+  return (match ? match[1] : String(value || "")).trim();
+}
+
+// A small line-oriented SMTP conversation: each command waits for its complete (possibly multi-line) reply.
+class SmtpConnection {
+  constructor(socket) {
+    this.buffer = "";
+    this.lines = [];
+    this.waiting = null;
+    this.failure = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding("utf8");
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error("SMTP server timed out")));
+    socket.on("data", (chunk) => {
+      this.buffer += chunk;
+      let index;
+      while ((index = this.buffer.indexOf("\r\n")) !== -1) {
+        this.lines.push(this.buffer.slice(0, index));
+        this.buffer = this.buffer.slice(index + 2);
+      }
+      this.flush();
+    });
+    socket.on("error", (error) => {
+      this.failure = error;
+      this.flush();
+    });
+    socket.on("close", () => {
+      this.failure = this.failure || new Error("SMTP connection closed");
+      this.flush();
+    });
+  }
+
+  flush() {
+    if (!this.waiting) return;
+    const end = this.lines.findIndex((line) => /^\d{3} /.test(line) || /^\d{3}$/.test(line));
+    if (end !== -1) {
+      const lines = this.lines.splice(0, end + 1);
+      const resolve = this.waiting.resolve;
+      this.waiting = null;
+      resolve({ code: Number(lines[end].slice(0, 3)), lines: lines.map((line) => line.slice(4)) });
+    } else if (this.failure) {
+      const reject = this.waiting.reject;
+      this.waiting = null;
+      reject(this.failure);
+    }
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.flush();
+    });
+  }
+
+  async expect(expected, command) {
+    if (command !== undefined) this.socket.write(`${command}\r\n`);
+    const reply = await this.read();
+    if (!expected.includes(reply.code)) {
+      const label = command ? command.split(" ")[0] : "greeting";
+      throw new Error(`SMTP ${label} failed with ${reply.code}: ${reply.lines.join(" ")}`);
+    }
+    return reply;
+  }
+
+  upgrade(host) {
+    return new Promise((resolve, reject) => {
+      const plain = this.socket;
+      plain.removeAllListeners("data");
+      plain.removeAllListeners("close");
+      plain.removeAllListeners("error");
+      const secure = tls.connect({ socket: plain, servername: host }, () => resolve());
+      secure.once("error", reject);
+      this.attach(secure);
+    });
+  }
+
+  close() {
+    this.socket.end();
+  }
+}
+
+function openSocket(options) {
+  return new Promise((resolve, reject) => {
+    const connect = options.secure ? tls.connect : net.connect;
+    const socket = connect({ host: options.host, port: options.port, servername: options.host }, () => resolve(socket));
+    socket.once("error", reject);
+  });
+}
+
+function createSmtpTransport(options = {}) {
+  const settings = {
+    host: options.host || config.SMTP_HOST,
+    port: Number(options.port || config.SMTP_PORT),
+    secure: options.secure !== undefined ? Boolean(options.secure) : config.SMTP_SECURE,
+    user: options.user !== undefined ? options.user : config.SMTP_USER,
+    password: options.password !== undefined ? options.password : config.SMTP_PASSWORD
+  };
+  return {
+    driver: "smtp",
+    async send(input) {
+      if (!settings.host) throw new Error("SMTP_HOST is not configured");
+      const message = normalizeMessage(input);
+      const connection = new SmtpConnection(await openSocket(settings));
+      try {
+        await connection.expect([220]);
+        const hello = await connection.expect([250], `EHLO ${os.hostname()}`);
+        if (!settings.secure && hello.lines.some((line) => /^STARTTLS\b/i.test(line))) {
+          await connection.expect([220], "STARTTLS");
+          await connection.upgrade(settings.host);
+          await connection.expect([250], `EHLO ${os.hostname()}`);
+        }
+        if (settings.user) {
+          const credentials = Buffer.from(`\u0000${settings.user}\u0000${settings.password}`, "utf8").toString("base64");
+          await connection.expect([235], `AUTH PLAIN ${credentials}`);
+        }
+        await connection.expect([250], `MAIL FROM:<${addressOnly(message.from)}>`);
+        await connection.expect([250, 251], `RCPT TO:<${addressOnly(message.to)}>`);
+        await connection.expect([354], "DATA");
+        await connection.expect([250], `${formatMessage(message)}\r\n.`);
+        await connection.expect([221], "QUIT").catch(() => null);
+        return { id: message.id, driver: "smtp" };
+      } finally {
+        connection.close();
+      }
+    }
+  };
+}
+
+function createMailTransport(options = {}) {
+  const driver = options.driver || config.MAIL_TRANSPORT;
+  if (driver === "smtp") return createSmtpTransport(options);
+  if (driver === "outbox") return createOutboxTransport(options);
+  throw new Error(`Unknown MAIL_TRANSPORT: ${driver}`);
+}
+
+module.exports = {
+  createMailTransport,
+  createOutboxTransport,
+  createSmtpTransport,
+  readOutbox
+};
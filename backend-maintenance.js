@@ -0,0 +1,102 @@
+const { createId, withStoreLock } = require("./backend-storage");
+
+const UPCOMING_LIMIT = 5;
+// POST routes that change nothing users would lose (signing in or out, pricing a summary) stay open in maintenance.
+// `/api/auth/trello` refuses to link or create users itself while a window is active.
+const READ_ONLY_POSTS = ["/api/auth/login", "/api/auth/logout", "/api/auth/trello", "/api/summarize/quote"];
+// Minting a batch stream token only opens a read of the progress stream.
+const READ_ONLY_POST_PATTERN = /^\/api\/batch\/jobs\/[^/]+\/events\/token$/;
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseTime(value, name) {
+  const time = new Date(String(value || "")).getTime();
+  if (!value || !Number.isFinite(time)) throw httpError(400, `${name} must be an ISO timestamp`);
+  return new Date(time).toISOString();
+}
+
+function describeWindow(window, now) {
+  return {
+    id: window.id,
+    startsAt: window.startsAt,
+    endsAt: window.endsAt,
+    note: window.note,
+    active: isActive(window, now)
+  };
+}
+
+function isActive(window, now) {
+  return !window.cancelledAt && new Date(window.startsAt).getTime() <= now && now < new Date(window.endsAt).getTime();
+}
+
+async function scheduleMaintenanceWindow(store, body) {
+  const startsAt = parseTime(body.startsAt, "startsAt");
+  const endsAt = parseTime(body.endsAt, "endsAt");
+  if (endsAt <= startsAt) throw httpError(400, "endsAt must be after startsAt");
+  return store.add("maintenanceWindows", {
+    id: createId("maintenance"),
+    startsAt,
+    endsAt,
+    note: String(body.note || "").trim().slice(0, 500),
+    cancelledAt: null,
+    createdAt: nowIso()
+  }, { limit: 100 });
+}
+
+// Cancelling keeps the record for the admin list; it also ends a window that is already running.
+function cancelMaintenanceWindow(store, windowId) {
+  return withStoreLock(store, async () => {
+    const windows = await store.list("maintenanceWindows");
+    const window = windows.find((item) => item.id === windowId);
+    if (!window) throw httpError(404, "Maintenance window not found");
+    if (!window.cancelledAt) {
+      window.cancelledAt = nowIso();
+      window.updatedAt = nowIso();
+      await store.replace("maintenanceWindows", windows);
+    }
+    return window;
+  });
+}
+
+// Overlapping windows are treated as one: the active window reported is the one that ends last.
+async function activeMaintenanceWindow(store, now = Date.now()) {
+  const active = (await store.list("maintenanceWindows")).filter((item) => isActive(item, now));
+  if (!active.length) return null;
+  return active.sort((left, right) => right.endsAt.localeCompare(left.endsAt))[0];
+}
+
+// What /api/health and /api/config publish: the running window, if any, and the next few that have not ended.
+async function maintenanceStatus(store, now = Date.now()) {
+  const active = await activeMaintenanceWindow(store, now);
+  const upcoming = (await store.list("maintenanceWindows"))
+    .filter((item) => !item.cancelledAt && new Date(item.startsAt).getTime() > now)
+    .sort((left, right) => left.startsAt.localeCompare(right.startsAt))
+    .slice(0, UPCOMING_LIMIT);
+  return {
+    active: active ? describeWindow(active, now) : null,
+    upcoming: upcoming.map((item) => describeWindow(item, now))
+  };
+}
+
+function isReadOnlyRequest(method, pathname) {
+  if (method === "GET" || method === "HEAD" || method === "OPTIONS") return true;
+  if (pathname.startsWith("/api/admin/")) return true;
+  return method === "POST" && (READ_ONLY_POSTS.includes(pathname) || READ_ONLY_POST_PATTERN.test(pathname));
+}
+
+module.exports = {
+  activeMaintenanceWindow,
+  cancelMaintenanceWindow,
+  describeWindow,
+  isReadOnlyRequest,
+  maintenanceStatus,
+  scheduleMaintenanceWindow
+};
@@ -0,0 +1,239 @@
+const crypto = require("node:crypto");
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+const REQUEST_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const PERSIST_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+const QUEUE_STATUSES = ["pending", "opened", "running"];
+const STORE_WRITE_METHODS = [
+  "add", "replace", "restore", "updateSettings", "createUser", "updateUser", "deleteUser",
+  "createSession", "revokeSession", "rememberIdempotency", "updateRateLimitBucket"
+];
+
+const registries = new WeakMap();
+const instrumented = new WeakSet();
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+}
+
+function labelText(names, values, extra) {
+  const pairs = names.map((name, index) => `${name}="${escapeLabel(values[index])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  return String(Number(value.toFixed(9)));
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+class Counter {
+  constructor(name, help, labelNames) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  inc(labels, value = 1) {
+    const values = this.labelNames.map((name) => String(labels[name] === undefined ? "" : labels[name]));
+    const key = JSON.stringify(values);
+    const series = this.series.get(key) || { values, value: 0 };
+    series.value += value;
+    this.series.set(key, series);
+  }
+
+  lines() {
+    const lines = header(this.name, this.help, "counter");
+    for (const series of this.series.values()) {
+      lines.push(`${this.name}${labelText(this.labelNames, series.values)} ${formatValue(series.value)}`);
+    }
+    return lines;
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames, buckets) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  observe(labels, value) {
+    const values = this.labelNames.map((name) => String(labels[name] === undefined ? "" : labels[name]));
+    const key = JSON.stringify(values);
+    const series = this.series.get(key) || { values, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+    this.series.set(key, series);
+  }
+
+  lines() {
+    const lines = header(this.name, this.help, "histogram");
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${labelText(this.labelNames, series.values, `le="${formatValue(bound)}"`)} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${labelText(this.labelNames, series.values, "le=\"+Inf\"")} ${series.count}`);
+      lines.push(`${this.name}_sum${labelText(this.labelNames, series.values)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${labelText(this.labelNames, series.values)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+function gaugeLines(name, help, labelNames, samples) {
+  const lines = header(name, help, "gauge");
+  for (const sample of samples) {
+    lines.push(`${name}${labelText(labelNames, sample.values)} ${formatValue(sample.value)}`);
+  }
+  return lines;
+}
+
+function secondsSince(startedAt) {
+  return Number(process.hrtime.bigint() - startedAt) / 1e9;
+}
+
+class BackendMetrics {
+  constructor() {
+    this.startedAt = Date.now();
+    this.requests = new Counter("summarize_http_requests_total", "HTTP requests handled, by route and status code.", ["method", "route", "status"]);
+    this.requestDuration = new Histogram(
+      "summarize_http_request_duration_seconds",
+      "Time from receiving a request to finishing its response.",
+      ["method", "route"],
+      REQUEST_BUCKETS
+    );
+    this.summaries = new Counter("summarize_summaries_total", "Summary attempts by provider mode, source and outcome.", ["mode", "source", "outcome"]);
+    this.creditsConsumed = new Counter("summarize_credits_consumed_total", "Credits charged for summaries.", ["source", "account"]);
+    this.creditsRefunded = new Counter("summarize_credits_refunded_total", "Credits returned after a charged summary failed.", ["source"]);
+    this.rateLimitRejections = new Counter("summarize_rate_limit_rejections_total", "Requests refused by a rate limit or sign-in throttle.", ["scope"]);
+    this.persistDuration = new Histogram(
+      "summarize_store_persist_duration_seconds",
+      "Time spent writing to the backend store, by write operation.",
+      ["store", "operation"],
+      PERSIST_BUCKETS
+    );
+  }
+
+  observeRequest(method, route, status, startedAt) {
+    const seconds = secondsSince(startedAt);
+    this.requests.inc({ method, route, status });
+    this.requestDuration.observe({ method, route }, seconds);
+  }
+
+  recordSummary(mode, source, outcome) {
+    this.summaries.inc({ mode, source, outcome });
+  }
+
+  recordCredits(source, account, credits) {
+    if (credits > 0) this.creditsConsumed.inc({ source, account }, credits);
+  }
+
+  recordRefund(source, credits) {
+    if (credits > 0) this.creditsRefunded.inc({ source }, credits);
+  }
+
+  recordRateLimit(scope) {
+    this.rateLimitRejections.inc({ scope });
+  }
+
+  // Queue depth and open jobs are read from the store at scrape time, so they stay right across restarts.
+  async render(store) {
+    const jobs = (await store.list("batchJobs")).filter((job) => !job.finishedAt);
+    const depth = new Map(QUEUE_STATUSES.map((status) => [status, 0]));
+    const executors = new Map([["server", 0], ["popup", 0]]);
+    for (const job of jobs) {
+      const executor = job.executor === "server" ? "server" : "popup";
+      executors.set(executor, executors.get(executor) + 1);
+      for (const card of job.cards || []) {
+        if (depth.has(card.status)) depth.set(card.status, depth.get(card.status) + 1);
+      }
+    }
+    const lines = [].concat(
+      this.requests.lines(),
+      this.requestDuration.lines(),
+      this.summaries.lines(),
+      this.creditsConsumed.lines(),
+      this.creditsRefunded.lines(),
+      this.rateLimitRejections.lines(),
+      this.persistDuration.lines(),
+      gaugeLines("summarize_batch_queue_depth", "Cards waiting or running in unfinished batch jobs.", ["status"],
+        Array.from(depth, ([status, value]) => ({ values: [status], value }))),
+      gaugeLines("summarize_batch_jobs_open", "Unfinished batch jobs by executor.", ["executor"],
+        Array.from(executors, ([executor, value]) => ({ values: [executor], value }))),
+      gaugeLines("summarize_process_uptime_seconds", "Seconds since the backend app started.", [],
+        [{ values: [], value: (Date.now() - this.startedAt) / 1000 }]),
+      gaugeLines("process_resident_memory_bytes", "Resident memory size in bytes.", [],
+        [{ values: [], value: process.memoryUsage().rss }])
+    );
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+function metricsFor(store) {
+  if (!registries.has(store)) registries.set(store, new BackendMetrics());
+  return registries.get(store);
+}
+
+function storeKind(store) {
+  const name = store.constructor && store.constructor.name;
+  if (name === "PostgresBackendStore") return "postgres";
+  if (name === "SqliteBackendStore") return "sqlite";
+  return "local";
+}
+
+// Times every store write. The JSON store writes the whole file on each call; the SQL stores write rows.
+function instrumentStore(store) {
+  if (instrumented.has(store)) return store;
+  instrumented.add(store);
+  const metrics = metricsFor(store);
+  const kind = storeKind(store);
+  for (const operation of STORE_WRITE_METHODS) {
+    const original = store[operation];
+    if (typeof original !== "function") continue;
+    store[operation] = async function timedWrite(...args) {
+      const startedAt = process.hrtime.bigint();
+      try {
+        return await original.apply(this, args);
+      } finally {
+        metrics.persistDuration.observe({ store: kind, operation }, secondsSince(startedAt));
+      }
+    };
+  }
+  return store;
+}
+
+// Collapses ids in a path so each route is one series: a segment with a digit, `@` or `.`, or of 24+ characters,
+// becomes `:id` (API version segments such as `v2` are kept).
+function routeLabel(pathname) {
+  return pathname.split("/").map((segment) => {
+    if (/^v\d+$/.test(segment)) return segment;
+    return /[\d@.]/.test(segment) || segment.length >= 24 ? ":id" : segment;
+  }).join("/");
+}
+
+function authorizedScrape(req, token) {
+  const header = String(req.headers.authorization || "");
+  const candidate = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return Boolean(candidate) && crypto.timingSafeEqual(digest(candidate), digest(token));
+}
+
+module.exports = {
+  BackendMetrics,
+  CONTENT_TYPE,
+  authorizedScrape,
+  instrumentStore,
+  metricsFor,
+  routeLabel
+};
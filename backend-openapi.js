@@ -0,0 +1,509 @@
+const { version } = require("./package.json");
+const { validateSchema } = require("./backend-schema");
+const AccessTokens = require("./backend-access-tokens");
+const Workspaces = require("./backend-workspaces");
+const Gdpr = require("./backend-gdpr");
+const RateLimits = require("./backend-rate-limit");
+
+const string = { type: "string" };
+const text = { type: "string", pattern: "\\S" };
+const boolean = { type: "boolean" };
+const integer = { type: "integer" };
+const number = { type: "number" };
+const object = { type: "object" };
+const timestamp = { type: "string", format: "date-time" };
+// Fields the routes pass through Number() or String(), so clients may send either form.
+const numeric = { type: ["number", "string"] };
+const code = { type: ["string", "number"] };
+
+function nullable(schema) {
+  return Object.assign({}, schema, { type: [].concat(schema.type, "null") });
+}
+
+function arrayOf(items) {
+  return { type: "array", items };
+}
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+function shape(properties, required) {
+  return { type: "object", required: required || Object.keys(properties), properties };
+}
+
+// A `{ success: true, ... }` envelope; every listed key is required unless named in `optional`.
+function ok(properties = {}, optional = []) {
+  const required = ["success"].concat(Object.keys(properties).filter((name) => !optional.includes(name)));
+  return shape(Object.assign({ success: { const: true } }, properties), required);
+}
+
+// Page schemas remember their item schema so the v2 shape, which drops the named copy of `items`, can be derived.
+const pageItems = new WeakMap();
+
+function page(name, item) {
+  const schema = ok({ [name]: arrayOf(item), items: arrayOf(item), total: integer, limit: integer, offset: integer });
+  pageItems.set(schema, item);
+  return schema;
+}
+
+function pageV2(item) {
+  return ok({ items: arrayOf(item), total: integer, limit: integer, offset: integer });
+}
+
+function file(contentType) {
+  return { content: contentType, schema: string };
+}
+
+const SCHEMAS = {
+  Problem: shape({ field: string, message: string }, ["message"]),
+  Error: shape({ success: { const: false }, error: string, problems: arrayOf(ref("Problem")) }, ["success", "error"]),
+  Record: shape({ id: string }),
+  User: shape({
+    id: string,
+    email: string,
+    name: nullable(string),
+    credits: number,
+    role: string,
+    plan: { enum: RateLimits.USER_PLANS },
+    suspended: boolean,
+    trelloMemberId: nullable(string),
+    emailVerified: boolean,
+    createdAt: timestamp,
+    updatedAt: timestamp
+  }, ["id", "email", "credits", "role", "suspended", "emailVerified"]),
+  Admin: shape({ email: string, role: { const: "admin" }, totpEnabled: boolean }, ["email", "role"]),
+  BatchCard: shape({ id: string, name: string, status: string, queuePosition: number, attempts: number }, ["id", "status"]),
+  BatchJob: shape({ id: string, status: string, cards: arrayOf(ref("BatchCard")), createdAt: timestamp }, ["id", "status", "cards"]),
+  Readiness: shape({ ok: boolean, missing: arrayOf(string), optional: object }, ["ok", "missing"]),
+  MaintenanceStatus: shape({ active: nullable(object), upcoming: arrayOf(object) }, ["active"])
+};
+
+const pagination = {
+  limit: { type: "integer", minimum: 1 },
+  offset: { type: "integer", minimum: 0 }
+};
+
+const auditFilters = {
+  action: string,
+  actorId: string,
+  targetType: string,
+  targetId: string,
+  requestId: string,
+  from: string,
+  to: string
+};
+
+const adjustment = { amount: numeric, reason: string };
+const webhookBody = { url: string, events: arrayOf(string), description: string, active: boolean };
+const memberBody = { role: { enum: Workspaces.ROLES }, monthlyCreditCap: nullable(numeric) };
+
+// Operations mirror the routes in backend-app.js one for one; test.js fails when either side gains a path the other
+// lacks. Request bodies list the fields each route reads and leave the rest open, so the business rules (pricing,
+// retention, token scopes) stay in their modules and keep their own messages.
+const OPERATIONS = [
+  { method: "GET", path: "/metrics", operationId: "getMetrics", tag: "Operations", summary: "Prometheus metrics", auth: "metrics", responses: { 200: file("text/plain") } },
+  { method: "GET", path: "/api/openapi.json", operationId: "getOpenApi", tag: "Operations", summary: "This document", responses: { 200: object } },
+  {
+    method: "GET", path: "/api/health", operationId: "getHealth", tag: "Operations", summary: "Liveness and storage counts",
+    responses: { 200: shape({ status: string, service: string, timestamp, storage: object, readiness: ref("Readiness"), trello: object, maintenance: ref("MaintenanceStatus") }) }
+  },
+  {
+    method: "GET", path: "/api/readiness", operationId: "getReadiness", tag: "Operations", summary: "Required configuration check",
+    responses: {
+      200: shape({ status: { const: "ready" }, missing: arrayOf(string), optional: object }),
+      503: shape({ status: { const: "blocked" }, missing: arrayOf(string), optional: object })
+    }
+  },
+  {
+    method: "GET", path: "/api/config", operationId: "getConfig", tag: "Operations", summary: "Public configuration",
+    responses: { 200: shape({ host: string, port: numeric, adminEmail: string, trello: object, backend: ref("Readiness"), paths: object, maintenance: ref("MaintenanceStatus") }) }
+  },
+
+  {
+    method: "POST", path: "/api/auth/register", operationId: "register", tag: "Auth", summary: "Create an account",
+    body: shape({ email: text, password: text, name: text }),
+    responses: { 201: ok({ user: ref("User"), token: string, verificationEmailSent: boolean }) }
+  },
+  { method: "POST", path: "/api/auth/verify-email", operationId: "verifyEmail", tag: "Auth", summary: "Confirm an email address", body: shape({ token: string }), responses: { 200: ok({ user: ref("User") }) } },
+  {
+    method: "POST", path: "/api/auth/verify-email/resend", operationId: "resendVerification", tag: "Auth", summary: "Resend the verification email", auth: "user",
+    responses: { 200: ok({ alreadyVerified: boolean, sent: boolean }), 202: ok({ alreadyVerified: boolean, sent: boolean }) }
+  },
+  { method: "POST", path: "/api/auth/password/forgot", operationId: "forgotPassword", tag: "Auth", summary: "Email a password reset link", body: shape({ email: string }, []), responses: { 202: ok() } },
+  { method: "POST", path: "/api/auth/password/reset", operationId: "resetPassword", tag: "Auth", summary: "Set a new password", body: shape({ token: string, password: string }, []), responses: { 200: ok({ user: ref("User") }) } },
+  { method: "POST", path: "/api/auth/login", operationId: "login", tag: "Auth", summary: "Sign in with email and password", body: shape({ email: string, password: string }, []), responses: { 200: ok({ user: ref("User"), token: string }) } },
+  {
+    method: "POST", path: "/api/auth/trello", operationId: "loginWithTrello", tag: "Auth", summary: "Sign in with a Trello token", body: shape({ token: string, trelloToken: string }, []),
+    responses: { 200: ok({ user: ref("User"), token: string, created: boolean, linked: boolean }), 201: ok({ user: ref("User"), token: string, created: boolean, linked: boolean }) }
+  },
+  { method: "POST", path: "/api/auth/logout", operationId: "logout", tag: "Auth", summary: "Revoke the current session", responses: { 200: ok() } },
+
+  {
+    method: "POST", path: "/api/admin/auth/login", operationId: "adminLogin", tag: "Admin auth", summary: "Admin sign-in",
+    body: shape({ email: string, password: string, totpCode: code }, []),
+    responses: { 200: ok({ token: string, admin: ref("Admin") }) }
+  },
+  { method: "POST", path: "/api/admin/auth/logout", operationId: "adminLogout", tag: "Admin auth", summary: "Revoke the admin session", auth: "admin", responses: { 200: ok() } },
+  { method: "POST", path: "/api/admin/auth/refresh", operationId: "adminRefresh", tag: "Admin auth", summary: "Rotate the admin session", auth: "admin", responses: { 200: ok({ token: string, admin: ref("Admin") }) } },
+  { method: "GET", path: "/api/admin/auth/verify", operationId: "adminVerify", tag: "Admin auth", summary: "Check the admin session", auth: "admin", responses: { 200: ok({ admin: ref("Admin") }) } },
+  { method: "POST", path: "/api/admin/auth/totp/enroll", operationId: "enrollTotp", tag: "Admin auth", summary: "Start TOTP enrollment", auth: "admin", responses: { 200: ok({ secret: string, otpauthUrl: string, enabled: boolean }) } },
+  { method: "POST", path: "/api/admin/auth/totp/confirm", operationId: "confirmTotp", tag: "Admin auth", summary: "Finish TOTP enrollment", auth: "admin", body: shape({ code }, []), responses: { 200: ok({ enabled: { const: true } }) } },
+  { method: "POST", path: "/api/admin/auth/totp/disable", operationId: "disableTotp", tag: "Admin auth", summary: "Turn TOTP off", auth: "admin", body: shape({ code }, []), responses: { 200: ok({ enabled: { const: false } }) } },
+
+  { method: "GET", path: "/api/user/profile", operationId: "getProfile", tag: "User", summary: "Current user", auth: "user", responses: { 200: ok({ user: ref("User") }) } },
+  { method: "GET", path: "/api/user/credits", operationId: "getCredits", tag: "User", summary: "Credit balances", auth: "user", responses: { 200: ok({ credits: number, workspaces: arrayOf(object) }) } },
+  { method: "GET", path: "/api/user/activity", operationId: "getActivity", tag: "User", summary: "Recent events for the user", auth: "user", responses: { 200: ok({ activities: arrayOf(ref("Record")) }) } },
+  {
+    method: "GET", path: "/api/user/data-export", operationId: "exportUserData", tag: "Privacy", summary: "Download the user's data", auth: "user",
+    query: { scope: { enum: Gdpr.EXPORT_SCOPES } },
+    responses: { 200: file("application/json") }
+  },
+  {
+    method: "POST", path: "/api/user/delete-account", operationId: "deleteAccount", tag: "Privacy", summary: "Delete the account or queue the request", auth: "user",
+    body: shape({ confirmEmail: string }),
+    responses: { 200: ok({ request: ref("Record"), certificate: object }), 202: ok({ request: ref("Record") }) }
+  },
+  { method: "GET", path: "/api/user/consents", operationId: "listConsents", tag: "Privacy", summary: "Consent state", auth: "user", responses: { 200: ok({ purposes: arrayOf(string), granted: arrayOf(string), consents: arrayOf(ref("Record")) }) } },
+  {
+    method: "POST", path: "/api/user/consents", operationId: "recordConsent", tag: "Privacy", summary: "Grant consent", auth: "user",
+    body: shape({ purposes: arrayOf({ enum: Gdpr.CONSENT_PURPOSES }), language: string }, ["purposes"]),
+    responses: { 201: ok({ consent: ref("Record") }) }
+  },
+  {
+    method: "DELETE", path: "/api/user/consents", operationId: "withdrawConsent", tag: "Privacy", summary: "Withdraw consent", auth: "user",
+    body: shape({ purposes: arrayOf({ enum: Gdpr.CONSENT_PURPOSES }) }, []),
+    responses: { 200: ok({ purposes: arrayOf(string), granted: arrayOf(string), consents: arrayOf(ref("Record")) }) }
+  },
+  { method: "GET", path: "/api/user/tokens", operationId: "listAccessTokens", tag: "Access tokens", summary: "Personal access tokens", auth: "user", responses: { 200: ok({ tokens: arrayOf(ref("Record")), scopes: arrayOf(string) }) } },
+  {
+    method: "POST", path: "/api/user/tokens", operationId: "createAccessToken", tag: "Access tokens", summary: "Create a personal access token", auth: "user",
+    body: shape({ name: string, scopes: arrayOf({ enum: AccessTokens.SCOPES }), expiresInDays: nullable(numeric) }, []),
+    responses: { 201: ok({ token: string, accessToken: ref("Record") }) }
+  },
+  { method: "DELETE", path: "/api/user/tokens/{tokenId}", operationId: "revokeAccessToken", tag: "Access tokens", summary: "Revoke a personal access token", auth: "user", responses: { 200: ok({ accessToken: ref("Record") }) } },
+
+  { method: "POST", path: "/api/summarize", operationId: "summarize", tag: "Summaries", summary: "Summarize card text", auth: "user", idempotent: true,
+    body: shape({ text: string, method: string, workspaceId: string, quotedCredits: numeric, provider: object, proxy: object }, ["text"]),
+    responses: { 200: ok({ result: ref("Record"), user: ref("User") }) } },
+  { method: "POST", path: "/api/summarize/quote", operationId: "quoteSummary", tag: "Summaries", summary: "Price a summary before running it", auth: "user", body: shape({ text: string }, []), responses: { 200: ok({ quote: object, credits: number }) } },
+  { method: "GET", path: "/api/credits/pricing", operationId: "getPricing", tag: "Credits", summary: "Credit prices and packages", responses: { 200: ok({ pricing: object }) } },
+  {
+    method: "POST", path: "/api/credits/purchase", operationId: "purchaseCredits", tag: "Credits", summary: "Start a credit purchase", auth: "user", idempotent: true,
+    body: shape({ package: string, paymentMethodId: string }, []),
+    responses: { 202: ok({ transaction: ref("Record"), checkoutSession: ref("Record"), user: ref("User") }) }
+  },
+  {
+    method: "POST", path: "/api/webhooks/stripe", operationId: "stripeWebhook", tag: "Credits", summary: "Stripe event receiver", auth: "stripe",
+    responses: { 200: ok({ received: boolean, duplicate: boolean, handled: boolean, transactionId: nullable(string) }) }
+  },
+
+  {
+    method: "POST", path: "/api/batch/jobs", operationId: "createBatchJob", tag: "Batch jobs", summary: "Create a batch job", auth: "user",
+    body: shape({
+      listName: string,
+      source: string,
+      aiHandoffApproved: boolean,
+      concurrency: numeric,
+      delaySeconds: numeric,
+      outputMode: string,
+      outputLanguage: string,
+      provider: object,
+      proxy: object,
+      cards: arrayOf(shape({ id: nullable(string), cardId: nullable(string), name: nullable(string), queuePosition: numeric, card: object, desc: string, text: string }, []))
+    }, []),
+    responses: { 201: ok({ job: ref("BatchJob") }) }
+  },
+  { method: "GET", path: "/api/batch/jobs", operationId: "listBatchJobs", tag: "Batch jobs", summary: "The user's batch jobs", auth: "user", responses: { 200: ok({ jobs: arrayOf(ref("BatchJob")) }) } },
+  {
+    method: "POST", path: "/api/batch/jobs/{jobId}/events/token", operationId: "createBatchStreamToken", tag: "Batch jobs", summary: "Mint a short-lived token for the progress stream", auth: "user",
+    responses: { 201: ok({ token: string, expiresAt: timestamp }) }
+  },
+  { method: "GET", path: "/api/batch/jobs/{jobId}/events", operationId: "streamBatchJobEvents", tag: "Batch jobs", summary: "Server-sent progress events", auth: "user", query: { lastEventId: string, token: string }, responses: { 200: file("text/event-stream") } },
+  { method: "GET", path: "/api/batch/jobs/{jobId}", operationId: "getBatchJob", tag: "Batch jobs", summary: "One batch job", auth: "user", responses: { 200: ok({ job: ref("BatchJob") }) } },
+  { method: "POST", path: "/api/batch/jobs/{jobId}/start", operationId: "startBatchJob", tag: "Batch jobs", summary: "Mark a popup-run job as running", auth: "user", responses: { 200: ok({ job: ref("BatchJob") }) } },
+  { method: "POST", path: "/api/batch/jobs/{jobId}/run", operationId: "runBatchJob", tag: "Batch jobs", summary: "Queue a job on the server worker", auth: "user", responses: { 202: ok({ job: ref("BatchJob") }) } },
+  {
+    method: "POST", path: "/api/batch/jobs/{jobId}/status", operationId: "updateBatchJobStatus", tag: "Batch jobs", summary: "Report job status from the popup", auth: "user",
+    body: shape({ status: string, summary: string, finishedAt: string }, []),
+    responses: { 200: ok({ job: ref("BatchJob") }) }
+  },
+  {
+    method: "POST", path: "/api/batch/jobs/{jobId}/cards/{cardId}", operationId: "updateBatchCard", tag: "Batch jobs", summary: "Report one card's result", auth: "user",
+    body: shape({ status: string, error: nullable(string), attemptsDelta: numeric, queuePosition: numeric }, []),
+    responses: { 200: ok({ job: ref("BatchJob"), card: ref("BatchCard") }) }
+  },
+
+  { method: "GET", path: "/api/cards/{cardId}/runs/{runId}/diff", operationId: "diffCardRuns", tag: "Card runs", summary: "Compare two runs", auth: "user", query: { against: string }, responses: { 200: ok() } },
+  { method: "GET", path: "/api/cards/{cardId}/runs/{runId}", operationId: "getCardRun", tag: "Card runs", summary: "One pushed run", auth: "user", responses: { 200: ok({ run: object, pushedBy: string, boardId: nullable(string) }, ["boardId"]) } },
+  { method: "GET", path: "/api/cards/{cardId}/runs", operationId: "listCardRuns", tag: "Card runs", summary: "Pushed runs for a card", auth: "user", query: pagination, responses: { 200: page("runs", object) } },
+  {
+    method: "POST", path: "/api/cards/{cardId}/runs", operationId: "pushCardRun", tag: "Card runs", summary: "Push a run from the popup", auth: "user",
+    body: shape({ run: object, boardId: string, workspaceId: string }, []),
+    responses: { 200: ok({ created: boolean, run: object }), 201: ok({ created: boolean, run: object }) }
+  },
+  { method: "GET", path: "/api/workspaces/{workspaceId}", operationId: "getWorkspace", tag: "Workspaces", summary: "A workspace the user manages", auth: "user", responses: { 200: ok({ workspace: ref("Record") }) } },
+
+  { method: "GET", path: "/api/admin/system/health", operationId: "adminSystemHealth", tag: "Admin system", summary: "Backend health for admins", auth: "admin", responses: { 200: ok({ status: string, readiness: ref("Readiness"), eventsTracked: integer, transactionsTracked: integer, batchJobsTracked: integer }) } },
+  { method: "GET", path: "/api/admin/dashboard/metrics", operationId: "adminDashboardMetrics", tag: "Admin system", summary: "Collection counts", auth: "admin", responses: { 200: ok({ metrics: object }) } },
+  { method: "GET", path: "/api/admin/dashboard/realtime", operationId: "adminDashboardRealtime", tag: "Admin system", summary: "Live sessions, events and alerts", auth: "admin", responses: { 200: ok({ realtime: shape({ activeTokens: integer, recentEvents: arrayOf(ref("Record")), alertsOpen: integer }) }) } },
+
+  { method: "GET", path: "/api/admin/users", operationId: "adminListUsers", tag: "Admin users", summary: "All users", auth: "admin", query: pagination, responses: { 200: page("users", ref("User")) } },
+  { method: "GET", path: "/api/admin/users/stats", operationId: "adminUserStats", tag: "Admin users", summary: "User and credit totals", auth: "admin", responses: { 200: ok({ stats: shape({ totalUsers: integer, totalCredits: number, averageCredits: number }) }) } },
+  { method: "GET", path: "/api/admin/users/{userId}", operationId: "adminGetUser", tag: "Admin users", summary: "One user", auth: "admin", responses: { 200: ok({ user: ref("User") }) } },
+  { method: "PUT", path: "/api/admin/users/{userId}", operationId: "adminUpdateUser", tag: "Admin users", summary: "Edit a user", auth: "admin", body: shape({ email: string, name: string, role: string, plan: { enum: RateLimits.USER_PLANS } }, []), responses: { 200: ok({ user: ref("User") }) } },
+  { method: "DELETE", path: "/api/admin/users/{userId}", operationId: "adminDeleteUser", tag: "Admin users", summary: "Delete a user", auth: "admin", responses: { 200: ok({ user: ref("User") }) } },
+  { method: "GET", path: "/api/admin/users/{userId}/activity", operationId: "adminUserActivity", tag: "Admin users", summary: "Events for a user", auth: "admin", responses: { 200: ok({ activities: arrayOf(ref("Record")) }) } },
+  { method: "POST", path: "/api/admin/users/{userId}/suspend", operationId: "adminSuspendUser", tag: "Admin users", summary: "Suspend a user", auth: "admin", body: shape({ reason: string }, []), responses: { 200: ok({ user: ref("User"), suspended: { const: true } }) } },
+  { method: "POST", path: "/api/admin/users/{userId}/unsuspend", operationId: "adminUnsuspendUser", tag: "Admin users", summary: "Lift a suspension", auth: "admin", responses: { 200: ok({ user: ref("User"), suspended: { const: false } }) } },
+  { method: "GET", path: "/api/admin/users/{userId}/credits", operationId: "adminUserCredits", tag: "Admin users", summary: "A user's balance", auth: "admin", responses: { 200: ok({ credits: number, user: ref("User") }) } },
+  {
+    method: "POST", path: "/api/admin/users/{userId}/credits/adjust", operationId: "adminAdjustUserCredits", tag: "Admin users", summary: "Add or remove credits", auth: "admin", idempotent: true,
+    body: shape(adjustment, []),
+    responses: { 200: ok({ user: ref("User"), transaction: ref("Record") }) }
+  },
+
+  { method: "GET", path: "/api/admin/workspaces", operationId: "adminListWorkspaces", tag: "Admin workspaces", summary: "All workspaces", auth: "admin", query: pagination, responses: { 200: page("workspaces", ref("Record")) } },
+  { method: "POST", path: "/api/admin/workspaces", operationId: "adminCreateWorkspace", tag: "Admin workspaces", summary: "Create a workspace", auth: "admin", body: shape({ name: string, ownerId: string, credits: numeric }, []), responses: { 201: ok({ workspace: ref("Record") }) } },
+  { method: "GET", path: "/api/admin/workspaces/{workspaceId}", operationId: "adminGetWorkspace", tag: "Admin workspaces", summary: "One workspace with members", auth: "admin", responses: { 200: ok({ workspace: ref("Record") }) } },
+  {
+    method: "POST", path: "/api/admin/workspaces/{workspaceId}/members", operationId: "adminAddMember", tag: "Admin workspaces", summary: "Add a member", auth: "admin",
+    body: shape(Object.assign({ userId: string }, memberBody), []),
+    responses: { 201: ok({ member: object }) }
+  },
+  { method: "PUT", path: "/api/admin/workspaces/{workspaceId}/members/{userId}", operationId: "adminUpdateMember", tag: "Admin workspaces", summary: "Change a member's role or cap", auth: "admin", body: shape(memberBody, []), responses: { 200: ok({ member: object }) } },
+  { method: "DELETE", path: "/api/admin/workspaces/{workspaceId}/members/{userId}", operationId: "adminRemoveMember", tag: "Admin workspaces", summary: "Remove a member", auth: "admin", responses: { 200: ok({ member: object }) } },
+  {
+    method: "POST", path: "/api/admin/workspaces/{workspaceId}/credits/adjust", operationId: "adminAdjustWorkspaceCredits", tag: "Admin workspaces", summary: "Add or remove pooled credits", auth: "admin", idempotent: true,
+    body: shape(adjustment, []),
+    responses: { 200: ok({ workspace: ref("Record"), transaction: ref("Record") }) }
+  },
+
+  { method: "GET", path: "/api/admin/transactions", operationId: "adminListTransactions", tag: "Admin credits", summary: "Recent transactions", auth: "admin", responses: { 200: ok({ transactions: arrayOf(ref("Record")) }) } },
+  { method: "GET", path: "/api/admin/transactions/pending", operationId: "adminPendingPurchases", tag: "Admin credits", summary: "Unpaid purchases", auth: "admin", responses: { 200: ok({ purchases: arrayOf(object) }) } },
+  {
+    method: "POST", path: "/api/admin/credits/bulk-adjust", operationId: "adminBulkAdjust", tag: "Admin credits", summary: "Adjust many users at once", auth: "admin",
+    body: shape({ adjustments: arrayOf(shape({ userId: string, amount: numeric, reason: string }, ["userId"])) }),
+    responses: { 200: ok({ results: arrayOf(shape({ userId: string, success: boolean }, ["success"])) }) }
+  },
+  { method: "POST", path: "/api/admin/transactions/{transactionId}/review", operationId: "adminReviewTransaction", tag: "Admin credits", summary: "Flag a transaction for review", auth: "admin", body: shape({ notes: string }, []), responses: { 200: ok({ review: ref("Record") }) } },
+  { method: "POST", path: "/api/admin/transactions/{transactionId}/refund", operationId: "adminRefundTransaction", tag: "Admin credits", summary: "Refund a purchase", auth: "admin", body: shape({ reason: string }, []), responses: { 200: ok({ transaction: ref("Record") }) } },
+
+  { method: "GET", path: "/api/admin/settings", operationId: "adminGetSettings", tag: "Admin settings", summary: "Backend settings", auth: "admin", responses: { 200: ok({ settings: object }) } },
+  {
+    method: "PUT", path: "/api/admin/settings", operationId: "adminUpdateSettings", tag: "Admin settings", summary: "Change settings", auth: "admin",
+    body: shape({ providerMode: string, proxyEndpoint: string, pricing: object, retention: object, rateLimits: object }, []),
+    responses: { 200: ok({ settings: object }) }
+  },
+  { method: "GET", path: "/api/admin/settings/history", operationId: "adminSettingsHistory", tag: "Admin settings", summary: "Earlier settings", auth: "admin", responses: { 200: ok({ history: arrayOf(object) }) } },
+  {
+    method: "GET", path: "/api/admin/rate-limits", operationId: "adminRateLimits", tag: "Admin settings", summary: "Rate limit policies and throttled callers", auth: "admin",
+    responses: {
+      200: ok({
+        backend: { enum: ["memory", "store"] },
+        rateLimits: object,
+        throttled: arrayOf(shape({ scope: string, key: string, plan: { enum: RateLimits.PLANS }, rejected: integer, firstAt: timestamp, lastAt: timestamp }))
+      })
+    }
+  },
+  { method: "GET", path: "/api/admin/retention", operationId: "adminGetRetention", tag: "Data retention", summary: "Retention policy and recent runs", auth: "admin", responses: { 200: ok({ retention: object, runs: arrayOf(ref("Record")) }) } },
+  { method: "POST", path: "/api/admin/retention/run", operationId: "adminRunRetention", tag: "Data retention", summary: "Sweep now", auth: "admin", body: shape({ dryRun: boolean }, []), responses: { 200: ok({ run: ref("Record") }) } },
+  {
+    method: "GET", path: "/api/admin/privacy/requests", operationId: "adminListPrivacyRequests", tag: "Privacy", summary: "Export and deletion requests", auth: "admin",
+    query: Object.assign({ status: { enum: ["pending", "completed"] }, type: string }, pagination),
+    responses: { 200: page("requests", ref("Record")) }
+  },
+  { method: "POST", path: "/api/admin/privacy/requests/{requestId}/process", operationId: "adminProcessPrivacyRequest", tag: "Privacy", summary: "Complete a pending deletion", auth: "admin", responses: { 200: ok({ request: ref("Record"), certificate: object }) } },
+
+  { method: "GET", path: "/api/admin/analytics", operationId: "adminAnalytics", tag: "Admin analytics", summary: "Overall analytics", auth: "admin", responses: { 200: ok({ analytics: object }) } },
+  { method: "GET", path: "/api/admin/analytics/users", operationId: "adminAnalyticsUsers", tag: "Admin analytics", summary: "User list for analytics", auth: "admin", responses: { 200: ok({ users: arrayOf(ref("User")) }) } },
+  { method: "GET", path: "/api/admin/analytics/revenue", operationId: "adminAnalyticsRevenue", tag: "Admin analytics", summary: "Purchases", auth: "admin", responses: { 200: ok({ revenue: shape({ totalTransactions: integer, purchases: arrayOf(ref("Record")) }) }) } },
+  { method: "GET", path: "/api/admin/analytics/usage", operationId: "adminAnalyticsUsage", tag: "Admin analytics", summary: "Summary counts", auth: "admin", responses: { 200: ok({ usage: object }) } },
+  { method: "POST", path: "/api/admin/reports/generate", operationId: "adminGenerateReport", tag: "Reports", summary: "Build a report", auth: "admin", body: shape({ type: string, parameters: object }, []), responses: { 200: ok({ report: ref("Record") }) } },
+  { method: "GET", path: "/api/admin/reports", operationId: "adminListReports", tag: "Reports", summary: "Stored reports", auth: "admin", responses: { 200: ok({ reports: arrayOf(ref("Record")), types: arrayOf(string), formats: arrayOf(string) }) } },
+  {
+    method: "GET", path: "/api/admin/reports/{reportId}/download", operationId: "adminDownloadReport", tag: "Reports", summary: "Download a report", auth: "admin",
+    query: { format: string },
+    responses: { 200: file("application/json, text/csv, text/html or application/pdf") }
+  },
+
+  { method: "POST", path: "/api/admin/backup/create", operationId: "adminCreateBackup", tag: "Backups", summary: "Snapshot the store", auth: "admin", body: shape({ type: string }, []), responses: { 200: ok({ backup: ref("Record") }) } },
+  { method: "GET", path: "/api/admin/backup/list", operationId: "adminListBackups", tag: "Backups", summary: "Stored backups", auth: "admin", responses: { 200: ok({ backups: arrayOf(ref("Record")) }) } },
+  {
+    method: "POST", path: "/api/admin/backup/{backupId}/restore", operationId: "adminRestoreBackup", tag: "Backups", summary: "Restore or preview a backup", auth: "admin",
+    body: shape({ dryRun: boolean }, []),
+    responses: { 200: ok({ dryRun: boolean, backup: ref("Record"), safetyBackup: ref("Record"), diff: object }, ["safetyBackup"]) }
+  },
+  { method: "POST", path: "/api/admin/maintenance/schedule", operationId: "adminScheduleMaintenance", tag: "Maintenance", summary: "Schedule a read-only window", auth: "admin", body: shape({ startsAt: string, endsAt: string, note: string }, []), responses: { 200: ok({ window: ref("Record") }) } },
+  { method: "GET", path: "/api/admin/maintenance/windows", operationId: "adminListMaintenance", tag: "Maintenance", summary: "Scheduled windows", auth: "admin", responses: { 200: ok({ windows: arrayOf(ref("Record")), status: ref("MaintenanceStatus") }) } },
+  { method: "DELETE", path: "/api/admin/maintenance/windows/{windowId}", operationId: "adminCancelMaintenance", tag: "Maintenance", summary: "Cancel or end a window", auth: "admin", responses: { 200: ok({ window: ref("Record") }) } },
+  { method: "POST", path: "/api/admin/system/services/{serviceId}/restart", operationId: "adminRestartService", tag: "Admin system", summary: "Record a restart request", auth: "admin", responses: { 200: ok({ service: string, status: string }) } },
+  { method: "GET", path: "/api/admin/system/alerts", operationId: "adminListAlerts", tag: "Admin system", summary: "System alerts", auth: "admin", responses: { 200: ok({ alerts: arrayOf(ref("Record")) }) } },
+  { method: "POST", path: "/api/admin/system/alerts/{alertId}/acknowledge", operationId: "adminAcknowledgeAlert", tag: "Admin system", summary: "Acknowledge an alert", auth: "admin", responses: { 200: ok({ alert: ref("Record") }) } },
+  { method: "GET", path: "/api/admin/security/lockouts", operationId: "adminListLockouts", tag: "Security", summary: "Throttled accounts and addresses", auth: "admin", responses: { 200: ok({ lockouts: arrayOf(object) }) } },
+  { method: "POST", path: "/api/admin/security/lockouts/unlock", operationId: "adminUnlock", tag: "Security", summary: "Clear login throttles", auth: "admin", body: shape({ email: string, userId: string, ip: string }, []), responses: { 200: ok({ cleared: arrayOf(object) }) } },
+
+  { method: "GET", path: "/api/admin/audit", operationId: "adminActivityFeed", tag: "Audit", summary: "Recent events and reviews", auth: "admin", responses: { 200: ok({ events: arrayOf(ref("Record")), reviews: arrayOf(ref("Record")) }) } },
+  { method: "GET", path: "/api/admin/audit/log", operationId: "adminAuditLog", tag: "Audit", summary: "Filtered audit trail", auth: "admin", query: Object.assign({}, auditFilters, pagination), responses: { 200: page("entries", ref("Record")) } },
+  { method: "GET", path: "/api/admin/audit/verify", operationId: "adminVerifyAudit", tag: "Audit", summary: "Check the hash chain", auth: "admin", responses: { 200: ok({ verification: object }) } },
+  { method: "GET", path: "/api/admin/audit/export", operationId: "adminExportAudit", tag: "Audit", summary: "Download the audit trail", auth: "admin", query: Object.assign({ format: string }, auditFilters), responses: { 200: file("application/x-ndjson or text/csv") } }
+];
+
+for (const owner of ["user", "admin"]) {
+  const tag = owner === "user" ? "Webhooks" : "Admin webhooks";
+  const prefix = `/api/${owner}/webhooks`;
+  const name = owner === "user" ? "" : "Admin";
+  OPERATIONS.push(
+    { method: "GET", path: prefix, operationId: `list${name}Webhooks`, tag, summary: "Webhook endpoints", auth: owner, responses: { 200: ok({ webhooks: arrayOf(ref("Record")) }) } },
+    { method: "POST", path: prefix, operationId: `create${name}Webhook`, tag, summary: "Register an endpoint", auth: owner, body: shape(webhookBody, []), responses: { 201: ok({ secret: string, webhook: ref("Record") }) } },
+    { method: "PUT", path: `${prefix}/{webhookId}`, operationId: `update${name}Webhook`, tag, summary: "Edit an endpoint", auth: owner, body: shape(webhookBody, []), responses: { 200: ok({ webhook: ref("Record") }) } },
+    { method: "DELETE", path: `${prefix}/{webhookId}`, operationId: `delete${name}Webhook`, tag, summary: "Remove an endpoint", auth: owner, responses: { 200: ok({ webhook: ref("Record") }) } },
+    { method: "GET", path: `${prefix}/{webhookId}/deliveries`, operationId: `list${name}WebhookDeliveries`, tag, summary: "Delivery attempts", auth: owner, query: pagination, responses: { 200: page("deliveries", ref("Record")) } },
+    { method: "POST", path: `${prefix}/{webhookId}/deliveries/{deliveryId}/redeliver`, operationId: `redeliver${name}Webhook`, tag, summary: "Send a delivery again", auth: owner, responses: { 202: ok({ delivery: ref("Record") }) } }
+  );
+}
+
+// Every /api operation is also served under /api/v2, where paginated lists use the v2 page shape.
+for (const operation of OPERATIONS.slice()) {
+  if (!operation.path.startsWith("/api/")) continue;
+  const responses = {};
+  for (const [status, response] of Object.entries(operation.responses)) {
+    responses[status] = pageItems.has(response) ? pageV2(pageItems.get(response)) : response;
+  }
+  OPERATIONS.push(Object.assign({}, operation, {
+    path: `/api/v2${operation.path.slice("/api".length)}`,
+    basePath: operation.path,
+    version: 2,
+    operationId: `${operation.operationId}V2`,
+    responses
+  }));
+}
+
+const operationIndex = new Map();
+for (const operation of OPERATIONS) {
+  operation.version = operation.version || 1;
+  operation.basePath = operation.basePath || operation.path;
+  operation.pathParams = (operation.path.match(/\{\w+\}/g) || []).map((param) => param.slice(1, -1));
+  operationIndex.set(`${operation.version} ${operation.method} ${operation.basePath}`, operation);
+}
+
+const SECURITY = {
+  user: [{ bearerAuth: [] }],
+  admin: [{ bearerAuth: [] }],
+  metrics: [{ bearerAuth: [] }, {}]
+};
+
+function parameterList(operation) {
+  const parameters = operation.pathParams.map((name) => ({ name, in: "path", required: true, schema: string }));
+  for (const [name, schema] of Object.entries(operation.query || {})) {
+    parameters.push({ name, in: "query", required: false, schema });
+  }
+  if (operation.idempotent) {
+    parameters.push({ name: "Idempotency-Key", in: "header", required: false, schema: string, description: "Replays the first response for a repeated key" });
+  }
+  return parameters;
+}
+
+function responseObject(status, response) {
+  if (response && response.content) {
+    return { description: `${status} response`, content: { [response.content]: { schema: response.schema } } };
+  }
+  return { description: `${status} response`, content: { "application/json": { schema: response } } };
+}
+
+let documentCache = null;
+
+function openApiDocument() {
+  if (documentCache) return documentCache;
+  const paths = {};
+  for (const operation of OPERATIONS) {
+    const responses = {};
+    for (const [status, response] of Object.entries(operation.responses)) responses[status] = responseObject(status, response);
+    responses.default = responseObject("Error", ref("Error"));
+    const entry = {
+      operationId: operation.operationId,
+      tags: [operation.tag],
+      summary: operation.summary,
+      responses
+    };
+    const parameters = parameterList(operation);
+    if (parameters.length) entry.parameters = parameters;
+    if (operation.body) entry.requestBody = { required: false, content: { "application/json": { schema: operation.body } } };
+    if (SECURITY[operation.auth]) entry.security = SECURITY[operation.auth];
+    paths[operation.path] = Object.assign(paths[operation.path] || {}, { [operation.method.toLowerCase()]: entry });
+  }
+  documentCache = {
+    openapi: "3.1.0",
+    info: { title: "Summarize This backend API", version },
+    security: [],
+    paths,
+    components: {
+      schemas: SCHEMAS,
+      securitySchemes: { bearerAuth: { type: "http", scheme: "bearer", description: "Session token or personal access token" } }
+    }
+  };
+  return documentCache;
+}
+
+// Looks an operation up by the router's path template (without the version prefix) and the request's API version.
+function operationFor(method, path, apiVersion = 1) {
+  return operationIndex.get(`${apiVersion} ${method} ${path}`) || null;
+}
+
+function summarize(problems) {
+  const missing = problems.filter((item) => item.keyword === "required").map((item) => item.field);
+  if (missing.length === problems.length) return `Missing required fields: ${missing.join(", ")}`;
+  return problems.map((item) => `${item.field} ${item.message}`).join("; ");
+}
+
+function validationError(problems) {
+  const error = new Error(summarize(problems));
+  error.status = 400;
+  error.problems = problems.map((item) => ({ field: item.field, message: item.message }));
+  return error;
+}
+
+// Query strings arrive as text, so numeric and boolean parameters are converted before checking.
+function queryValue(schema, value) {
+  const types = [].concat(schema.type || []);
+  if ((types.includes("integer") || types.includes("number")) && value.trim() !== "" && Number.isFinite(Number(value))) return Number(value);
+  if (types.includes("boolean") && (value === "true" || value === "false")) return value === "true";
+  return value;
+}
+
+function assertRequestQuery(operation, searchParams) {
+  const root = { components: { schemas: SCHEMAS } };
+  const problems = [];
+  for (const [name, schema] of Object.entries(operation.query || {})) {
+    if (!searchParams.has(name)) continue;
+    problems.push(...validateSchema(schema, queryValue(schema, searchParams.get(name)), root, name));
+  }
+  if (problems.length) throw validationError(problems);
+}
+
+function assertRequestBody(operation, body) {
+  if (!operation || !operation.body) return;
+  const problems = validateSchema(operation.body, body, { components: { schemas: SCHEMAS } });
+  if (problems.length) throw validationError(problems);
+}
+
+// Returns the ways a JSON response differs from the operation's declared responses; errors are checked against the
+// shared Error schema unless the operation declares that status itself.
+function responseProblems(operation, status, payload) {
+  const declared = operation.responses[status];
+  if (!declared) {
+    if (status < 400) return [{ field: "status", message: `${status} is not a documented response` }];
+    return validateSchema(ref("Error"), payload, { components: { schemas: SCHEMAS } });
+  }
+  if (declared.content) return [{ field: "content", message: `expected ${declared.content}, got application/json` }];
+  return validateSchema(declared, payload, { components: { schemas: SCHEMAS } });
+}
+
+module.exports = {
+  OPERATIONS,
+  assertRequestBody,
+  assertRequestQuery,
+  openApiDocument,
+  operationFor,
+  responseProblems
+};
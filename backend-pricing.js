@@ -0,0 +1,91 @@
+const SummarizeThis = require("./summarizer-core");
+const { cardDataForPayload, providerMode } = require("./backend-analysis");
+
+const PROVIDER_MODES = ["local", "proxy", "direct-provider"];
+
+// Summary cost = baseCredits + outputModes[mode] + providerModes[mode] + the largest inputSizeTiers entry whose
+// minChars the card text reaches. The defaults keep the original flat 5 credits and package sizes.
+const DEFAULT_PRICING = {
+  baseCredits: 5,
+  outputModes: {},
+  providerModes: { local: 0, proxy: 0, "direct-provider": 0 },
+  inputSizeTiers: [],
+  packages: { basic: 25, pro: 100, team: 250 }
+};
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function isCreditAmount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function pricingFromSettings(settings) {
+  const pricing = settings && settings.pricing ? settings.pricing : {};
+  return Object.assign(clone(DEFAULT_PRICING), clone(pricing));
+}
+
+function validatePricing(input) {
+  const pricing = Object.assign(clone(DEFAULT_PRICING), clone(input || {}));
+  const problems = [];
+  if (!isCreditAmount(pricing.baseCredits)) problems.push("baseCredits must be a non-negative integer");
+  for (const [mode, credits] of Object.entries(pricing.outputModes || {})) {
+    if (SummarizeThis.normalizeOutputMode(mode) !== mode) problems.push(`Unknown output mode: ${mode}`);
+    if (!isCreditAmount(credits)) problems.push(`outputModes.${mode} must be a non-negative integer`);
+  }
+  for (const [mode, credits] of Object.entries(pricing.providerModes || {})) {
+    if (!PROVIDER_MODES.includes(mode)) problems.push(`Unknown provider mode: ${mode}`);
+    if (!isCreditAmount(credits)) problems.push(`providerModes.${mode} must be a non-negative integer`);
+  }
+  if (!Array.isArray(pricing.inputSizeTiers)) {
+    problems.push("inputSizeTiers must be an array");
+  } else {
+    pricing.inputSizeTiers.forEach((tier, index) => {
+      if (!tier || !isCreditAmount(tier.minChars) || !isCreditAmount(tier.credits)) {
+        problems.push(`inputSizeTiers[${index}] needs non-negative integer minChars and credits`);
+      }
+    });
+  }
+  const packages = Object.entries(pricing.packages || {});
+  if (!packages.length) problems.push("At least one credit package is required");
+  for (const [name, credits] of packages) {
+    if (!/^[a-z0-9-]+$/.test(name)) problems.push(`Package name must be lowercase letters, digits or dashes: ${name}`);
+    if (!isCreditAmount(credits) || credits === 0) problems.push(`packages.${name} must be a positive integer`);
+  }
+  if (problems.length) {
+    throw httpError(400, problems.join("; "));
+  }
+  pricing.inputSizeTiers = pricing.inputSizeTiers.slice().sort((left, right) => left.minChars - right.minChars);
+  return pricing;
+}
+
+function quoteSummary(pricing, payload) {
+  const outputMode = SummarizeThis.normalizeOutputMode(payload && payload.outputMode);
+  const mode = providerMode(payload);
+  const inputChars = cardDataForPayload(payload || {}).desc.length;
+  const tier = pricing.inputSizeTiers.filter((item) => inputChars >= item.minChars).pop() || null;
+  const breakdown = {
+    base: pricing.baseCredits,
+    outputMode: { name: outputMode, credits: Number(pricing.outputModes[outputMode] || 0) },
+    providerMode: { name: mode, credits: Number(pricing.providerModes[mode] || 0) },
+    inputSize: { chars: inputChars, minChars: tier ? tier.minChars : 0, credits: tier ? tier.credits : 0 }
+  };
+  return {
+    credits: breakdown.base + breakdown.outputMode.credits + breakdown.providerMode.credits + breakdown.inputSize.credits,
+    breakdown
+  };
+}
+
+module.exports = {
+  DEFAULT_PRICING,
+  pricingFromSettings,
+  quoteSummary,
+  validatePricing
+};
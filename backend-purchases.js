@@ -0,0 +1,114 @@
+const config = require("./backend-config");
+const { createId, withStoreLock } = require("./backend-storage");
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function isExpired(record, now) {
+  return Boolean(record.expiresAt) && new Date(record.expiresAt).getTime() <= now;
+}
+
+// Credits are not granted here; the purchase stays pending until a confirmed payment event calls confirmPurchase.
+async function createPendingPurchase(store, user, body, packages) {
+  const packageName = packages[body.package] ? body.package : Object.keys(packages)[0];
+  const credits = packages[packageName];
+  const createdAt = nowIso();
+  const expiresAt = new Date(Date.now() + config.PURCHASE_EXPIRY_MINUTES * 60 * 1000).toISOString();
+  const transactionId = createId("txn");
+  const checkoutSession = await store.add("checkoutSessions", {
+    id: createId("checkout"),
+    userId: user.id,
+    transactionId,
+    package: packageName,
+    credits,
+    paymentMethodId: body.paymentMethodId || "",
+    status: "open",
+    expiresAt,
+    createdAt
+  }, { limit: 1000 });
+  const transaction = await store.add("transactions", {
+    id: transactionId,
+    userId: user.id,
+    type: "credit_purchase",
+    credits,
+    status: "pending",
+    package: packageName,
+    paymentMethodId: body.paymentMethodId || "",
+    checkoutSessionId: checkoutSession.id,
+    expiresAt,
+    createdAt
+  }, { limit: 1000 });
+  return { transaction, checkoutSession };
+}
+
+async function updateRecord(store, collection, id, updates) {
+  const records = await store.list(collection);
+  const record = records.find((item) => item.id === id);
+  if (!record) return null;
+  Object.assign(record, updates, { updatedAt: nowIso() });
+  await store.replace(collection, records);
+  return record;
+}
+
+// Runs inside the Stripe webhook lock. A confirmed payment completes the purchase even if it was swept as expired,
+// because the customer has already been charged.
+async function confirmPurchase(store, checkoutSessionId, payment) {
+  const checkoutSession = (await store.list("checkoutSessions")).find((item) => item.id === checkoutSessionId);
+  if (!checkoutSession || checkoutSession.status === "completed") return null;
+  const transaction = (await store.list("transactions")).find((item) => item.id === checkoutSession.transactionId);
+  if (!transaction || transaction.status === "completed") return null;
+  const user = await store.findUserById(transaction.userId);
+  if (!user) return null;
+  await store.updateUser(user.id, { credits: Number(user.credits || 0) + Number(transaction.credits || 0) });
+  const completed = await updateRecord(store, "transactions", transaction.id, Object.assign({
+    status: "completed",
+    completedAt: nowIso()
+  }, payment));
+  await updateRecord(store, "checkoutSessions", checkoutSession.id, {
+    status: "completed",
+    stripeSessionId: payment.stripeSessionId || ""
+  });
+  return completed;
+}
+
+function expirePendingPurchases(store) {
+  return withStoreLock(store, async () => {
+    const now = Date.now();
+    const transactions = await store.list("transactions");
+    const expired = transactions.filter((item) => item.status === "pending" && isExpired(item, now));
+    if (!expired.length) return [];
+    for (const item of expired) {
+      item.status = "expired";
+      item.updatedAt = nowIso();
+    }
+    await store.replace("transactions", transactions);
+    const expiredSessions = new Set(expired.map((item) => item.checkoutSessionId));
+    const sessions = await store.list("checkoutSessions");
+    for (const session of sessions) {
+      if (expiredSessions.has(session.id) && session.status === "open") {
+        session.status = "expired";
+        session.updatedAt = nowIso();
+      }
+    }
+    await store.replace("checkoutSessions", sessions);
+    return expired;
+  });
+}
+
+async function listPendingPurchases(store) {
+  await expirePendingPurchases(store);
+  const sessions = await store.list("checkoutSessions");
+  return (await store.list("transactions"))
+    .filter((item) => item.type === "credit_purchase" && item.status === "pending")
+    .map((item) => Object.assign({}, item, {
+      checkoutSession: sessions.find((session) => session.id === item.checkoutSessionId) || null
+    }));
+}
+
+module.exports = {
+  confirmPurchase,
+  createPendingPurchase,
+  expirePendingPurchases,
+  listPendingPurchases
+};
@@ -0,0 +1,220 @@
+const config = require("./backend-config");
+
+// Every caller is billed against one plan: no valid token is "anonymous", admin sessions are "admin", and users are
+// "free" unless an admin has moved them to "team".
+const PLANS = ["anonymous", "free", "team", "admin"];
+const USER_PLANS = ["free", "team"];
+const SETTINGS_REFRESH_MS = 30_000;
+const THROTTLED_LIMIT = 100;
+const PRUNE_EVERY = 1000;
+
+// Each policy allows `limit` requests per `windowSeconds` to every plan not listed in `plans`. `api` applies to every
+// request; the others are added by the routes that name them.
+const DEFAULT_RATE_LIMITS = {
+  policies: {
+    api: { windowSeconds: 60, limit: 600, plans: { anonymous: 300, team: 1200, admin: 3000 } },
+    summarize: { windowSeconds: 60, limit: 20, plans: { team: 60 } },
+    "auth.login": { windowSeconds: 60, limit: 10, plans: {} },
+    "auth.trello": { windowSeconds: 60, limit: 20, plans: {} },
+    "auth.password_forgot": { windowSeconds: 3600, limit: 5, plans: {} },
+    "auth.verify_resend": { windowSeconds: 3600, limit: 5, plans: {} }
+  }
+};
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function rateLimitsFromSettings(settings) {
+  const stored = settings && settings.rateLimits ? settings.rateLimits : {};
+  const policies = {};
+  for (const [name, policy] of Object.entries(DEFAULT_RATE_LIMITS.policies)) {
+    const override = (stored.policies || {})[name] || {};
+    policies[name] = Object.assign({}, policy, override, { plans: Object.assign({}, policy.plans, override.plans || {}) });
+  }
+  return { policies };
+}
+
+function positiveInteger(value) {
+  return Number.isInteger(value) && value >= 1;
+}
+
+// Applied on top of the current limits, so an update may name only the policies and plans it changes.
+function validateRateLimits(input, settings) {
+  const rateLimits = rateLimitsFromSettings(settings);
+  const body = input && typeof input === "object" ? input : {};
+  const problems = [];
+  for (const [name, policy] of Object.entries(body.policies || {})) {
+    if (!rateLimits.policies[name]) {
+      problems.push(`Unknown rate limit policy: ${name}`);
+      continue;
+    }
+    const next = rateLimits.policies[name];
+    const changes = policy || {};
+    if (changes.windowSeconds !== undefined) next.windowSeconds = changes.windowSeconds;
+    if (changes.limit !== undefined) next.limit = changes.limit;
+    if (!positiveInteger(next.windowSeconds)) problems.push(`policies.${name}.windowSeconds must be a positive integer`);
+    if (!positiveInteger(next.limit)) problems.push(`policies.${name}.limit must be a positive integer`);
+    for (const [plan, limit] of Object.entries(changes.plans || {})) {
+      if (!PLANS.includes(plan)) {
+        problems.push(`Unknown plan in policies.${name}.plans: ${plan}`);
+      } else if (limit === null) {
+        delete next.plans[plan];
+      } else if (!positiveInteger(limit)) {
+        problems.push(`policies.${name}.plans.${plan} must be a positive integer or null`);
+      } else {
+        next.plans[plan] = limit;
+      }
+    }
+  }
+  if (problems.length) throw httpError(400, problems.join("; "));
+  return rateLimits;
+}
+
+function planFor(context) {
+  if (!context) return "anonymous";
+  if (context.role === "admin") return "admin";
+  return USER_PLANS.includes(context.user.plan) ? context.user.plan : "free";
+}
+
+// Refills `limit` tokens per `windowMs` continuously, capped at `limit`, then spends one if a whole token is left.
+function takeToken(bucket, limit, windowMs, now) {
+  const ratePerMs = limit / windowMs;
+  const elapsed = bucket ? Math.max(0, now - bucket.updatedAt) : 0;
+  const available = bucket ? Math.min(limit, bucket.tokens + elapsed * ratePerMs) : limit;
+  const allowed = available >= 1;
+  const tokens = allowed ? available - 1 : available;
+  return {
+    bucket: { tokens, updatedAt: now },
+    allowed,
+    remaining: Math.floor(tokens),
+    resetSeconds: Math.ceil((limit - tokens) / ratePerMs / 1000),
+    retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil((1 - tokens) / ratePerMs / 1000))
+  };
+}
+
+// Buckets live in this process only. A full bucket is the same as no bucket, so idle ones are dropped now and then.
+function createMemoryBackend() {
+  const buckets = new Map();
+  let calls = 0;
+  return {
+    name: "memory",
+    async take(key, limit, windowMs, now) {
+      calls += 1;
+      if (calls % PRUNE_EVERY === 0) {
+        for (const [name, bucket] of buckets) {
+          if (now - bucket.updatedAt >= bucket.windowMs) buckets.delete(name);
+        }
+      }
+      const result = takeToken(buckets.get(key), limit, windowMs, now);
+      buckets.set(key, Object.assign(result.bucket, { windowMs }));
+      return result;
+    }
+  };
+}
+
+// Buckets are rows in the Postgres or SQLite store, so every backend instance draws from the same tokens. Each process
+// deletes rows idle past their window now and then, as the memory backend does.
+function createStoreBackend(store) {
+  if (typeof store.updateRateLimitBucket !== "function") {
+    throw new Error("RATE_LIMIT_BACKEND=store needs BACKEND_STORE=postgres or sqlite");
+  }
+  let calls = 0;
+  return {
+    name: "store",
+    async take(key, limit, windowMs, now) {
+      calls += 1;
+      if (calls % PRUNE_EVERY === 0) await store.pruneRateLimitBuckets(now);
+      let result = null;
+      await store.updateRateLimitBucket(key, (bucket) => {
+        result = takeToken(bucket, limit, windowMs, now);
+        return Object.assign({ expiresAt: now + windowMs }, result.bucket);
+      });
+      return result;
+    }
+  };
+}
+
+function rateLimitHeaders(result) {
+  const headers = {
+    "RateLimit-Limit": String(result.limit),
+    "RateLimit-Remaining": String(result.remaining),
+    "RateLimit-Reset": String(result.resetSeconds),
+    "RateLimit-Policy": `${result.limit};w=${result.windowSeconds}`
+  };
+  if (!result.allowed) headers["Retry-After"] = String(result.retryAfterSeconds);
+  return headers;
+}
+
+class RateLimiter {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.backend = options.backend || (config.RATE_LIMIT_BACKEND === "store" ? createStoreBackend(store) : createMemoryBackend());
+    this.now = options.now || Date.now;
+    this.refreshMs = options.refreshMs === undefined ? SETTINGS_REFRESH_MS : options.refreshMs;
+    this.limits = null;
+    this.loadedAt = 0;
+    this.rejections = new Map();
+  }
+
+  // Limits are read from settings and reloaded every `refreshMs`, so a change made on another instance lands shortly.
+  async policies() {
+    if (!this.limits || this.now() - this.loadedAt >= this.refreshMs) {
+      this.limits = rateLimitsFromSettings(await this.store.getSettings());
+      this.loadedAt = this.now();
+    }
+    return this.limits.policies;
+  }
+
+  refresh() {
+    this.limits = null;
+  }
+
+  async check(scope, key, plan) {
+    const policy = (await this.policies())[scope];
+    if (!policy) throw new Error(`Unknown rate limit policy: ${scope}`);
+    const limit = policy.plans[plan] || policy.limit;
+    const now = this.now();
+    const result = await this.backend.take(`${scope}:${key}`, limit, policy.windowSeconds * 1000, now);
+    if (!result.allowed) this.recordRejection(scope, key, plan, now);
+    return Object.assign(result, { scope, plan, limit, windowSeconds: policy.windowSeconds });
+  }
+
+  recordRejection(scope, key, plan, now) {
+    const id = `${scope}:${key}`;
+    const entry = this.rejections.get(id) || { scope, key, plan, rejected: 0, firstAt: new Date(now).toISOString() };
+    entry.rejected += 1;
+    entry.plan = plan;
+    entry.lastAt = new Date(now).toISOString();
+    this.rejections.delete(id);
+    this.rejections.set(id, entry);
+    if (this.rejections.size > THROTTLED_LIMIT) this.rejections.delete(this.rejections.keys().next().value);
+  }
+
+  // Callers refused in this process, most recent first. Each key is `user:<id>`, `admin:<email>`, `ip:<address>` or
+  // `email:<address>`.
+  throttled() {
+    return [...this.rejections.values()].reverse().map((entry) => Object.assign({}, entry));
+  }
+}
+
+function createRateLimiter(store, options) {
+  return new RateLimiter(store, options);
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMITS,
+  PLANS,
+  RateLimiter,
+  USER_PLANS,
+  createMemoryBackend,
+  createRateLimiter,
+  createStoreBackend,
+  planFor,
+  rateLimitHeaders,
+  rateLimitsFromSettings,
+  takeToken,
+  validateRateLimits
+};
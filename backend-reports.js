@@ -0,0 +1,350 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FORMATS = {
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  html: { contentType: "text/html; charset=utf-8", extension: "html" },
+  pdf: { contentType: "application/pdf", extension: "pdf" }
+};
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function inRange(value, range) {
+  const time = new Date(value || 0).getTime();
+  return (!range.from || time >= new Date(range.from).getTime()) && time < new Date(range.to).getTime();
+}
+
+function forUser(record, parameters) {
+  return !parameters.userId || record.userId === parameters.userId;
+}
+
+function groupBy(items, keyFor) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyFor(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+function sum(items, valueFor) {
+  return items.reduce((total, item) => total + Number(valueFor(item) || 0), 0);
+}
+
+function latest(values) {
+  return values.filter(Boolean).sort().pop() || "";
+}
+
+// Each report type declares its columns and builds plain rows from the store; `sum` columns get a totals row.
+const REPORT_TYPES = {
+  "usage-by-user": {
+    title: "Usage by user",
+    columns: [
+      { key: "userId", label: "User ID" },
+      { key: "email", label: "Email" },
+      { key: "summaries", label: "Summaries", sum: true },
+      { key: "batchCards", label: "Batch cards", sum: true },
+      { key: "creditsSpent", label: "Credits spent", sum: true },
+      { key: "workspaceCreditsSpent", label: "Workspace credits", sum: true },
+      { key: "lastActivityAt", label: "Last activity" }
+    ],
+    async build(store, parameters) {
+      const users = new Map((await store.listUsers()).map((user) => [user.id, user]));
+      const summaries = (await store.list("summaries")).filter((item) => inRange(item.createdAt, parameters) && forUser(item, parameters));
+      const charges = (await store.list("transactions")).filter((item) => (item.type === "summary_charge" || item.type === "summary_charge_reversal") &&
+        inRange(item.createdAt, parameters) && forUser(item, parameters));
+      const userIds = [...new Set([...summaries, ...charges].map((item) => item.userId))];
+      return userIds.map((userId) => {
+        const userCharges = charges.filter((item) => item.userId === userId);
+        const batchCharges = userCharges.filter((item) => item.jobId);
+        return {
+          userId,
+          email: users.has(userId) ? users.get(userId).email : "(deleted user)",
+          summaries: summaries.filter((item) => item.userId === userId).length,
+          batchCards: batchCharges.filter((item) => item.type === "summary_charge").length -
+            batchCharges.filter((item) => item.type === "summary_charge_reversal").length,
+          creditsSpent: -sum(userCharges, (item) => item.credits),
+          workspaceCreditsSpent: -sum(userCharges.filter((item) => item.workspaceId), (item) => item.credits),
+          lastActivityAt: latest([...summaries, ...userCharges].filter((item) => item.userId === userId).map((item) => item.createdAt))
+        };
+      }).sort((left, right) => right.creditsSpent - left.creditsSpent || left.userId.localeCompare(right.userId));
+    }
+  },
+  "revenue-by-package": {
+    title: "Revenue by package",
+    columns: [
+      { key: "package", label: "Package" },
+      { key: "currency", label: "Currency" },
+      { key: "purchases", label: "Purchases", sum: true },
+      { key: "credits", label: "Credits sold", sum: true },
+      { key: "amountTotal", label: "Amount (minor units)", sum: true },
+      { key: "refundedCredits", label: "Credits refunded", sum: true }
+    ],
+    async build(store, parameters) {
+      const transactions = await store.list("transactions");
+      const purchases = transactions.filter((item) => item.type === "credit_purchase" && item.status === "completed" &&
+        inRange(item.createdAt, parameters) && forUser(item, parameters));
+      const groups = groupBy(purchases, (item) => `${item.package || "unspecified"}|${item.currency || ""}`);
+      return [...groups.entries()].map(([key, items]) => {
+        const ids = new Set(items.map((item) => item.id));
+        const refunds = transactions.filter((item) => item.type === "stripe_refund" && ids.has(item.relatedTransactionId));
+        return {
+          package: key.split("|")[0],
+          currency: key.split("|")[1].toUpperCase(),
+          purchases: items.length,
+          credits: sum(items, (item) => item.credits),
+          amountTotal: sum(items, (item) => item.amountTotal),
+          refundedCredits: -sum(refunds, (item) => item.credits)
+        };
+      }).sort((left, right) => right.credits - left.credits || left.package.localeCompare(right.package));
+    }
+  },
+  "summaries-by-provider-mode": {
+    title: "Summaries by provider mode",
+    columns: [
+      { key: "providerMode", label: "Provider mode" },
+      { key: "summaries", label: "Summaries", sum: true },
+      { key: "users", label: "Users" },
+      { key: "creditsUsed", label: "Credits used", sum: true },
+      { key: "averageConfidence", label: "Average confidence" }
+    ],
+    async build(store, parameters) {
+      const summaries = (await store.list("summaries")).filter((item) => inRange(item.createdAt, parameters) && forUser(item, parameters));
+      return [...groupBy(summaries, (item) => item.providerMode || "unknown").entries()].map(([providerMode, items]) => ({
+        providerMode,
+        summaries: items.length,
+        users: new Set(items.map((item) => item.userId)).size,
+        creditsUsed: sum(items, (item) => item.creditsUsed),
+        averageConfidence: Number((sum(items, (item) => item.confidence) / items.length).toFixed(2))
+      })).sort((left, right) => right.summaries - left.summaries);
+    }
+  },
+  "batch-outcomes": {
+    title: "Batch outcomes",
+    columns: [
+      { key: "jobId", label: "Job ID" },
+      { key: "userId", label: "User ID" },
+      { key: "listName", label: "List" },
+      { key: "status", label: "Status" },
+      { key: "cards", label: "Cards", sum: true },
+      { key: "completed", label: "Completed", sum: true },
+      { key: "failed", label: "Failed", sum: true },
+      { key: "open", label: "Not finished", sum: true },
+      { key: "estimatedCredits", label: "Estimated credits", sum: true },
+      { key: "createdAt", label: "Created" },
+      { key: "finishedAt", label: "Finished" }
+    ],
+    async build(store, parameters) {
+      const jobs = (await store.list("batchJobs")).filter((item) => inRange(item.createdAt, parameters) && forUser(item, parameters));
+      return jobs.map((job) => {
+        const cards = job.cards || [];
+        const completed = cards.filter((card) => ["completed", "copied", "skipped"].includes(card.status)).length;
+        const failed = cards.filter((card) => card.status === "failed" || card.status === "blocked").length;
+        return {
+          jobId: job.id,
+          userId: job.userId,
+          listName: job.listName || "",
+          status: job.status,
+          cards: cards.length,
+          completed,
+          failed,
+          open: cards.length - completed - failed,
+          estimatedCredits: Number(job.estimatedCredits || 0),
+          createdAt: job.createdAt,
+          finishedAt: job.finishedAt || ""
+        };
+      }).sort((left, right) => String(right.createdAt).localeCompare(String(left.createdAt)));
+    }
+  }
+};
+
+// `from`/`to` accept ISO timestamps or plain dates; a plain `to` date includes that whole day (UTC).
+function parseBoundary(value, name, endOfDay) {
+  const text = String(value).trim();
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const time = new Date(dateOnly ? `${text}T00:00:00.000Z` : text).getTime();
+  if (!Number.isFinite(time)) throw httpError(400, `${name} must be an ISO date or timestamp`);
+  return new Date(dateOnly && endOfDay ? time + DAY_MS : time).toISOString();
+}
+
+async function normalizeParameters(store, input) {
+  const parameters = input && typeof input === "object" ? input : {};
+  const from = parameters.from ? parseBoundary(parameters.from, "from", false) : null;
+  const to = parameters.to ? parseBoundary(parameters.to, "to", true) : nowIso();
+  if (from && from >= to) throw httpError(400, "from must be before to");
+  const userId = parameters.userId ? String(parameters.userId) : null;
+  if (userId && !(await store.findUserById(userId))) throw httpError(400, "userId does not match a user");
+  return { from, to, userId };
+}
+
+async function generateReport(store, type, input) {
+  const definition = REPORT_TYPES[type];
+  if (!definition) throw httpError(400, `type must be one of: ${Object.keys(REPORT_TYPES).join(", ")}`);
+  const parameters = await normalizeParameters(store, input);
+  const rows = await definition.build(store, parameters);
+  const totals = {};
+  for (const column of definition.columns.filter((item) => item.sum)) totals[column.key] = sum(rows, (row) => row[column.key]);
+  return {
+    type,
+    title: definition.title,
+    parameters,
+    content: { generatedAt: nowIso(), columns: definition.columns, rows, totals }
+  };
+}
+
+function rangeLabel(report) {
+  const { from, to, userId } = report.parameters || {};
+  return `${from || "beginning"} to ${to || report.createdAt}${userId ? `, user ${userId}` : ""}`;
+}
+
+function totalsRow(report) {
+  const { columns, totals } = report.content;
+  return columns.map((column, index) => (column.key in totals ? totals[column.key] : index === 0 ? "Total" : ""));
+}
+
+// Quoted per RFC 4180; cells that a spreadsheet would read as a formula get a leading apostrophe.
+function csvCell(value) {
+  let text = String(value === null || value === undefined ? "" : value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv(report) {
+  const { columns, rows } = report.content;
+  const lines = [columns.map((column) => column.label)]
+    .concat(rows.map((row) => columns.map((column) => row[column.key])))
+    .concat([totalsRow(report)]);
+  return `${lines.map((line) => line.map(csvCell).join(",")).join("\r\n")}\r\n`;
+}
+
+function renderJson(report) {
+  return JSON.stringify({
+    id: report.id,
+    type: report.type,
+    title: report.title,
+    parameters: report.parameters,
+    generatedAt: report.content.generatedAt,
+    columns: report.content.columns,
+    rows: report.content.rows,
+    totals: report.content.totals
+  }, null, 2);
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function renderHtml(report) {
+  const { columns, rows, generatedAt } = report.content;
+  const cells = (values, tag) => values.map((value) => `<${tag}>${escapeHtml(value)}</${tag}>`).join("");
+  return [
+    "<!doctype html>",
+    `<html lang="en"><head><meta charset="utf-8"><title>${escapeHtml(report.title)}</title>`,
+    "<style>body{font:13px/1.4 system-ui,sans-serif;margin:24px;color:#172b4d}table{border-collapse:collapse;width:100%}",
+    "th,td{border:1px solid #c1c7d0;padding:4px 8px;text-align:left}th{background:#f4f5f7}tfoot td{font-weight:600}",
+    "@media print{body{margin:0}@page{size:landscape;margin:12mm}}</style></head><body>",
+    `<h1>${escapeHtml(report.title)}</h1>`,
+    `<p>${escapeHtml(rangeLabel(report))}. Generated ${escapeHtml(generatedAt)}.</p>`,
+    `<table><thead><tr>${cells(columns.map((column) => column.label), "th")}</tr></thead><tbody>`,
+    rows.map((row) => `<tr>${cells(columns.map((column) => row[column.key]), "td")}</tr>`).join(""),
+    `</tbody><tfoot><tr>${cells(totalsRow(report), "td")}</tr></tfoot></table>`,
+    "</body></html>"
+  ].join("\n");
+}
+
+const PDF_PAGE = { width: 842, height: 595, margin: 36 };
+const PDF_LINE_HEIGHT = 10;
+const PDF_MAX_CHARS = 160;
+const PDF_MAX_CELL = 32;
+
+// The standard fonts use WinAnsiEncoding, which covers Latin-1; anything outside it prints as "?".
+function pdfText(value) {
+  return String(value).replace(/[^\x20-\x7e\xa0-\xff]/g, "?").replace(/[\\()]/g, "\\$&");
+}
+
+function fixedWidthTable(report) {
+  const { columns, rows } = report.content;
+  const text = (value) => {
+    const raw = String(value === null || value === undefined ? "" : value);
+    return raw.length > PDF_MAX_CELL ? `${raw.slice(0, PDF_MAX_CELL - 3)}...` : raw;
+  };
+  const body = rows.map((row) => columns.map((column) => text(row[column.key])));
+  const totals = totalsRow(report).map(text);
+  const header = columns.map((column) => text(column.label));
+  const widths = header.map((label, index) => Math.max(label.length, totals[index].length, ...body.map((row) => row[index].length)));
+  const line = (cells) => cells.map((cell, index) => cell.padEnd(widths[index])).join("  ").trimEnd().slice(0, PDF_MAX_CHARS);
+  const rule = widths.map((width) => "-".repeat(width)).join("  ").slice(0, PDF_MAX_CHARS);
+  return { header: [line(header), rule], body: body.map(line).concat([rule, line(totals)]) };
+}
+
+function pdfDocument(objects) {
+  let output = "%PDF-1.4\n";
+  const offsets = [];
+  for (let id = 1; id < objects.length; id += 1) {
+    offsets[id] = Buffer.byteLength(output, "latin1");
+    output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xrefOffset = Buffer.byteLength(output, "latin1");
+  output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id += 1) output += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(output, "latin1");
+}
+
+// A landscape A4 PDF: title and range in Helvetica, then the table in Courier so columns line up, with the column
+// header repeated on every page.
+function renderPdf(report) {
+  const table = fixedWidthTable(report);
+  const top = PDF_PAGE.height - PDF_PAGE.margin;
+  const tableTop = top - 40;
+  const perPage = Math.floor((tableTop - PDF_PAGE.margin - 20) / PDF_LINE_HEIGHT) - table.header.length;
+  const pages = [];
+  for (let index = 0; index < table.body.length || !pages.length; index += perPage) pages.push(table.body.slice(index, index + perPage));
+
+  const objects = [null, "<< /Type /Catalog /Pages 2 0 R >>", ""];
+  objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+  objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+  objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>");
+  const pageIds = [];
+  pages.forEach((lines, index) => {
+    const stream = [
+      `BT /F2 14 Tf ${PDF_PAGE.margin} ${top - 14} Td (${pdfText(report.title)}) Tj ET`,
+      `BT /F1 9 Tf ${PDF_PAGE.margin} ${top - 28} Td (${pdfText(`${rangeLabel(report)}. Generated ${report.content.generatedAt}.`)}) Tj ET`,
+      `BT /F3 8 Tf ${PDF_LINE_HEIGHT} TL ${PDF_PAGE.margin} ${tableTop} Td`,
+      table.header.concat(lines).map((line) => `(${pdfText(line)}) Tj T*`).join("\n"),
+      "ET",
+      `BT /F1 8 Tf ${PDF_PAGE.margin} ${PDF_PAGE.margin / 2} Td (${pdfText(`Page ${index + 1} of ${pages.length}`)}) Tj ET`
+    ].join("\n");
+    pageIds.push(objects.length);
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R /F3 5 0 R >> >> /Contents ${objects.length + 1} 0 R >>`);
+    objects.push(`<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`);
+  });
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+  return pdfDocument(objects);
+}
+
+const RENDERERS = { json: renderJson, csv: renderCsv, html: renderHtml, pdf: renderPdf };
+
+function renderReport(report, format) {
+  const chosen = String(format || "json").toLowerCase();
+  if (!FORMATS[chosen]) throw httpError(400, `format must be one of: ${Object.keys(FORMATS).join(", ")}`);
+  return Object.assign({ body: RENDERERS[chosen](report), filename: `${report.type}-${report.id}.${FORMATS[chosen].extension}` }, FORMATS[chosen]);
+}
+
+module.exports = {
+  FORMATS,
+  REPORT_TYPES,
+  csvCell,
+  generateReport,
+  renderReport
+};
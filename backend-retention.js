@@ -0,0 +1,198 @@
+const crypto = require("node:crypto");
+const fsp = require("node:fs").promises;
+const path = require("node:path");
+const zlib = require("node:zlib");
+const { promisify } = require("node:util");
+const config = require("./backend-config");
+const { createId, withStoreLock } = require("./backend-storage");
+
+const gzip = promisify(zlib.gzip);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RUN_LIMIT = 100;
+// Each record's age is measured from `ageOf`; a record without one (an active session, an unfinished job) is kept.
+const COLLECTIONS = {
+  summaries: { ageOf: (item) => item.createdAt },
+  events: { ageOf: (item) => item.createdAt },
+  sessions: { ageOf: (item) => item.revokedAt || (item.expiresAt && item.expiresAt < nowIso() ? item.expiresAt : null) },
+  idempotencyRecords: { ageOf: (item) => item.createdAt },
+  reports: { ageOf: (item) => item.createdAt },
+  batchJobs: { ageOf: (item) => item.finishedAt || null },
+  // A credited checkout's event is the purchase's reference for later refunds, so only the others age out.
+  stripeEvents: { ageOf: (item) => (item.purchaseTransactionId || item.stripeSessionId ? null : item.createdAt) }
+};
+const DEFAULT_RETENTION = {
+  enabled: false,
+  policies: {
+    summaries: { days: 365, archive: true },
+    events: { days: 90, archive: true },
+    sessions: { days: 30, archive: false },
+    idempotencyRecords: { days: 7, archive: false },
+    reports: { days: 180, archive: true },
+    batchJobs: { days: 90, archive: true },
+    stripeEvents: { days: 30, archive: false }
+  }
+};
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function retentionFromSettings(settings) {
+  const stored = settings && settings.retention ? settings.retention : {};
+  const policies = {};
+  for (const name of Object.keys(DEFAULT_RETENTION.policies)) {
+    policies[name] = Object.assign({}, DEFAULT_RETENTION.policies[name], (stored.policies || {})[name] || {});
+  }
+  return { enabled: Boolean(stored.enabled), policies };
+}
+
+// Applied on top of the current policy, so an update may name only the collections it changes.
+// `days: null` keeps a collection forever.
+function validateRetention(input, settings) {
+  const retention = retentionFromSettings(settings);
+  const body = input && typeof input === "object" ? input : {};
+  const problems = [];
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== "boolean") problems.push("enabled must be true or false");
+    retention.enabled = body.enabled === true;
+  }
+  for (const [name, policy] of Object.entries(body.policies || {})) {
+    if (!COLLECTIONS[name]) {
+      problems.push(`Unknown retention collection: ${name}`);
+      continue;
+    }
+    const next = Object.assign(retention.policies[name], policy || {});
+    if (next.days !== null && !(Number.isInteger(next.days) && next.days >= 1)) problems.push(`policies.${name}.days must be a positive integer or null`);
+    if (typeof next.archive !== "boolean") problems.push(`policies.${name}.archive must be true or false`);
+  }
+  if (problems.length) throw httpError(400, problems.join("; "));
+  return retention;
+}
+
+function expiredRecords(name, records, cutoff) {
+  return records.filter((item) => {
+    const age = COLLECTIONS[name].ageOf(item);
+    return Boolean(age) && String(age) < cutoff;
+  });
+}
+
+async function writeArchive(runId, collections) {
+  const compressed = await gzip(Buffer.from(JSON.stringify({ runId, createdAt: nowIso(), collections }), "utf8"));
+  const fileName = `retention-${runId}.json.gz`;
+  await fsp.mkdir(config.RETENTION_ARCHIVE_DIR, { recursive: true });
+  const target = path.join(config.RETENTION_ARCHIVE_DIR, fileName);
+  await fsp.writeFile(`${target}.tmp`, compressed);
+  await fsp.rename(`${target}.tmp`, target);
+  return { fileName, bytes: compressed.length, checksum: `sha256:${crypto.createHash("sha256").update(compressed).digest("hex")}` };
+}
+
+// Removes records older than each policy allows. Everything removed from an archived collection is written to one
+// gzip file first, and nothing is deleted if that write fails. Finished batch jobs take their progress entries with
+// them. A dry run reports the same counts and changes nothing.
+async function sweepRetention(store, options = {}) {
+  const run = {
+    id: createId("retention"),
+    trigger: options.trigger || "manual",
+    dryRun: Boolean(options.dryRun),
+    startedAt: nowIso(),
+    cutoffs: {},
+    removed: {},
+    archive: null
+  };
+  await withStoreLock(store, async () => {
+    const retention = retentionFromSettings(await store.getSettings());
+    const now = options.now || Date.now();
+    const removals = {};
+    const archived = {};
+    for (const [name, policy] of Object.entries(retention.policies)) {
+      if (policy.days === null) continue;
+      run.cutoffs[name] = new Date(now - policy.days * DAY_MS).toISOString();
+      const records = await store.list(name);
+      const expired = expiredRecords(name, records, run.cutoffs[name]);
+      run.removed[name] = expired.length;
+      if (!expired.length) continue;
+      removals[name] = { records, expired: new Set(expired.map((item) => item.id)) };
+      if (policy.archive) archived[name] = expired;
+    }
+    if (removals.batchJobs) {
+      const events = await store.list("batchJobEvents");
+      const expired = events.filter((item) => removals.batchJobs.expired.has(item.jobId));
+      run.removed.batchJobEvents = expired.length;
+      if (expired.length) {
+        removals.batchJobEvents = { records: events, expired: new Set(expired.map((item) => item.id)) };
+        if (archived.batchJobs) archived.batchJobEvents = expired;
+      }
+    }
+    if (run.dryRun) return;
+    if (Object.keys(archived).length) run.archive = await writeArchive(run.id, archived);
+    for (const [name, removal] of Object.entries(removals)) {
+      await store.replace(name, removal.records.filter((item) => !removal.expired.has(item.id)));
+    }
+  });
+  run.finishedAt = nowIso();
+  return store.add("retentionRuns", run, { limit: RUN_LIMIT });
+}
+
+function totalRemoved(run) {
+  return Object.values(run.removed).reduce((sum, count) => sum + count, 0);
+}
+
+// Sweeps on a fixed interval while retention is enabled in settings. `onSwept` receives each finished run and
+// `onError` each failure, so the app can record events and alerts.
+class RetentionSweeper {
+  constructor(store, options = {}) {
+    this.store = store;
+    const minutes = options.intervalMinutes === undefined ? config.RETENTION_INTERVAL_MINUTES : options.intervalMinutes;
+    this.intervalMs = options.intervalMs === undefined ? Number(minutes) * 60 * 1000 : Number(options.intervalMs);
+    this.onSwept = options.onSwept || (async () => null);
+    this.onError = options.onError || (async () => null);
+    this.timer = null;
+    this.running = null;
+  }
+
+  start() {
+    if (this.timer || !(this.intervalMs > 0)) return;
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  tick() {
+    if (this.running) return this.running;
+    this.running = (async () => {
+      if (!retentionFromSettings(await this.store.getSettings()).enabled) return null;
+      const run = await sweepRetention(this.store, { trigger: "schedule" });
+      await this.onSwept(run);
+      return run;
+    })().catch((error) => this.onError(error)).finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+}
+
+function createRetentionSweeper(store, options) {
+  return new RetentionSweeper(store, options);
+}
+
+module.exports = {
+  COLLECTIONS,
+  DEFAULT_RETENTION,
+  RetentionSweeper,
+  createRetentionSweeper,
+  retentionFromSettings,
+  sweepRetention,
+  totalRemoved,
+  validateRetention
+};
@@ -0,0 +1,165 @@
+// A route table for the backend. Static paths are found with one Map lookup and parameterised paths (`{name}`
+// segments) by walking a tree one segment at a time, so dispatch cost does not grow with the number of routes.
+//
+// Each route is a stack of `(ctx, next)` middleware ending in a handler. Middleware registered with `use()` runs first
+// for every request, matched or not. A version prefix such as `/api/v2` serves every route registered under its base
+// (`/api`) with `ctx.version` set, so handlers can change a response shape for newer clients only.
+
+function createNode() {
+  return { children: new Map(), param: null, routes: new Map() };
+}
+
+function compose(stack) {
+  return (ctx) => {
+    const step = (index) => (index < stack.length ? stack[index](ctx, () => step(index + 1)) : undefined);
+    return step(0);
+  };
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (_error) {
+    return segment;
+  }
+}
+
+class Router {
+  constructor() {
+    this.routes = [];
+    this.staticRoutes = new Map();
+    this.tree = createNode();
+    this.middleware = [];
+    this.versions = [];
+  }
+
+  use(...middleware) {
+    this.middleware.push(...middleware);
+    return this;
+  }
+
+  // Serves `${base}/...` routes under `${prefix}/...` as well, with `ctx.version = version`.
+  version(version, prefix, base) {
+    this.versions.push({ version, prefix, base });
+    return this;
+  }
+
+  add(method, path, ...stack) {
+    const handler = stack.pop();
+    const route = { method, path, middleware: stack, handler, params: [] };
+    if (this.staticRoutes.has(`${method} ${path}`)) throw new Error(`Duplicate route: ${method} ${path}`);
+    if (path.includes("{")) {
+      let node = this.tree;
+      for (const segment of path.split("/").slice(1)) {
+        const param = segment.match(/^\{(\w+)\}$/);
+        if (param) {
+          node.param = node.param || { name: param[1], node: createNode() };
+          if (node.param.name !== param[1]) throw new Error(`Conflicting parameter names at ${path}`);
+          route.params.push(param[1]);
+          node = node.param.node;
+        } else {
+          if (!node.children.has(segment)) node.children.set(segment, createNode());
+          node = node.children.get(segment);
+        }
+      }
+      if (node.routes.has(method)) throw new Error(`Duplicate route: ${method} ${path}`);
+      node.routes.set(method, route);
+    } else {
+      this.staticRoutes.set(`${method} ${path}`, route);
+    }
+    this.routes.push(route);
+    return route;
+  }
+
+  get(path, ...stack) {
+    return this.add("GET", path, ...stack);
+  }
+
+  post(path, ...stack) {
+    return this.add("POST", path, ...stack);
+  }
+
+  put(path, ...stack) {
+    return this.add("PUT", path, ...stack);
+  }
+
+  delete(path, ...stack) {
+    return this.add("DELETE", path, ...stack);
+  }
+
+  // Static segments win over a parameter at the same position; the parameter is tried when the static branch fails.
+  findInTree(node, segments, index, method, values) {
+    if (index === segments.length) return node.routes.get(method) || null;
+    const child = node.children.get(segments[index]);
+    if (child) {
+      const found = this.findInTree(child, segments, index + 1, method, values);
+      if (found) return found;
+    }
+    if (node.param && segments[index]) {
+      values.push(decodeSegment(segments[index]));
+      const found = this.findInTree(node.param.node, segments, index + 1, method, values);
+      if (found) return found;
+      values.pop();
+    }
+    return null;
+  }
+
+  // Maps `/api/v2/x` to `{ version: 2, path: "/api/x" }`; paths outside every prefix are version 1.
+  unversioned(pathname) {
+    const versioned = this.versions.find((item) => pathname.startsWith(`${item.prefix}/`));
+    if (!versioned) return { version: 1, path: pathname };
+    return { version: versioned.version, path: `${versioned.base}${pathname.slice(versioned.prefix.length)}` };
+  }
+
+  match(method, pathname) {
+    const { version, path } = this.unversioned(pathname);
+    const found = this.staticRoutes.get(`${method} ${path}`);
+    if (found) return { route: found, params: {}, version, path };
+    const values = [];
+    const route = this.findInTree(this.tree, path.split("/").slice(1), 0, method, values);
+    if (!route) return null;
+    const params = {};
+    route.params.forEach((name, index) => {
+      params[name] = values[index];
+    });
+    return { route, params, version, path };
+  }
+
+  // Sets ctx.route, ctx.params, ctx.version and ctx.path (the pathname without its version prefix) from the request;
+  // ctx.route is null when nothing matches.
+  resolve(ctx) {
+    const found = this.match(ctx.req.method, ctx.pathname);
+    const { version, path } = found || this.unversioned(ctx.pathname);
+    ctx.route = found ? found.route : null;
+    ctx.params = found ? found.params : {};
+    ctx.version = version;
+    ctx.path = path;
+    return ctx.route;
+  }
+
+  dispatch(ctx, notFound) {
+    const stack = ctx.route ? ctx.route.middleware.concat(ctx.route.handler) : [notFound];
+    return compose(this.middleware.concat(stack))(ctx);
+  }
+
+  // Every `METHOD path` the router answers, including the versioned aliases.
+  table() {
+    const entries = [];
+    for (const route of this.routes) {
+      entries.push(`${route.method} ${route.path}`);
+      for (const item of this.versions) {
+        if (route.path.startsWith(`${item.base}/`)) entries.push(`${route.method} ${item.prefix}${route.path.slice(item.base.length)}`);
+      }
+    }
+    return entries;
+  }
+}
+
+function createRouter() {
+  return new Router();
+}
+
+module.exports = {
+  Router,
+  createRouter
+};
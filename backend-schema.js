@@ -0,0 +1,107 @@
+// A small JSON Schema (2020-12 subset) validator for the OpenAPI document: type, enum, const, properties, required,
+// additionalProperties, items, anyOf, length, range, pattern, format and local $ref.
+const FORMATS = {
+  "date-time": (value) => /^\d{4}-\d{2}-\d{2}T/.test(value) && Number.isFinite(new Date(value).getTime()),
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && Number.isFinite(new Date(`${value}T00:00:00.000Z`).getTime()),
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: (value) => {
+    try {
+      return Boolean(new URL(value).protocol);
+    } catch (_error) {
+      return false;
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  if (type === "integer") return actual === "number" && Number.isInteger(value);
+  return type === actual;
+}
+
+function fieldName(path) {
+  return path || "body";
+}
+
+function resolve(schema, root) {
+  let current = schema;
+  while (current && current.$ref) {
+    const target = current.$ref.replace(/^#\//, "").split("/").reduce((node, key) => (node ? node[key] : undefined), root);
+    if (!target) throw new Error(`Unresolved schema reference: ${current.$ref}`);
+    current = target;
+  }
+  return current;
+}
+
+function childPath(path, key) {
+  return typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+}
+
+// Returns `{ field, message, keyword }` for each problem; an empty array means the value is valid.
+function validateSchema(schema, value, root, path = "") {
+  const resolved = resolve(schema, root || schema);
+  if (!resolved || resolved === true) return [];
+  const problems = [];
+  const add = (keyword, message, field = path) => problems.push({ field: fieldName(field), message, keyword });
+
+  if (resolved.anyOf) {
+    const branches = resolved.anyOf.map((branch) => validateSchema(branch, value, root, path));
+    if (!branches.some((branch) => branch.length === 0)) {
+      return branches.sort((left, right) => left.length - right.length)[0];
+    }
+  }
+  if (resolved.type) {
+    const types = [].concat(resolved.type);
+    if (!types.some((type) => matchesType(type, value))) {
+      add("type", `must be ${types.join(" or ")}`);
+      return problems;
+    }
+  }
+  if (resolved.const !== undefined && value !== resolved.const) add("const", `must be ${JSON.stringify(resolved.const)}`);
+  if (resolved.enum && !resolved.enum.includes(value)) add("enum", `must be one of: ${resolved.enum.join(", ")}`);
+
+  if (typeof value === "string") {
+    if (resolved.minLength !== undefined && value.length < resolved.minLength) add("minLength", `must be at least ${resolved.minLength} characters`);
+    if (resolved.maxLength !== undefined && value.length > resolved.maxLength) add("maxLength", `must be at most ${resolved.maxLength} characters`);
+    if (resolved.pattern && !new RegExp(resolved.pattern).test(value)) add("pattern", `must match ${resolved.pattern}`);
+    if (resolved.format && FORMATS[resolved.format] && !FORMATS[resolved.format](value)) add("format", `must be a valid ${resolved.format}`);
+  }
+  if (typeof value === "number") {
+    if (resolved.minimum !== undefined && value < resolved.minimum) add("minimum", `must be at least ${resolved.minimum}`);
+    if (resolved.maximum !== undefined && value > resolved.maximum) add("maximum", `must be at most ${resolved.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (resolved.minItems !== undefined && value.length < resolved.minItems) add("minItems", `must have at least ${resolved.minItems} items`);
+    if (resolved.maxItems !== undefined && value.length > resolved.maxItems) add("maxItems", `must have at most ${resolved.maxItems} items`);
+    if (resolved.items) {
+      value.forEach((item, index) => problems.push(...validateSchema(resolved.items, item, root, childPath(path, index))));
+    }
+  }
+  if (typeOf(value) === "object") {
+    for (const name of resolved.required || []) {
+      if (value[name] === undefined) add("required", "is required", childPath(path, name));
+    }
+    const properties = resolved.properties || {};
+    for (const [name, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      if (properties[name]) {
+        problems.push(...validateSchema(properties[name], item, root, childPath(path, name)));
+      } else if (resolved.additionalProperties === false) {
+        add("additionalProperties", "is not allowed", childPath(path, name));
+      } else if (resolved.additionalProperties && typeof resolved.additionalProperties === "object") {
+        problems.push(...validateSchema(resolved.additionalProperties, item, root, childPath(path, name)));
+      }
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  validateSchema
+};
@@ -17,6 +17,7 @@ function startBackendServer(options = {}) {
         res.end(JSON.stringify({ success: false, error: error.message }));
       });
     });
+    server.on("close", () => app.close());
     return new Promise((resolve, reject) => {
       server.once("error", reject);
       server.listen(options.port || config.PORT, options.host || config.HOST, () => {
@@ -0,0 +1,107 @@
+const fs = require("node:fs");
+const path = require("node:path");
+
+let Database = null;
+try {
+  Database = require("better-sqlite3");
+} catch (_error) {
+  Database = null;
+}
+
+// Stores write `$1`-style placeholders for Postgres; SQLite gets positional `?` with params reordered to match.
+function positional(text, params) {
+  const ordered = [];
+  const sql = text.replace(/\$(\d+)/g, (match, index) => {
+    ordered.push(params[Number(index) - 1]);
+    return "?";
+  });
+  return { sql, params: ordered };
+}
+
+// Same query/transaction surface as the Postgres DatabaseManager, backed by one on-disk SQLite file.
+class SqliteConnection {
+  constructor(options = {}) {
+    this.Database = options.Database || Database;
+    this.filePath = options.filePath || path.join(__dirname, "database", "backend-store.sqlite");
+    this.migrationPath = options.migrationPath || path.join(__dirname, "migrations", "sqlite");
+    this.db = null;
+    this.queue = Promise.resolve();
+  }
+
+  async initialize() {
+    if (this.db) return;
+    if (!this.Database) {
+      throw new Error("SQLite driver is not installed. Add the \"better-sqlite3\" package before using BACKEND_STORE=sqlite.");
+    }
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const db = new this.Database(this.filePath);
+    db.pragma("journal_mode = WAL");
+    db.pragma("busy_timeout = 5000");
+    db.exec("CREATE TABLE IF NOT EXISTS schema_migrations (version TEXT PRIMARY KEY, applied_at TEXT NOT NULL)");
+    const applied = new Set(db.prepare("SELECT version FROM schema_migrations").all().map((row) => row.version));
+    const files = fs.existsSync(this.migrationPath)
+      ? fs.readdirSync(this.migrationPath).filter((file) => file.endsWith(".sql")).sort()
+      : [];
+    for (const file of files) {
+      const version = path.basename(file, ".sql");
+      if (applied.has(version)) continue;
+      const sql = fs.readFileSync(path.join(this.migrationPath, file), "utf8");
+      db.transaction(() => {
+        db.exec(sql);
+        db.prepare("INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)").run(version, new Date().toISOString());
+      })();
+    }
+    this.db = db;
+  }
+
+  execute(text, params = []) {
+    const query = positional(text, params);
+    const statement = this.db.prepare(query.sql);
+    if (statement.reader) {
+      const rows = statement.all(query.params);
+      return { rows, rowCount: rows.length };
+    }
+    const info = statement.run(query.params);
+    return { rows: [], rowCount: info.changes };
+  }
+
+  // Statements and transactions share one queue so a query never lands inside another caller's open transaction.
+  enqueue(task) {
+    const next = this.queue.then(task, task);
+    this.queue = next.catch(() => {});
+    return next;
+  }
+
+  query(text, params = []) {
+    if (!this.db) return Promise.reject(new Error("Database not connected"));
+    return this.enqueue(async () => this.execute(text, params));
+  }
+
+  transaction(callback) {
+    if (!this.db) return Promise.reject(new Error("Database not connected"));
+    return this.enqueue(async () => {
+      const client = { query: async (text, params) => this.execute(text, params) };
+      this.db.exec("BEGIN");
+      try {
+        const result = await callback(client);
+        this.db.exec("COMMIT");
+        return result;
+      } catch (error) {
+        this.db.exec("ROLLBACK");
+        throw error;
+      }
+    });
+  }
+
+  async close() {
+    await this.queue;
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = {
+  SqliteConnection
+};
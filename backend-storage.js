@@ -3,6 +3,20 @@ const fs = require("node:fs");
 const fsp = fs.promises;
 const path = require("node:path");
 
+const SCHEMA_VERSION = 1;
+
+const storeLocks = new WeakMap();
+
+// Rows a capped `add` never trims: a purchase waiting on Stripe has to be there when the payment is confirmed, a
+// webhook delivery waiting on its next retry has to be there when the retry runs, and a maintenance window that has
+// not ended still has to take effect.
+const UNTRIMMED = {
+  transactions: (record) => record.status === "pending",
+  checkoutSessions: (record) => record.status === "open",
+  webhookDeliveries: (record) => record.status === "pending",
+  maintenanceWindows: (record) => !record.cancelledAt && new Date(record.endsAt).getTime() > Date.now()
+};
+
 function createId(prefix) {
   const id = typeof crypto.randomUUID === "function"
     ? crypto.randomUUID()
@@ -10,6 +24,18 @@ function createId(prefix) {
   return prefix ? `${prefix}_${id}` : id;
 }
 
+// Read-modify-write updates list a whole collection and write it back, so they are serialized per store.
+function withStoreLock(store, task) {
+  const previous = storeLocks.get(store) || Promise.resolve();
+  const next = previous.then(task, task);
+  storeLocks.set(store, next.catch(() => {}));
+  return next;
+}
+
+function keepsPastLimit(collection, record) {
+  return Boolean(UNTRIMMED[collection] && UNTRIMMED[collection](record));
+}
+
 function nowIso() {
   return new Date().toISOString();
 }
@@ -26,7 +52,7 @@ function defaultState() {
   const createdAt = "2026-07-01T00:00:00.000Z";
   return {
     meta: {
-      schemaVersion: 1,
+      schemaVersion: SCHEMA_VERSION,
       createdAt,
       updatedAt: createdAt
     },
@@ -56,8 +82,25 @@ function defaultState() {
     maintenanceWindows: [],
     files: [],
     batchJobs: [],
+    batchJobEvents: [],
+    batchStreamTokens: [],
+    cardRuns: [],
+    checkoutSessions: [],
+    stripeEvents: [],
+    workspaces: [],
+    workspaceMembers: [],
+    accessTokens: [],
+    loginThrottles: [],
+    adminFactors: [],
+    webhookEndpoints: [],
+    webhookDeliveries: [],
+    auditLog: [],
+    auditHead: [],
+    retentionRuns: [],
+    consents: [],
+    privacyRequests: [],
+    deletionCertificates: [],
     idempotencyRecords: [],
-    rateLimitWindows: [],
     settings: {
       proxyEndpoint: "",
       providerMode: "local",
@@ -66,10 +109,23 @@ function defaultState() {
   };
 }
 
+function normalizeState(state) {
+  const defaults = defaultState();
+  for (const key of Object.keys(defaults)) {
+    if (Array.isArray(defaults[key])) state[key] = normalizeArray(state[key]);
+  }
+  state.settings = state.settings || defaults.settings;
+  state.meta = state.meta || defaults.meta;
+  // Rate limits moved to in-memory token buckets; drop the rows older store files still carry.
+  delete state.rateLimitWindows;
+  return state;
+}
+
 class LocalBackendStore {
   constructor(options = {}) {
     this.filePath = options.filePath || path.join(__dirname, "database", "local-backend-store.json");
     this.state = null;
+    this.pendingWrite = null;
   }
 
   async initialize(seedPasswordRecord) {
@@ -82,23 +138,7 @@ class LocalBackendStore {
       this.state = defaultState();
     }
 
-    this.state.users = normalizeArray(this.state.users);
-    this.state.sessions = normalizeArray(this.state.sessions);
-    this.state.summaries = normalizeArray(this.state.summaries);
-    this.state.transactions = normalizeArray(this.state.transactions);
-    this.state.events = normalizeArray(this.state.events);
-    this.state.reviews = normalizeArray(this.state.reviews);
-    this.state.systemAlerts = normalizeArray(this.state.systemAlerts);
-    this.state.settingsHistory = normalizeArray(this.state.settingsHistory);
-    this.state.reports = normalizeArray(this.state.reports);
-    this.state.backups = normalizeArray(this.state.backups);
-    this.state.maintenanceWindows = normalizeArray(this.state.maintenanceWindows);
-    this.state.files = normalizeArray(this.state.files);
-    this.state.batchJobs = normalizeArray(this.state.batchJobs);
-    this.state.idempotencyRecords = normalizeArray(this.state.idempotencyRecords);
-    this.state.rateLimitWindows = normalizeArray(this.state.rateLimitWindows);
-    this.state.settings = this.state.settings || defaultState().settings;
-    this.state.meta = this.state.meta || defaultState().meta;
+    this.state = normalizeState(this.state);
 
     if (seedPasswordRecord) {
       const seedUser = this.state.users.find((item) => item.id === "seed-user");
@@ -115,15 +155,27 @@ class LocalBackendStore {
 
   async persist() {
     this.state.meta.updatedAt = nowIso();
+    const serialized = JSON.stringify(this.state, null, 2);
     const next = `${this.filePath}.tmp`;
-    await fsp.writeFile(next, JSON.stringify(this.state, null, 2));
-    await fsp.rename(next, this.filePath);
+    // Writes share one temp file, so overlapping persists are chained instead of racing on the rename.
+    this.pendingWrite = (this.pendingWrite || Promise.resolve()).catch(() => {}).then(async () => {
+      await fsp.writeFile(next, serialized);
+      await fsp.rename(next, this.filePath);
+    });
+    return this.pendingWrite;
   }
 
   async snapshot() {
     return clone(this.state);
   }
 
+  // The state is swapped in memory and written with the same temp-file rename, so a restore lands whole or not at all.
+  async restore(state) {
+    this.state = normalizeState(clone(state));
+    await this.persist();
+    return this.snapshot();
+  }
+
   async list(collection) {
     return clone(this.state[collection] || []);
   }
@@ -154,7 +206,7 @@ class LocalBackendStore {
     }, record);
     this.state[collection].unshift(next);
     if (options.limit && this.state[collection].length > options.limit) {
-      this.state[collection] = this.state[collection].slice(0, options.limit);
+      this.state[collection] = this.state[collection].filter((item, index) => index < options.limit || keepsPastLimit(collection, item));
     }
     await this.persist();
     return clone(next);
@@ -166,6 +218,31 @@ class LocalBackendStore {
     return this.list(collection);
   }
 
+  async findRecord(collection, id) {
+    return clone(this.state[collection].find((item) => item.id === id) || null);
+  }
+
+  async findRecords(collection, field, value) {
+    return clone(this.state[collection].filter((item) => item[field] === value));
+  }
+
+  // Rewrites one record in place, keeping its position; null when there is no record with that id.
+  async updateRecord(collection, record) {
+    const index = this.state[collection].findIndex((item) => item.id === record.id);
+    if (index === -1) return null;
+    this.state[collection][index] = clone(record);
+    await this.persist();
+    return clone(record);
+  }
+
+  async removeRecords(collection, ids) {
+    const removing = new Set(ids);
+    const before = this.state[collection].length;
+    this.state[collection] = this.state[collection].filter((item) => !removing.has(item.id));
+    if (this.state[collection].length !== before) await this.persist();
+    return before - this.state[collection].length;
+  }
+
   async findUserByEmail(email) {
     return clone(this.state.users.find((item) => item.email === email) || null);
   }
@@ -243,43 +320,405 @@ class LocalBackendStore {
   async findIdempotency(scope, key) {
     return clone(this.state.idempotencyRecords.find((item) => item.scope === scope && item.key === key) || null);
   }
+}
 
-  async touchRateLimit(record) {
-    this.state.rateLimitWindows.push(record);
-    this.state.rateLimitWindows = this.state.rateLimitWindows.filter((item) => item.expiresAt > Date.now());
-    await this.persist();
-    return clone(record);
-  }
+const SQL_TABLES = {
+  users: { table: "backend_users", columns: { email: "email" } },
+  sessions: { table: "backend_sessions", columns: { user_id: "userId", token_hash: "tokenHash", revoked_at: "revokedAt" } },
+  summaries: { table: "backend_summaries", columns: { user_id: "userId" } },
+  transactions: { table: "backend_transactions", columns: { user_id: "userId" } },
+  events: { table: "backend_events", columns: { type: "type" } },
+  batchJobs: { table: "backend_batch_jobs", columns: { user_id: "userId", status: "status" } },
+  idempotencyRecords: { table: "backend_idempotency_records", columns: { scope: "scope", record_key: "key" } },
+  accessTokens: { table: "backend_access_tokens", columns: { user_id: "userId", token_hash: "tokenHash" } },
+  stripeEvents: { table: "backend_stripe_events", columns: { stripe_session_id: "stripeSessionId", payment_intent_id: "stripePaymentIntentId" } }
+};
 
-  async listRateLimits() {
-    this.state.rateLimitWindows = this.state.rateLimitWindows.filter((item) => item.expiresAt > Date.now());
-    return clone(this.state.rateLimitWindows);
+const COLLECTIONS = Object.keys(defaultState()).filter((key) => Array.isArray(defaultState()[key]));
+
+function tableFor(collection) {
+  if (!COLLECTIONS.includes(collection)) {
+    throw new Error(`Unknown backend collection: ${collection}`);
   }
+  return SQL_TABLES[collection] || { table: "backend_records", collection, columns: {} };
+}
+
+function whereClause(spec, conditions = []) {
+  const all = spec.collection ? [["collection", spec.collection]].concat(conditions) : conditions;
+  const params = all.map((condition) => condition[1]);
+  const parts = all.map((condition, index) => `${condition[0]} = $${index + 1}`);
+  return { sql: parts.length ? ` WHERE ${parts.join(" AND ")}` : "", params };
 }
 
-class PostgresBackendStore extends LocalBackendStore {
+function decodeData(value) {
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+function columnValue(record, field) {
+  const value = record[field];
+  return value === undefined ? null : value;
+}
+
+// Table-backed store shared by Postgres and SQLite; `connection` provides query(text, params) and transaction(callback).
+class SqlBackendStore {
   constructor(options = {}) {
-    super(options);
-    this.connection = options.connection || null;
+    this.connection = options.connection;
+  }
+
+  // SQLite runs one statement at a time, so only Postgres needs to lock a row it is about to rewrite.
+  get rowLock() {
+    return "";
+  }
+
+  // SQLite only takes OFFSET after a LIMIT, where -1 means no limit; Postgres takes OFFSET on its own.
+  offsetClause(placeholder) {
+    return ` LIMIT -1 OFFSET ${placeholder}`;
   }
 
   async initialize(seedPasswordRecord) {
-    if (this.connection && typeof this.connection.initialize === "function") {
-      await this.connection.initialize();
+    await this.connection.initialize();
+    const existing = await this.readSetting(this.connection, "meta");
+    if (!existing) {
+      const initial = defaultState();
+      await this.connection.transaction(async (client) => {
+        await this.writeSetting(client, "meta", initial.meta);
+        await this.writeSetting(client, "settings", initial.settings);
+        for (const [index, user] of initial.users.entries()) {
+          await this.insert(client, tableFor("users"), user, index);
+        }
+      });
+    }
+
+    if (seedPasswordRecord) {
+      const seedUser = await this.findUserById("seed-user");
+      if (seedUser && !seedUser.passwordHash) {
+        await this.updateUser(seedUser.id, {
+          passwordHash: seedPasswordRecord.hash,
+          passwordSalt: seedPasswordRecord.salt
+        });
+      }
+    }
+    return this;
+  }
+
+  // Rows are written as they change, so there is no whole-state flush.
+  async persist() {
+    return undefined;
+  }
+
+  async readSetting(db, name) {
+    const result = await db.query("SELECT data FROM backend_settings WHERE name = $1", [name]);
+    return result.rows.length ? decodeData(result.rows[0].data) : null;
+  }
+
+  async writeSetting(db, name, data) {
+    await db.query(
+      "INSERT INTO backend_settings (name, data) VALUES ($1, $2) ON CONFLICT (name) DO UPDATE SET data = EXCLUDED.data",
+      [name, JSON.stringify(data)]
+    );
+  }
+
+  async select(db, spec, conditions, suffix = "") {
+    const where = whereClause(spec, conditions);
+    const result = await db.query(`SELECT data FROM ${spec.table}${where.sql} ORDER BY position${suffix}`, where.params);
+    return result.rows.map((row) => decodeData(row.data));
+  }
+
+  async nextPosition(db, spec, direction) {
+    const where = whereClause(spec);
+    const aggregate = direction === "prepend" ? "COALESCE(MIN(position), 0) - 1" : "COALESCE(MAX(position), -1) + 1";
+    const result = await db.query(`SELECT ${aggregate} AS position FROM ${spec.table}${where.sql}`, where.params);
+    return Number(result.rows[0].position);
+  }
+
+  async insert(db, spec, record, position) {
+    const columns = ["id", "position"];
+    const values = [record.id, position];
+    if (spec.collection) {
+      columns.push("collection");
+      values.push(spec.collection);
+    }
+    for (const [column, field] of Object.entries(spec.columns)) {
+      columns.push(column);
+      values.push(columnValue(record, field));
+    }
+    columns.push("data");
+    values.push(JSON.stringify(record));
+    const placeholders = values.map((value, index) => `$${index + 1}`);
+    await db.query(`INSERT INTO ${spec.table} (${columns.join(", ")}) VALUES (${placeholders.join(", ")})`, values);
+  }
+
+  async update(db, spec, record) {
+    const assignments = ["data = $1"];
+    const values = [JSON.stringify(record)];
+    for (const [column, field] of Object.entries(spec.columns)) {
+      values.push(columnValue(record, field));
+      assignments.push(`${column} = $${values.length}`);
     }
-    return super.initialize(seedPasswordRecord);
+    values.push(record.id);
+    let sql = `UPDATE ${spec.table} SET ${assignments.join(", ")} WHERE id = $${values.length}`;
+    if (spec.collection) {
+      values.push(spec.collection);
+      sql += ` AND collection = $${values.length}`;
+    }
+    const result = await db.query(sql, values);
+    return result.rowCount;
+  }
+
+  async deleteIds(db, spec, ids) {
+    if (!ids.length) return 0;
+    const where = whereClause(spec);
+    const placeholders = ids.map((id, index) => `$${where.params.length + index + 1}`);
+    const scope = where.sql ? `${where.sql} AND` : " WHERE";
+    const result = await db.query(`DELETE FROM ${spec.table}${scope} id IN (${placeholders.join(", ")})`, where.params.concat(ids));
+    return result.rowCount;
+  }
+
+  async insertAt(collection, record, direction, limit) {
+    const spec = tableFor(collection);
+    return this.connection.transaction(async (client) => {
+      await this.insert(client, spec, record, await this.nextPosition(client, spec, direction));
+      if (limit) {
+        // Only the rows past the limit are read, and their data only when the collection exempts some rows from trimming.
+        const where = whereClause(spec);
+        const exempting = Boolean(UNTRIMMED[collection]);
+        const result = await client.query(
+          `SELECT id${exempting ? ", data" : ""} FROM ${spec.table}${where.sql} ORDER BY position${this.offsetClause(`$${where.params.length + 1}`)}`,
+          where.params.concat(limit)
+        );
+        await this.deleteIds(client, spec, result.rows
+          .filter((row) => !exempting || !keepsPastLimit(collection, decodeData(row.data)))
+          .map((row) => row.id));
+      }
+      return clone(record);
+    });
+  }
+
+  // One transaction, repeatable read on Postgres, so a backup never mixes rows from before and after a concurrent write.
+  // SQLite transactions already run alone on the connection.
+  async snapshot() {
+    return this.connection.transaction(async (client) => {
+      const state = {
+        meta: await this.readSetting(client, "meta"),
+        settings: await this.readSetting(client, "settings")
+      };
+      for (const collection of COLLECTIONS) {
+        state[collection] = await this.select(client, tableFor(collection));
+      }
+      return state;
+    }, { isolation: "REPEATABLE READ" });
+  }
+
+  async restore(state) {
+    const next = normalizeState(clone(state));
+    await this.connection.transaction(async (client) => {
+      for (const collection of COLLECTIONS) {
+        const spec = tableFor(collection);
+        const where = whereClause(spec);
+        await client.query(`DELETE FROM ${spec.table}${where.sql}`, where.params);
+        for (const [index, record] of next[collection].entries()) {
+          await this.insert(client, spec, record, index);
+        }
+      }
+      await this.writeSetting(client, "settings", next.settings);
+      await this.writeSetting(client, "meta", next.meta);
+    });
+    return this.snapshot();
+  }
+
+  async list(collection) {
+    return this.select(this.connection, tableFor(collection));
+  }
+
+  async getSettings() {
+    return this.readSetting(this.connection, "settings");
+  }
+
+  async updateSettings(updates) {
+    const settings = Object.assign({}, await this.getSettings(), updates, {
+      updatedAt: nowIso()
+    });
+    await this.writeSetting(this.connection, "settings", settings);
+    await this.insertAt("settingsHistory", {
+      id: createId("settings"),
+      createdAt: nowIso(),
+      changes: clone(updates)
+    }, "prepend", 200);
+    return this.getSettings();
+  }
+
+  async add(collection, record, options = {}) {
+    const next = Object.assign({
+      id: record.id || createId(options.prefix),
+      createdAt: record.createdAt || nowIso(),
+      updatedAt: record.updatedAt || nowIso()
+    }, record);
+    return this.insertAt(collection, next, "prepend", options.limit);
+  }
+
+  async replace(collection, records) {
+    const spec = tableFor(collection);
+    await this.connection.transaction(async (client) => {
+      const where = whereClause(spec);
+      await client.query(`DELETE FROM ${spec.table}${where.sql}`, where.params);
+      for (const [index, record] of records.entries()) {
+        await this.insert(client, spec, record, index);
+      }
+    });
+    return this.list(collection);
+  }
+
+  async findRecord(collection, id) {
+    const records = await this.select(this.connection, tableFor(collection), [["id", id]]);
+    return records[0] || null;
+  }
+
+  // Uses the table's column for `field` when it has one; other fields fall back to filtering the whole collection.
+  async findRecords(collection, field, value) {
+    const spec = tableFor(collection);
+    const column = field === "id" ? "id" : Object.keys(spec.columns).find((name) => spec.columns[name] === field);
+    if (!column) return (await this.list(collection)).filter((item) => item[field] === value);
+    return this.select(this.connection, spec, [[column, value]]);
+  }
+
+  async updateRecord(collection, record) {
+    const updated = await this.update(this.connection, tableFor(collection), record);
+    return updated ? clone(record) : null;
+  }
+
+  async removeRecords(collection, ids) {
+    return this.deleteIds(this.connection, tableFor(collection), ids);
+  }
+
+  async findUserByEmail(email) {
+    const users = await this.select(this.connection, tableFor("users"), [["email", email]]);
+    return users[0] || null;
+  }
+
+  async findUserById(id) {
+    const users = await this.select(this.connection, tableFor("users"), [["id", id]]);
+    return users[0] || null;
+  }
+
+  async listUsers() {
+    return this.list("users");
+  }
+
+  async createUser(record) {
+    const user = Object.assign({
+      id: createId("user"),
+      credits: 10,
+      role: "user",
+      suspended: false,
+      createdAt: nowIso(),
+      updatedAt: nowIso()
+    }, record);
+    return this.insertAt("users", user, "append");
+  }
+
+  async updateUser(id, updates) {
+    const user = await this.findUserById(id);
+    if (!user) return null;
+    Object.assign(user, updates, { updatedAt: nowIso() });
+    await this.update(this.connection, tableFor("users"), user);
+    return user;
+  }
+
+  async deleteUser(id) {
+    const user = await this.findUserById(id);
+    if (!user) return null;
+    await this.deleteIds(this.connection, tableFor("users"), [id]);
+    return user;
+  }
+
+  async createSession(record) {
+    const session = Object.assign({
+      id: createId("session"),
+      revokedAt: null,
+      createdAt: nowIso(),
+      updatedAt: nowIso()
+    }, record);
+    return this.insertAt("sessions", session, "prepend");
+  }
+
+  async findSessionByTokenHash(tokenHash) {
+    const sessions = await this.select(this.connection, tableFor("sessions"), [["token_hash", tokenHash]]);
+    return sessions.find((item) => !item.revokedAt) || null;
+  }
+
+  async revokeSession(tokenHash) {
+    const session = await this.findSessionByTokenHash(tokenHash);
+    if (!session) return null;
+    session.revokedAt = nowIso();
+    session.updatedAt = nowIso();
+    await this.update(this.connection, tableFor("sessions"), session);
+    return session;
+  }
+
+  async rememberIdempotency(record) {
+    return this.insertAt("idempotencyRecords", record, "prepend", 500);
+  }
+
+  async findIdempotency(scope, key) {
+    const records = await this.select(this.connection, tableFor("idempotencyRecords"), [["scope", scope], ["record_key", key]], " LIMIT 1");
+    return records[0] || null;
+  }
+
+  // Shared token buckets for RATE_LIMIT_BACKEND=store. `update` receives the stored `{ tokens, updatedAt }` (or null)
+  // and returns the bucket to keep, with the `expiresAt` after which it is full again; the read and the write share one
+  // transaction. A placeholder row is inserted first so that two first requests for a key queue on the same row lock
+  // instead of both finding nothing to lock; its `updated_at` of -1 reads as no bucket.
+  async updateRateLimitBucket(key, update) {
+    return this.connection.transaction(async (client) => {
+      await client.query(
+        "INSERT INTO backend_rate_limit_buckets (bucket_key, tokens, updated_at, expires_at) VALUES ($1, 0, -1, 0) ON CONFLICT (bucket_key) DO NOTHING",
+        [key]
+      );
+      const result = await client.query(`SELECT tokens, updated_at FROM backend_rate_limit_buckets WHERE bucket_key = $1${this.rowLock}`, [key]);
+      const row = result.rows[0];
+      const stored = row && Number(row.updated_at) >= 0 ? { tokens: Number(row.tokens), updatedAt: Number(row.updated_at) } : null;
+      const bucket = update(stored);
+      await client.query(
+        "UPDATE backend_rate_limit_buckets SET tokens = $2, updated_at = $3, expires_at = $4 WHERE bucket_key = $1",
+        [key, bucket.tokens, bucket.updatedAt, bucket.expiresAt || bucket.updatedAt]
+      );
+      return bucket;
+    });
+  }
+
+  async pruneRateLimitBuckets(now) {
+    const result = await this.connection.query("DELETE FROM backend_rate_limit_buckets WHERE expires_at <= $1", [now]);
+    return result.rowCount;
   }
 }
 
+class PostgresBackendStore extends SqlBackendStore {
+  get rowLock() {
+    return " FOR UPDATE";
+  }
+
+  offsetClause(placeholder) {
+    return ` OFFSET ${placeholder}`;
+  }
+}
+
+class SqliteBackendStore extends SqlBackendStore {}
+
 async function createBackendStore(options = {}) {
   const storeType = options.storeType || process.env.BACKEND_STORE || (process.env.DATABASE_URL ? "postgres" : "local");
   const seedPasswordRecord = options.seedPasswordRecord || null;
   if (storeType === "postgres") {
     const connection = options.connection || require("./database/connection");
-    const store = new PostgresBackendStore({
-      filePath: options.filePath,
-      connection
+    const store = new PostgresBackendStore({ connection });
+    return store.initialize(seedPasswordRecord);
+  }
+
+  if (storeType === "sqlite") {
+    const { SqliteConnection } = require("./backend-sqlite");
+    const connection = options.connection || new SqliteConnection({
+      filePath: options.sqlitePath || process.env.SQLITE_PATH || undefined
     });
+    const store = new SqliteBackendStore({ connection });
     return store.initialize(seedPasswordRecord);
   }
 
@@ -293,5 +732,9 @@ module.exports = {
   createBackendStore,
   createId,
   LocalBackendStore,
-  PostgresBackendStore
+  PostgresBackendStore,
+  SCHEMA_VERSION,
+  SqlBackendStore,
+  SqliteBackendStore,
+  withStoreLock
 };
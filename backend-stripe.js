@@ -0,0 +1,248 @@
+const crypto = require("node:crypto");
+const { createId, withStoreLock } = require("./backend-storage");
+const { confirmPurchase } = require("./backend-purchases");
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const LEGACY_IDEMPOTENCY_SCOPE = "stripe-webhook";
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseSignatureHeader(header) {
+  return String(header || "").split(",").reduce((parsed, part) => {
+    const index = part.indexOf("=");
+    if (index === -1) return parsed;
+    const key = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    if (key === "t") parsed.timestamp = Number(value);
+    if (key === "v1") parsed.signatures.push(value);
+    return parsed;
+  }, { timestamp: NaN, signatures: [] });
+}
+
+function signStripePayload(rawBody, secret, timestamp) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`, "utf8").digest("hex");
+}
+
+// Mirrors Stripe's scheme: HMAC-SHA256 over `${t}.${rawBody}`, any matching v1 signature, and a replay window on t.
+function verifyStripeSignature(rawBody, header, secret, options = {}) {
+  const parsed = parseSignatureHeader(header);
+  if (!Number.isFinite(parsed.timestamp) || !parsed.signatures.length) {
+    throw httpError(400, "Malformed stripe-signature header");
+  }
+  const tolerance = Number(options.toleranceSeconds || DEFAULT_TOLERANCE_SECONDS);
+  const now = Math.floor(Number(options.now || Date.now()) / 1000);
+  if (Math.abs(now - parsed.timestamp) > tolerance) {
+    throw httpError(400, "Stripe signature timestamp is outside the tolerance window");
+  }
+  const expected = Buffer.from(signStripePayload(rawBody, secret, parsed.timestamp), "hex");
+  const matched = parsed.signatures.some((signature) => {
+    const candidate = Buffer.from(signature, "hex");
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+  if (!matched) {
+    throw httpError(400, "Stripe signature does not match");
+  }
+  return parsed.timestamp;
+}
+
+function objectUserId(object) {
+  const metadata = object.metadata || {};
+  return String(metadata.userId || object.client_reference_id || "");
+}
+
+async function creditCheckout(store, event, object) {
+  const checkoutSessionId = String((object.metadata || {}).checkoutSessionId || object.client_reference_id || "");
+  if (checkoutSessionId.startsWith("checkout_")) {
+    return confirmPurchase(store, checkoutSessionId, {
+      source: "stripe",
+      stripeEventId: event.id,
+      stripeSessionId: object.id,
+      stripePaymentIntentId: object.payment_intent || "",
+      amountTotal: Number(object.amount_total || 0),
+      currency: object.currency || ""
+    });
+  }
+  // Without a pending purchase to complete, the checkout session id is what stops a second event for it crediting again.
+  if ((await store.findRecords("stripeEvents", "stripeSessionId", object.id)).length) return null;
+  const user = await store.findUserById(objectUserId(object));
+  const credits = Math.max(0, Math.floor(Number((object.metadata || {}).credits || 0)));
+  if (!user || !credits) return null;
+  await store.updateUser(user.id, { credits: Number(user.credits || 0) + credits });
+  return store.add("transactions", {
+    id: createId("txn"),
+    userId: user.id,
+    type: "credit_purchase",
+    credits,
+    status: "completed",
+    package: (object.metadata || {}).package || "",
+    source: "stripe",
+    stripeEventId: event.id,
+    stripeSessionId: object.id,
+    stripePaymentIntentId: object.payment_intent || "",
+    amountTotal: Number(object.amount_total || 0),
+    currency: object.currency || "",
+    createdAt: nowIso()
+  }, { limit: 1000 });
+}
+
+async function recordPaymentFailure(store, event, object) {
+  const user = await store.findUserById(objectUserId(object));
+  if (!user) return null;
+  const failure = object.last_payment_error || {};
+  return store.add("transactions", {
+    id: createId("txn"),
+    userId: user.id,
+    type: "credit_purchase",
+    credits: 0,
+    status: "failed",
+    source: "stripe",
+    stripeEventId: event.id,
+    stripePaymentIntentId: object.object === "payment_intent" ? object.id : object.payment_intent || "",
+    failureReason: String(failure.message || failure.code || "payment failed"),
+    createdAt: nowIso()
+  }, { limit: 1000 });
+}
+
+// A purchase credited since `stripeEvents` kept purchase references is found on its event record, which outlives the
+// capped transactions list. Older purchases are looked up in `transactions`, with their refunds summed from there.
+async function findRefundedPurchase(store, paymentIntentId) {
+  const reference = (await store.findRecords("stripeEvents", "stripePaymentIntentId", paymentIntentId))
+    .find((item) => item.purchaseTransactionId);
+  if (reference) {
+    return {
+      reference,
+      transactionId: reference.purchaseTransactionId,
+      userId: reference.userId,
+      credits: Number(reference.credits || 0),
+      amountTotal: Number(reference.amountTotal || 0),
+      alreadyDebited: Number(reference.refundedCredits || 0)
+    };
+  }
+  const transactions = await store.list("transactions");
+  const purchase = transactions.find((item) => item.type === "credit_purchase" &&
+    item.status === "completed" &&
+    item.stripePaymentIntentId &&
+    item.stripePaymentIntentId === paymentIntentId);
+  if (!purchase) return null;
+  return {
+    reference: null,
+    transactionId: purchase.id,
+    userId: purchase.userId,
+    credits: Number(purchase.credits || 0),
+    amountTotal: Number(purchase.amountTotal || 0),
+    alreadyDebited: transactions
+      .filter((item) => item.type === "stripe_refund" && item.relatedTransactionId === purchase.id)
+      .reduce((sum, item) => sum + Math.abs(Number(item.credits || 0)), 0)
+  };
+}
+
+// charge.refunded reports the cumulative amount_refunded, so only the part not yet debited is charged back.
+async function debitRefund(store, event, object) {
+  if (!object.payment_intent) return null;
+  const purchase = await findRefundedPurchase(store, object.payment_intent);
+  if (!purchase) return null;
+  const amount = Number(object.amount || purchase.amountTotal || 0);
+  const ratio = amount > 0 ? Math.min(1, Number(object.amount_refunded || 0) / amount) : 1;
+  const debit = Math.round(purchase.credits * ratio) - purchase.alreadyDebited;
+  if (debit <= 0) return null;
+  const user = await store.findUserById(purchase.userId);
+  if (user) {
+    await store.updateUser(user.id, { credits: Math.max(0, Number(user.credits || 0) - debit) });
+  }
+  if (purchase.reference) {
+    await store.updateRecord("stripeEvents", Object.assign(purchase.reference, { refundedCredits: purchase.alreadyDebited + debit }));
+  }
+  return store.add("transactions", {
+    id: createId("txn"),
+    userId: purchase.userId,
+    type: "stripe_refund",
+    credits: -debit,
+    status: "completed",
+    source: "stripe",
+    stripeEventId: event.id,
+    stripeChargeId: object.id,
+    relatedTransactionId: purchase.transactionId,
+    createdAt: nowIso()
+  }, { limit: 1000 });
+}
+
+async function applyStripeEvent(store, event) {
+  const object = event.data && event.data.object ? event.data.object : {};
+  switch (event.type) {
+    case "checkout.session.completed":
+      if (object.payment_status && object.payment_status !== "paid") return { handled: false, transaction: null };
+      return { handled: true, transaction: await creditCheckout(store, event, object) };
+    case "checkout.session.async_payment_succeeded":
+      return { handled: true, transaction: await creditCheckout(store, event, object) };
+    case "checkout.session.async_payment_failed":
+    case "payment_intent.payment_failed":
+      return { handled: true, transaction: await recordPaymentFailure(store, event, object) };
+    case "charge.refunded":
+      return { handled: true, transaction: await debitRefund(store, event, object) };
+    default:
+      return { handled: false, transaction: null };
+  }
+}
+
+// The event record of a credited purchase doubles as its reference for later refunds, keyed by session and payment
+// intent.
+function eventRecord(event, result) {
+  const transaction = result.transaction;
+  const record = {
+    id: event.id,
+    type: event.type,
+    handled: result.handled,
+    transactionId: transaction ? transaction.id : null,
+    stripeSessionId: null,
+    stripePaymentIntentId: null,
+    createdAt: nowIso()
+  };
+  if (transaction && transaction.type === "credit_purchase" && transaction.status === "completed") {
+    Object.assign(record, {
+      stripeSessionId: transaction.stripeSessionId || null,
+      stripePaymentIntentId: transaction.stripePaymentIntentId || null,
+      purchaseTransactionId: transaction.id,
+      userId: transaction.userId,
+      credits: Number(transaction.credits || 0),
+      amountTotal: Number(transaction.amountTotal || 0),
+      refundedCredits: 0
+    });
+  }
+  return record;
+}
+
+// Deliveries are de-duplicated on the Stripe event id; the lock keeps a retried delivery from racing the first one.
+// Processed ids go to `stripeEvents`, which is never trimmed, because Stripe retries for days.
+function processStripeEvent(store, event, options = {}) {
+  const appendEvent = options.appendEvent || (async () => null);
+  return withStoreLock(store, async () => {
+    // Ids processed before `stripeEvents` existed are still found in the idempotency records until those age out.
+    if (await store.findRecord("stripeEvents", event.id) || await store.findIdempotency(LEGACY_IDEMPOTENCY_SCOPE, event.id)) {
+      return { duplicate: true, handled: false, transaction: null };
+    }
+    const result = await applyStripeEvent(store, event);
+    await store.add("stripeEvents", eventRecord(event, result));
+    await appendEvent(store, "stripe.webhook.processed", {
+      userId: result.transaction ? result.transaction.userId : undefined,
+      stripeEventId: event.id,
+      stripeEventType: event.type,
+      handled: result.handled,
+      transactionId: result.transaction ? result.transaction.id : null
+    });
+    return Object.assign({ duplicate: false }, result);
+  });
+}
+
+module.exports = {
+  processStripeEvent,
+  signStripePayload,
+  verifyStripeSignature
+};
@@ -0,0 +1,149 @@
+const crypto = require("node:crypto");
+const { withStoreLock } = require("./backend-storage");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ADMIN_FACTOR_ID = "admin-totp";
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function base32Encode(buffer) {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  let output = "";
+  for (let index = 0; index < bits.length; index += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(index, index + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+}
+
+function base32Decode(value) {
+  const bits = String(value || "").toUpperCase().replace(/[\s=]/g, "").split("").map((char) => {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    return index.toString(2).padStart(5, "0");
+  }).join("");
+  const bytes = [];
+  for (let index = 0; index + 8 <= bits.length; index += 8) bytes.push(parseInt(bits.slice(index, index + 8), 2));
+  return Buffer.from(bytes);
+}
+
+// RFC 6238 TOTP with the authenticator-app defaults: HMAC-SHA1, 30 second steps, 6 digits.
+function totpForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, "0");
+}
+
+function generateTotp(secret, now = Date.now()) {
+  return totpForStep(secret, Math.floor(now / 1000 / STEP_SECONDS));
+}
+
+// Accepts the current step and one step either side for clock drift; returns the matched step or null.
+function matchTotpStep(secret, code, now = Date.now()) {
+  const candidate = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(candidate)) return null;
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (const step of [current - 1, current, current + 1]) {
+    const expected = totpForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step;
+  }
+  return null;
+}
+
+function otpauthUrl(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+async function findAdminFactor(store) {
+  return (await store.list("adminFactors")).find((item) => item.id === ADMIN_FACTOR_ID) || null;
+}
+
+async function adminTotpEnabled(store) {
+  const factor = await findAdminFactor(store);
+  return Boolean(factor && factor.enabled);
+}
+
+function saveAdminFactor(store, updater) {
+  return withStoreLock(store, async () => {
+    const records = await store.list("adminFactors");
+    let factor = records.find((item) => item.id === ADMIN_FACTOR_ID);
+    if (!factor) {
+      factor = { id: ADMIN_FACTOR_ID, enabled: false, secret: "", pendingSecret: "", lastUsedStep: null, createdAt: nowIso() };
+      records.unshift(factor);
+    }
+    const result = updater(factor);
+    factor.updatedAt = nowIso();
+    await store.replace("adminFactors", records);
+    return result;
+  });
+}
+
+// Enrollment is two steps: the new secret stays pending until a code from it is confirmed, so a half-finished
+// enrollment never locks the admin out.
+function beginAdminTotpEnrollment(store, accountName, issuer) {
+  const secret = base32Encode(crypto.randomBytes(20));
+  return saveAdminFactor(store, (factor) => {
+    factor.pendingSecret = secret;
+    return { secret, otpauthUrl: otpauthUrl(secret, accountName, issuer), enabled: factor.enabled };
+  });
+}
+
+function confirmAdminTotpEnrollment(store, code) {
+  return saveAdminFactor(store, (factor) => {
+    if (!factor.pendingSecret) throw httpError(409, "Start TOTP enrollment first");
+    const step = matchTotpStep(factor.pendingSecret, code);
+    if (step === null) throw httpError(400, "The TOTP code does not match");
+    factor.secret = factor.pendingSecret;
+    factor.pendingSecret = "";
+    factor.enabled = true;
+    factor.lastUsedStep = step;
+    factor.enabledAt = nowIso();
+    return { enabled: true };
+  });
+}
+
+// Each accepted step is remembered so a code cannot be replayed inside its validity window.
+function verifyAdminTotp(store, code) {
+  return saveAdminFactor(store, (factor) => {
+    if (!factor.enabled) return true;
+    const step = matchTotpStep(factor.secret, code);
+    if (step === null || (factor.lastUsedStep !== null && step <= factor.lastUsedStep)) return false;
+    factor.lastUsedStep = step;
+    return true;
+  });
+}
+
+async function disableAdminTotp(store, code) {
+  if (!(await adminTotpEnabled(store))) throw httpError(409, "TOTP is not enabled");
+  if (!(await verifyAdminTotp(store, code))) throw httpError(400, "The TOTP code does not match");
+  return saveAdminFactor(store, (factor) => {
+    factor.enabled = false;
+    factor.secret = "";
+    factor.pendingSecret = "";
+    factor.lastUsedStep = null;
+    return { enabled: false };
+  });
+}
+
+module.exports = {
+  adminTotpEnabled,
+  beginAdminTotpEnrollment,
+  confirmAdminTotpEnrollment,
+  disableAdminTotp,
+  generateTotp,
+  verifyAdminTotp
+};
@@ -0,0 +1,96 @@
+const config = require("./backend-config");
+const { withStoreLock } = require("./backend-storage");
+
+const MEMBER_FIELDS = "id,username,fullName,email";
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Asks Trello who owns the token. A rejected token is the caller's problem (401); anything else means Trello is
+// unreachable or misbehaving (502/504), so the client can tell "sign in again" from "try later".
+async function fetchTrelloMember(trelloToken, options = {}) {
+  if (!config.TRELLO_APP_KEY) {
+    throw httpError(503, "TRELLO_APP_KEY is not configured on the backend");
+  }
+  const fetchImpl = options.fetch || globalThis.fetch;
+  const url = `${config.TRELLO_API_BASE_URL}/1/members/me?fields=${MEMBER_FIELDS}` +
+    `&key=${encodeURIComponent(config.TRELLO_APP_KEY)}&token=${encodeURIComponent(trelloToken)}`;
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), config.PROVIDER_TIMEOUT_MS);
+  let response;
+  try {
+    response = await fetchImpl(url, { headers: { Accept: "application/json" }, signal: controller.signal });
+  } catch (error) {
+    if (error && error.name === "AbortError") throw httpError(504, "Trello took too long to respond");
+    throw httpError(502, "Trello could not be reached");
+  } finally {
+    clearTimeout(timeout);
+  }
+  if (response.status === 400 || response.status === 401) {
+    throw httpError(401, "Trello rejected the token");
+  }
+  if (!response.ok) {
+    throw httpError(502, `Trello returned HTTP ${response.status}`);
+  }
+  const member = await response.json().catch(() => ({}));
+  if (!member || !member.id) {
+    throw httpError(502, "Trello returned a member without an id");
+  }
+  return {
+    id: String(member.id),
+    username: String(member.username || ""),
+    fullName: String(member.fullName || ""),
+    email: String(member.email || "").trim().toLowerCase()
+  };
+}
+
+async function findUserByTrelloMemberId(store, memberId) {
+  return (await store.listUsers()).find((item) => item.trelloMemberId === memberId) || null;
+}
+
+function trelloProfile(member) {
+  return {
+    trelloMemberId: member.id,
+    trelloUsername: member.username
+  };
+}
+
+// Resolves the backend user for a Trello member: an already linked user, the signed-in user asking to link (when
+// `linkUserId` is given), or a new passwordless user. A Trello email only becomes the new user's email when no other
+// account holds it; an existing email account is never linked implicitly. With `existingOnly` (read-only maintenance)
+// only an already linked member signs in, and anything that would link or create a user returns null.
+function resolveTrelloUser(store, member, linkUserId, options = {}) {
+  return withStoreLock(store, async () => {
+    const linked = await findUserByTrelloMemberId(store, member.id);
+    if (options.existingOnly && (linkUserId || !linked)) return null;
+    if (linkUserId) {
+      if (linked && linked.id !== linkUserId) {
+        throw httpError(409, "This Trello account is already linked to another user");
+      }
+      const user = await store.updateUser(linkUserId, trelloProfile(member));
+      if (!user) throw httpError(404, "User not found");
+      return { user, created: false, linked: !linked };
+    }
+    if (linked) {
+      return { user: await store.updateUser(linked.id, { trelloUsername: member.username }), created: false, linked: false };
+    }
+    const emailTaken = member.email ? await store.findUserByEmail(member.email) : null;
+    const user = await store.createUser(Object.assign({
+      email: member.email && !emailTaken ? member.email : `trello-${member.id}@users.trello.invalid`,
+      name: member.fullName || member.username || "Trello member",
+      passwordHash: "",
+      passwordSalt: "",
+      emailVerified: true
+    }, trelloProfile(member)));
+    return { user, created: true, linked: true };
+  });
+}
+
+module.exports = {
+  fetchTrelloMember,
+  findUserByTrelloMemberId,
+  resolveTrelloUser
+};
@@ -0,0 +1,448 @@
+const crypto = require("node:crypto");
+const dns = require("node:dns").promises;
+const http = require("node:http");
+const https = require("node:https");
+const net = require("node:net");
+const config = require("./backend-config");
+const { createId, withStoreLock } = require("./backend-storage");
+
+const SIGNATURE_HEADER = "X-Summarize-Signature";
+const SECRET_PREFIX = "whsec_";
+const MAX_ENDPOINTS_PER_OWNER = 10;
+const DELIVERY_LIMIT = 2000;
+const RESPONSE_EXCERPT_LENGTH = 500;
+const EVENT_PATTERN = /^(\*|[a-z_]+(\.[a-z_]+)*(\.\*)?)$/;
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+// Loopback, private, link-local, shared and reserved ranges. IPv4-mapped IPv6 addresses match the IPv4 rules.
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// `*` matches everything and `batch.*` matches every event under `batch.`; anything else is an exact type.
+function matchesEvent(patterns, type) {
+  return patterns.some((pattern) => pattern === "*" ||
+    pattern === type ||
+    (pattern.endsWith(".*") && type.startsWith(pattern.slice(0, -1))));
+}
+
+function ownsEndpoint(endpoint, owner) {
+  return endpoint.ownerType === owner.type && (owner.type === "admin" || endpoint.userId === owner.userId);
+}
+
+// User endpoints only see events about that user; admin endpoints see every event.
+function receivesEvent(endpoint, event) {
+  if (!endpoint.active || !matchesEvent(endpoint.events, event.type)) return false;
+  return endpoint.ownerType === "admin" || (event.payload && event.payload.userId === endpoint.userId);
+}
+
+// Admin endpoints may point anywhere the admin chooses; user endpoints may reach the backend's own network only when
+// WEBHOOK_ALLOW_PRIVATE_URLS is set for local development.
+function mayReachPrivateHosts(ownerType) {
+  return ownerType === "admin" || config.WEBHOOK_ALLOW_PRIVATE_URLS;
+}
+
+// Every address the host resolves to has to be public, so a name cannot smuggle a user's requests onto the backend's
+// loopback or internal network. Resolves to the checked addresses, which a delivery then connects to.
+async function publicAddresses(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true, verbatim: true });
+  } catch (_error) {
+    throw httpError(400, `url host ${host} could not be resolved`);
+  }
+  if (addresses.some((item) => PRIVATE_ADDRESSES.check(item.address, item.family === 6 ? "ipv6" : "ipv4"))) {
+    throw httpError(400, "url must resolve to a public address");
+  }
+  return addresses;
+}
+
+// A `lookup` for http.request that answers with addresses already checked, so the socket cannot be sent to whatever
+// the name resolves to a moment later.
+function pinnedLookup(addresses) {
+  return (_hostname, options, callback) => {
+    if (options && options.all) callback(null, addresses);
+    else callback(null, addresses[0].address, addresses[0].family);
+  };
+}
+
+// Posts over node:http(s) rather than fetch so the connection can be pinned with `lookup`. Redirects are not followed,
+// and only the first RESPONSE_EXCERPT_LENGTH bytes of the reply are read before the connection is dropped.
+function postDelivery(url, options) {
+  return new Promise((resolve, reject) => {
+    const transport = url.protocol === "https:" ? https : http;
+    const request = transport.request(url, {
+      method: "POST",
+      headers: Object.assign({ "Content-Length": Buffer.byteLength(options.body) }, options.headers),
+      lookup: options.lookup,
+      signal: options.signal
+    }, (response) => {
+      const chunks = [];
+      let length = 0;
+      const finish = () => resolve({
+        status: response.statusCode,
+        excerpt: Buffer.concat(chunks).toString("utf8").slice(0, RESPONSE_EXCERPT_LENGTH)
+      });
+      response.on("data", (chunk) => {
+        chunks.push(chunk);
+        length += chunk.length;
+        if (length >= RESPONSE_EXCERPT_LENGTH) {
+          response.destroy();
+          finish();
+        }
+      });
+      response.on("end", finish);
+      response.on("error", finish);
+    });
+    request.on("error", reject);
+    request.end(options.body);
+  });
+}
+
+// HTTPS everywhere; plain HTTP only to a loopback host, and only for owners allowed to reach private hosts, so local
+// receivers can be tested without certificates.
+async function parseUrl(value, ownerType) {
+  let url;
+  try {
+    url = new URL(String(value || "").trim());
+  } catch (_error) {
+    throw httpError(400, "url must be an absolute http(s) URL");
+  }
+  if (url.username || url.password) throw httpError(400, "url must not contain credentials");
+  const trusted = mayReachPrivateHosts(ownerType);
+  if (url.protocol === "http:" && !(trusted && LOOPBACK_HOSTS.includes(url.hostname))) {
+    throw httpError(400, trusted ? "url must use https (plain http is only allowed for localhost)" : "url must use https");
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") throw httpError(400, "url must use https");
+  if (!trusted) await publicAddresses(url);
+  return url.toString();
+}
+
+function parseEvents(value) {
+  if (value === undefined) return ["*"];
+  const events = Array.isArray(value) ? [...new Set(value.map((item) => String(item).trim()))] : [];
+  if (!events.length) throw httpError(400, "events must list at least one event type or pattern");
+  const invalid = events.filter((item) => !EVENT_PATTERN.test(item));
+  if (invalid.length) throw httpError(400, `Invalid event patterns: ${invalid.join(", ")}`);
+  return events;
+}
+
+function describeEndpoint(endpoint) {
+  return {
+    id: endpoint.id,
+    ownerType: endpoint.ownerType,
+    userId: endpoint.userId,
+    url: endpoint.url,
+    description: endpoint.description,
+    events: endpoint.events,
+    active: endpoint.active,
+    secretPrefix: endpoint.secret.slice(0, SECRET_PREFIX.length + 6),
+    createdAt: endpoint.createdAt,
+    updatedAt: endpoint.updatedAt
+  };
+}
+
+// Response bodies from the receiver are shown to the admin only; users see the status code and error of each attempt.
+function describeDelivery(delivery, owner) {
+  const attempts = owner && owner.type === "admin"
+    ? delivery.attempts
+    : delivery.attempts.map((attempt) => Object.assign({}, attempt, { responseExcerpt: undefined }));
+  return {
+    id: delivery.id,
+    endpointId: delivery.endpointId,
+    eventId: delivery.eventId,
+    eventType: delivery.eventType,
+    status: delivery.status,
+    attempts,
+    nextAttemptAt: delivery.nextAttemptAt,
+    redeliveryOf: delivery.redeliveryOf || null,
+    createdAt: delivery.createdAt,
+    updatedAt: delivery.updatedAt
+  };
+}
+
+function signWebhookPayload(body, secret, timestamp) {
+  const signed = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${signed}`;
+}
+
+async function listWebhookEndpoints(store, owner) {
+  return (await store.list("webhookEndpoints")).filter((item) => ownsEndpoint(item, owner)).map(describeEndpoint);
+}
+
+async function findWebhookEndpoint(store, owner, endpointId) {
+  const endpoint = (await store.list("webhookEndpoints")).find((item) => item.id === endpointId && ownsEndpoint(item, owner));
+  if (!endpoint) throw httpError(404, "Webhook endpoint not found");
+  return endpoint;
+}
+
+// The signing secret is returned once at creation, like access tokens; it is kept in the store because every delivery
+// has to be signed with it.
+async function createWebhookEndpoint(store, owner, body) {
+  const url = await parseUrl(body.url, owner.type);
+  const events = parseEvents(body.events);
+  return withStoreLock(store, async () => {
+    const owned = (await store.list("webhookEndpoints")).filter((item) => ownsEndpoint(item, owner));
+    if (owned.length >= MAX_ENDPOINTS_PER_OWNER) {
+      throw httpError(409, `At most ${MAX_ENDPOINTS_PER_OWNER} webhook endpoints can be registered`);
+    }
+    const secret = `${SECRET_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+    const endpoint = await store.add("webhookEndpoints", {
+      id: createId("whk"),
+      ownerType: owner.type,
+      userId: owner.type === "user" ? owner.userId : null,
+      url,
+      description: String(body.description || "").trim().slice(0, 200),
+      events,
+      active: true,
+      secret,
+      createdAt: nowIso(),
+      updatedAt: nowIso()
+    });
+    return { secret, webhook: describeEndpoint(endpoint) };
+  });
+}
+
+async function updateWebhookEndpoint(store, owner, endpointId, body) {
+  const changes = {};
+  if (body.url !== undefined) changes.url = await parseUrl(body.url, owner.type);
+  if (body.events !== undefined) changes.events = parseEvents(body.events);
+  if (body.description !== undefined) changes.description = String(body.description || "").trim().slice(0, 200);
+  if (body.active !== undefined) changes.active = Boolean(body.active);
+  return withStoreLock(store, async () => {
+    const records = await store.list("webhookEndpoints");
+    const endpoint = records.find((item) => item.id === endpointId && ownsEndpoint(item, owner));
+    if (!endpoint) throw httpError(404, "Webhook endpoint not found");
+    Object.assign(endpoint, changes, { updatedAt: nowIso() });
+    await store.replace("webhookEndpoints", records);
+    return describeEndpoint(endpoint);
+  });
+}
+
+function deleteWebhookEndpoint(store, owner, endpointId) {
+  return withStoreLock(store, async () => {
+    const records = await store.list("webhookEndpoints");
+    const endpoint = records.find((item) => item.id === endpointId && ownsEndpoint(item, owner));
+    if (!endpoint) throw httpError(404, "Webhook endpoint not found");
+    await store.replace("webhookEndpoints", records.filter((item) => item.id !== endpointId));
+    return describeEndpoint(endpoint);
+  });
+}
+
+async function listWebhookDeliveries(store, owner, endpointId) {
+  const endpoint = await findWebhookEndpoint(store, owner, endpointId);
+  return (await store.list("webhookDeliveries")).filter((item) => item.endpointId === endpoint.id).map((item) => describeDelivery(item, owner));
+}
+
+function updateDelivery(store, deliveryId, updater) {
+  return withStoreLock(store, async () => {
+    const records = await store.list("webhookDeliveries");
+    const delivery = records.find((item) => item.id === deliveryId);
+    if (!delivery) return null;
+    updater(delivery);
+    delivery.updatedAt = nowIso();
+    await store.replace("webhookDeliveries", records);
+    return delivery;
+  });
+}
+
+// Deliveries are persisted before the first attempt, so pending ones (including scheduled retries) resume after a
+// restart. Each attempt is recorded on the delivery; failures back off exponentially until maxAttempts is reached.
+class WebhookDispatcher {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.request = options.request || postDelivery;
+    this.maxAttempts = Math.max(1, Number(options.maxAttempts || config.WEBHOOK_MAX_ATTEMPTS));
+    this.retryBaseMs = Math.max(0, Number(options.retryBaseMs === undefined ? config.WEBHOOK_RETRY_BASE_MS : options.retryBaseMs));
+    this.timeoutMs = Number(options.timeoutMs || config.WEBHOOK_TIMEOUT_MS);
+    this.expandEvent = options.expandEvent || (async (_store, event) => event.payload);
+    this.active = new Map();
+    this.timers = new Set();
+    this.stopped = false;
+  }
+
+  async resume() {
+    const pending = (await this.store.list("webhookDeliveries")).filter((item) => item.status === "pending");
+    for (const delivery of pending) this.schedule(delivery);
+    return pending.map((item) => item.id);
+  }
+
+  stop() {
+    this.stopped = true;
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+  }
+
+  // Takes the store lock, so callers that may already hold it must not await this.
+  async enqueue(event) {
+    const endpoints = (await this.store.list("webhookEndpoints")).filter((endpoint) => receivesEvent(endpoint, event));
+    if (!endpoints.length) return [];
+    const body = JSON.stringify({
+      id: event.id,
+      type: event.type,
+      createdAt: event.createdAt,
+      data: await this.expandEvent(this.store, event)
+    });
+    const deliveries = await withStoreLock(this.store, async () => {
+      const created = [];
+      for (const endpoint of endpoints) {
+        created.push(await this.store.add("webhookDeliveries", {
+          id: createId("whd"),
+          endpointId: endpoint.id,
+          eventId: event.id,
+          eventType: event.type,
+          body,
+          status: "pending",
+          attempts: [],
+          nextAttemptAt: nowIso(),
+          createdAt: nowIso()
+        }, { limit: DELIVERY_LIMIT }));
+      }
+      return created;
+    });
+    for (const delivery of deliveries) this.schedule(delivery);
+    return deliveries.map((item) => describeDelivery(item, { type: "admin" }));
+  }
+
+  // A redelivery is a fresh delivery of the original body, so the first delivery's attempt history stays intact.
+  async redeliver(owner, endpointId, deliveryId) {
+    const endpoint = await findWebhookEndpoint(this.store, owner, endpointId);
+    const original = (await this.store.list("webhookDeliveries")).find((item) => item.id === deliveryId && item.endpointId === endpoint.id);
+    if (!original) throw httpError(404, "Webhook delivery not found");
+    const delivery = await withStoreLock(this.store, () => this.store.add("webhookDeliveries", {
+      id: createId("whd"),
+      endpointId: endpoint.id,
+      eventId: original.eventId,
+      eventType: original.eventType,
+      body: original.body,
+      status: "pending",
+      attempts: [],
+      nextAttemptAt: nowIso(),
+      redeliveryOf: original.id,
+      createdAt: nowIso()
+    }, { limit: DELIVERY_LIMIT }));
+    this.schedule(delivery);
+    return describeDelivery(delivery, owner);
+  }
+
+  schedule(delivery) {
+    if (this.stopped) return;
+    const delayMs = Math.max(0, new Date(delivery.nextAttemptAt || 0).getTime() - Date.now());
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      this.attempt(delivery.id).catch(() => {});
+    }, delayMs);
+    if (timer.unref) timer.unref();
+    this.timers.add(timer);
+  }
+
+  attempt(deliveryId) {
+    if (this.active.has(deliveryId)) return this.active.get(deliveryId);
+    const task = this.send(deliveryId).finally(() => this.active.delete(deliveryId));
+    this.active.set(deliveryId, task);
+    return task;
+  }
+
+  async send(deliveryId) {
+    const delivery = (await this.store.list("webhookDeliveries")).find((item) => item.id === deliveryId);
+    if (!delivery || delivery.status !== "pending" || this.stopped) return delivery || null;
+    const endpoint = (await this.store.list("webhookEndpoints")).find((item) => item.id === delivery.endpointId);
+    if (!endpoint || !endpoint.active) {
+      return updateDelivery(this.store, deliveryId, (item) => {
+        item.status = "cancelled";
+        item.nextAttemptAt = null;
+      });
+    }
+
+    const startedAt = Date.now();
+    const outcome = await this.post(endpoint, delivery);
+    const attempt = Object.assign({ attempt: delivery.attempts.length + 1, at: new Date(startedAt).toISOString(), durationMs: Date.now() - startedAt }, outcome);
+    const updated = await updateDelivery(this.store, deliveryId, (item) => {
+      item.attempts.push(attempt);
+      if (outcome.ok) {
+        item.status = "succeeded";
+        item.nextAttemptAt = null;
+      } else if (item.attempts.length >= this.maxAttempts) {
+        item.status = "failed";
+        item.nextAttemptAt = null;
+      } else {
+        item.nextAttemptAt = new Date(Date.now() + this.retryBaseMs * Math.pow(2, item.attempts.length - 1)).toISOString();
+      }
+    });
+    if (updated && updated.status === "pending") this.schedule(updated);
+    return updated;
+  }
+
+  // User endpoints are resolved again on every attempt and the connection goes to the addresses that passed the check,
+  // so a host that later points inside the network is refused rather than re-resolved behind the check's back.
+  async post(endpoint, delivery) {
+    const url = new URL(endpoint.url);
+    let lookup;
+    if (!mayReachPrivateHosts(endpoint.ownerType)) {
+      try {
+        lookup = pinnedLookup(await publicAddresses(url));
+      } catch (error) {
+        return { ok: false, statusCode: null, error: error.message, responseExcerpt: "" };
+      }
+    }
+    const timestamp = Math.floor(Date.now() / 1000);
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+    try {
+      const response = await this.request(url, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "SummarizeThis-Webhooks/1",
+          "X-Summarize-Event": delivery.eventType,
+          "X-Summarize-Delivery": delivery.id,
+          [SIGNATURE_HEADER]: signWebhookPayload(delivery.body, endpoint.secret, timestamp)
+        },
+        body: delivery.body,
+        lookup,
+        signal: controller.signal
+      });
+      return {
+        ok: response.status >= 200 && response.status < 300,
+        statusCode: response.status,
+        error: response.status >= 200 && response.status < 300 ? null : `Endpoint returned HTTP ${response.status}`,
+        responseExcerpt: response.excerpt
+      };
+    } catch (error) {
+      const message = error && error.name === "AbortError" ? `Endpoint did not respond within ${this.timeoutMs}ms` : `Endpoint could not be reached: ${error.message}`;
+      return { ok: false, statusCode: null, error: message, responseExcerpt: "" };
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+}
+
+function createWebhookDispatcher(store, options) {
+  return new WebhookDispatcher(store, options);
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  WebhookDispatcher,
+  createWebhookDispatcher,
+  createWebhookEndpoint,
+  deleteWebhookEndpoint,
+  listWebhookDeliveries,
+  listWebhookEndpoints,
+  signWebhookPayload,
+  updateWebhookEndpoint
+};
@@ -0,0 +1,275 @@
+const { createId, withStoreLock } = require("./backend-storage");
+
+const ROLES = ["owner", "admin", "member"];
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function usagePeriod(date) {
+  return (date || new Date()).toISOString().slice(0, 7);
+}
+
+function parseRole(value, fallback) {
+  const role = value === undefined ? fallback : String(value);
+  if (!ROLES.includes(role)) throw httpError(400, `role must be one of: ${ROLES.join(", ")}`);
+  return role;
+}
+
+// null means the member may spend the whole pool; otherwise a non-negative credit cap per calendar month (UTC).
+function parseCap(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const cap = Number(value);
+  if (!Number.isInteger(cap) || cap < 0) throw httpError(400, "monthlyCreditCap must be a non-negative integer or null");
+  return cap;
+}
+
+function usedThisMonth(member) {
+  return member.usagePeriod === usagePeriod() ? Number(member.usedCredits || 0) : 0;
+}
+
+function describeMember(member, user) {
+  const used = usedThisMonth(member);
+  return {
+    userId: member.userId,
+    email: user ? user.email : null,
+    name: user ? user.name : null,
+    role: member.role,
+    monthlyCreditCap: member.monthlyCreditCap,
+    usedThisMonth: used,
+    remainingThisMonth: member.monthlyCreditCap === null ? null : Math.max(0, member.monthlyCreditCap - used),
+    createdAt: member.createdAt,
+    updatedAt: member.updatedAt
+  };
+}
+
+async function findWorkspace(store, workspaceId) {
+  const workspace = await store.findRecord("workspaces", workspaceId);
+  if (!workspace) throw httpError(404, "Workspace not found");
+  return workspace;
+}
+
+async function membersOf(store, workspaceId) {
+  return store.findRecords("workspaceMembers", "workspaceId", workspaceId);
+}
+
+async function describeWorkspace(store, workspace) {
+  const members = await membersOf(store, workspace.id);
+  const described = [];
+  for (const member of members) {
+    described.push(describeMember(member, await store.findUserById(member.userId)));
+  }
+  return Object.assign({}, workspace, { members: described });
+}
+
+async function listWorkspaces(store) {
+  const members = await store.list("workspaceMembers");
+  return (await store.list("workspaces")).map((workspace) => Object.assign({}, workspace, {
+    memberCount: members.filter((item) => item.workspaceId === workspace.id).length
+  }));
+}
+
+function createWorkspace(store, body) {
+  return withStoreLock(store, async () => {
+    const name = String(body.name || "").trim();
+    if (!name) throw httpError(400, "Workspace name is required");
+    const owner = await store.findUserById(String(body.ownerId || ""));
+    if (!owner) throw httpError(404, "Owner user not found");
+    const credits = Number(body.credits || 0);
+    if (!Number.isInteger(credits) || credits < 0) throw httpError(400, "credits must be a non-negative integer");
+    const createdAt = nowIso();
+    const workspace = await store.add("workspaces", {
+      id: createId("workspace"),
+      name,
+      credits,
+      createdAt,
+      updatedAt: createdAt
+    });
+    await store.add("workspaceMembers", {
+      id: createId("member"),
+      workspaceId: workspace.id,
+      userId: owner.id,
+      role: "owner",
+      monthlyCreditCap: null,
+      usagePeriod: usagePeriod(),
+      usedCredits: 0,
+      createdAt,
+      updatedAt: createdAt
+    });
+    return describeWorkspace(store, workspace);
+  });
+}
+
+function addMember(store, workspaceId, body) {
+  return withStoreLock(store, async () => {
+    await findWorkspace(store, workspaceId);
+    const user = await store.findUserById(String(body.userId || ""));
+    if (!user) throw httpError(404, "User not found");
+    const role = parseRole(body.role, "member");
+    const monthlyCreditCap = parseCap(body.monthlyCreditCap);
+    if ((await membersOf(store, workspaceId)).some((item) => item.userId === user.id)) {
+      throw httpError(409, "User is already a member of this workspace");
+    }
+    const createdAt = nowIso();
+    const member = await store.add("workspaceMembers", {
+      id: createId("member"),
+      workspaceId,
+      userId: user.id,
+      role,
+      monthlyCreditCap,
+      usagePeriod: usagePeriod(),
+      usedCredits: 0,
+      createdAt,
+      updatedAt: createdAt
+    });
+    return describeMember(member, user);
+  });
+}
+
+function assertKeepsOwner(members, userId, nextRole) {
+  const owners = members.filter((item) => item.role === "owner" && item.userId !== userId);
+  if (!owners.length && nextRole !== "owner") {
+    throw httpError(409, "A workspace must keep at least one owner");
+  }
+}
+
+function updateMember(store, workspaceId, userId, body) {
+  return withStoreLock(store, async () => {
+    await findWorkspace(store, workspaceId);
+    const records = await store.list("workspaceMembers");
+    const member = records.find((item) => item.workspaceId === workspaceId && item.userId === userId);
+    if (!member) throw httpError(404, "Member not found");
+    const role = parseRole(body.role, member.role);
+    assertKeepsOwner(records.filter((item) => item.workspaceId === workspaceId), userId, role);
+    member.role = role;
+    if (body.monthlyCreditCap !== undefined) member.monthlyCreditCap = parseCap(body.monthlyCreditCap);
+    member.updatedAt = nowIso();
+    await store.updateRecord("workspaceMembers", member);
+    return describeMember(member, await store.findUserById(userId));
+  });
+}
+
+function removeMember(store, workspaceId, userId) {
+  return withStoreLock(store, async () => {
+    await findWorkspace(store, workspaceId);
+    const records = await store.list("workspaceMembers");
+    const member = records.find((item) => item.workspaceId === workspaceId && item.userId === userId);
+    if (!member) throw httpError(404, "Member not found");
+    assertKeepsOwner(records.filter((item) => item.workspaceId === workspaceId), userId, null);
+    await store.removeRecords("workspaceMembers", [member.id]);
+    return describeMember(member, await store.findUserById(userId));
+  });
+}
+
+function adjustWorkspaceCredits(store, workspaceId, amount, reason) {
+  return withStoreLock(store, async () => {
+    const workspace = await findWorkspace(store, workspaceId);
+    const before = Number(workspace.credits || 0);
+    workspace.credits = Math.max(0, before + amount);
+    workspace.updatedAt = nowIso();
+    await store.updateRecord("workspaces", workspace);
+    const transaction = await store.add("transactions", {
+      id: createId("txn"),
+      workspaceId,
+      type: "workspace_credit_adjustment",
+      credits: workspace.credits - before,
+      status: "completed",
+      reason: String(reason || "manual admin adjustment"),
+      createdAt: nowIso()
+    }, { limit: 1000 });
+    return { workspace, before, transaction };
+  });
+}
+
+function assertCanSpend(workspace, member, credits) {
+  if (!member) throw httpError(403, "You are not a member of this workspace");
+  if (Number(workspace.credits || 0) < credits) throw httpError(402, "Insufficient workspace credits");
+  if (member.monthlyCreditCap !== null && usedThisMonth(member) + credits > member.monthlyCreditCap) {
+    throw httpError(402, "Monthly workspace credit cap reached");
+  }
+}
+
+// Read-only pre-check so a summary is refused before the provider runs; chargeWorkspace re-checks under the lock.
+async function checkWorkspaceCharge(store, workspaceId, userId, credits) {
+  const workspace = await findWorkspace(store, workspaceId);
+  const member = (await membersOf(store, workspaceId)).find((item) => item.userId === userId);
+  assertCanSpend(workspace, member, credits);
+  return workspace;
+}
+
+// Writes only the charged workspace and member rows, so a charge costs the same however many workspaces exist.
+function chargeWorkspace(store, workspaceId, userId, credits, details) {
+  return withStoreLock(store, async () => {
+    const workspace = await findWorkspace(store, workspaceId);
+    const member = (await membersOf(store, workspaceId)).find((item) => item.userId === userId);
+    assertCanSpend(workspace, member, credits);
+    workspace.credits = Number(workspace.credits || 0) - credits;
+    workspace.updatedAt = nowIso();
+    member.usedCredits = usedThisMonth(member) + credits;
+    member.usagePeriod = usagePeriod();
+    member.updatedAt = nowIso();
+    await store.updateRecord("workspaces", workspace);
+    await store.updateRecord("workspaceMembers", member);
+    const transaction = await store.add("transactions", Object.assign({
+      id: createId("txn"),
+      userId,
+      workspaceId,
+      type: "summary_charge",
+      credits: -credits,
+      status: "completed",
+      createdAt: nowIso()
+    }, details || {}), { limit: 1000 });
+    return { workspace, transaction };
+  });
+}
+
+async function workspaceBalancesForUser(store, userId) {
+  const memberships = (await store.list("workspaceMembers")).filter((item) => item.userId === userId);
+  const workspaces = await store.list("workspaces");
+  return memberships
+    .map((member) => {
+      const workspace = workspaces.find((item) => item.id === member.workspaceId);
+      if (!workspace) return null;
+      const described = describeMember(member, null);
+      return {
+        workspaceId: workspace.id,
+        name: workspace.name,
+        credits: Number(workspace.credits || 0),
+        role: member.role,
+        monthlyCreditCap: described.monthlyCreditCap,
+        usedThisMonth: described.usedThisMonth,
+        remainingThisMonth: described.remainingThisMonth
+      };
+    })
+    .filter(Boolean);
+}
+
+// Owners and admins of a workspace may read its member list and usage; plain members get 403.
+async function workspaceForManager(store, workspaceId, userId) {
+  const workspace = await findWorkspace(store, workspaceId);
+  const member = (await membersOf(store, workspaceId)).find((item) => item.userId === userId);
+  if (!member || member.role === "member") throw httpError(403, "Forbidden");
+  return describeWorkspace(store, workspace);
+}
+
+module.exports = {
+  ROLES,
+  addMember,
+  adjustWorkspaceCredits,
+  chargeWorkspace,
+  checkWorkspaceCharge,
+  createWorkspace,
+  describeWorkspace,
+  findWorkspace,
+  listWorkspaces,
+  removeMember,
+  updateMember,
+  workspaceBalancesForUser,
+  workspaceForManager
+};
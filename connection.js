@@ -16,10 +16,16 @@ const path = require('path');
 const { logger } = require('./middleware/errorHandler');
 
 class DatabaseManager {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.Pool] - pg-compatible Pool class (defaults to the installed "pg" driver)
+   * @param {string} [options.migrationPath] - Directory holding ordered *.sql migrations
+   */
+  constructor(options = {}) {
+    this.Pool = options.Pool || Pool;
     this.pool = null;
     this.isConnected = false;
-    this.migrationPath = path.join(__dirname, 'migrations');
+    this.migrationPath = options.migrationPath || path.join(__dirname, 'migrations');
     this.schemaPath = path.join(__dirname, 'schema.sql');
   }
 
@@ -27,13 +33,18 @@ class DatabaseManager {
    * Initialize database connection
    */
   async initialize() {
+    if (this.isConnected) {
+      return;
+    }
+
     try {
-      if (!Pool) {
+      if (!this.Pool) {
         throw new Error('PostgreSQL driver is not installed. Add the "pg" package before enabling the database runtime.');
       }
 
       // Create connection pool
-      this.pool = new Pool({
+      this.pool = new this.Pool({
+        connectionString: process.env.DATABASE_URL || undefined,
         host: process.env.DB_HOST || 'localhost',
         port: process.env.DB_PORT || 5432,
         database: process.env.DB_NAME || 'summarize_this',
@@ -93,7 +104,7 @@ class DatabaseManager {
       // Check if schema needs to be initialized
       const tablesExist = await this.checkTablesExist();
       
-      if (!tablesExist) {
+      if (!tablesExist && await this.schemaFileExists()) {
         logger.info('No tables found, initializing schema...');
         await this.initializeSchema();
       }
@@ -109,6 +120,18 @@ class DatabaseManager {
     }
   }
 
+  /**
+   * Check whether a baseline schema.sql is shipped next to the migrations
+   */
+  async schemaFileExists() {
+    try {
+      await fs.access(this.schemaPath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
   /**
    * Create migrations tracking table
    */
@@ -130,7 +153,7 @@ class DatabaseManager {
   async checkTablesExist() {
     const query = `
       SELECT EXISTS (
-        SELECT FROM information_schema.tables 
+        SELECT 1 FROM information_schema.tables 
         WHERE table_schema = 'public' 
         AND table_name = 'users'
       );
@@ -294,8 +317,10 @@ class DatabaseManager {
 
   /**
    * Execute a transaction
+   * @param {Function} callback - Receives the transaction client
+   * @param {Object} [options] - `isolation`, e.g. 'REPEATABLE READ', for a level other than the default
    */
-  async transaction(callback) {
+  async transaction(callback, options = {}) {
     if (!this.isConnected) {
       throw new Error('Database not connected');
     }
@@ -303,7 +328,7 @@ class DatabaseManager {
     const client = await this.pool.connect();
     
     try {
-      await client.query('BEGIN');
+      await client.query(options.isolation ? `BEGIN ISOLATION LEVEL ${options.isolation}` : 'BEGIN');
       
       const result = await callback(client);
       
@@ -448,3 +473,4 @@ class DatabaseManager {
 
 // Export singleton instance
 module.exports = DatabaseManager.getInstance();
+module.exports.DatabaseManager = DatabaseManager;
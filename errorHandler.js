@@ -30,8 +30,10 @@ const logger = winston
         })
       ]
     })
-  : ['error', 'warn', 'info', 'debug'].reduce((fallback, level) => {
+  : ['error', 'warn', 'info', 'debug'].reduce((fallback, level, index, levels) => {
       fallback[level] = function () {
+        const threshold = levels.indexOf(process.env.LOG_LEVEL || 'info');
+        if (threshold !== -1 && index > threshold) return;
         const method = level === 'debug' ? 'log' : level;
         const values = Array.prototype.slice.call(arguments);
         const prefix = `[summarize-this:${level}]`;
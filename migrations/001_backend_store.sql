@@ -0,0 +1,88 @@
+-- Backend store tables. Every collection keeps the full record in `data` and an
+-- explicit `position` so list order matches the JSON-file store (newest first for
+-- prepended collections, insertion order for users and rate limit windows).
+
+CREATE TABLE IF NOT EXISTS backend_settings (
+  name TEXT PRIMARY KEY,
+  data JSONB NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS backend_users (
+  id TEXT PRIMARY KEY,
+  position BIGINT NOT NULL,
+  email TEXT UNIQUE,
+  data JSONB NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS backend_sessions (
+  id TEXT PRIMARY KEY,
+  position BIGINT NOT NULL,
+  user_id TEXT,
+  token_hash TEXT,
+  revoked_at TEXT,
+  data JSONB NOT NULL
+);
+CREATE INDEX IF NOT EXISTS backend_sessions_token_hash_idx ON backend_sessions (token_hash);
+CREATE INDEX IF NOT EXISTS backend_sessions_user_id_idx ON backend_sessions (user_id);
+
+CREATE TABLE IF NOT EXISTS backend_summaries (
+  id TEXT PRIMARY KEY,
+  position BIGINT NOT NULL,
+  user_id TEXT,
+  data JSONB NOT NULL
+);
+CREATE INDEX IF NOT EXISTS backend_summaries_user_id_idx ON backend_summaries (user_id);
+
+CREATE TABLE IF NOT EXISTS backend_transactions (
+  id TEXT PRIMARY KEY,
+  position BIGINT NOT NULL,
+  user_id TEXT,
+  data JSONB NOT NULL
+);
+CREATE INDEX IF NOT EXISTS backend_transactions_user_id_idx ON backend_transactions (user_id);
+
+CREATE TABLE IF NOT EXISTS backend_events (
+  id TEXT PRIMARY KEY,
+  position BIGINT NOT NULL,
+  type TEXT,
+  data JSONB NOT NULL
+);
+CREATE INDEX IF NOT EXISTS backend_events_type_idx ON backend_events (type);
+
+CREATE TABLE IF NOT EXISTS backend_batch_jobs (
+  id TEXT PRIMARY KEY,
+  position BIGINT NOT NULL,
+  user_id TEXT,
+  status TEXT,
+  data JSONB NOT NULL
+);
+CREATE INDEX IF NOT EXISTS backend_batch_jobs_user_id_idx ON backend_batch_jobs (user_id);
+
+CREATE TABLE IF NOT EXISTS backend_idempotency_records (
+  id TEXT PRIMARY KEY,
+  position BIGINT NOT NULL,
+  scope TEXT,
+  record_key TEXT,
+  data JSONB NOT NULL
+);
+CREATE INDEX IF NOT EXISTS backend_idempotency_scope_key_idx ON backend_idempotency_records (scope, record_key);
+
+CREATE TABLE IF NOT EXISTS backend_rate_limit_windows (
+  id TEXT PRIMARY KEY,
+  position BIGINT NOT NULL,
+  scope TEXT,
+  rate_key TEXT,
+  expires_at BIGINT NOT NULL,
+  data JSONB NOT NULL
+);
+CREATE INDEX IF NOT EXISTS backend_rate_limit_scope_key_idx ON backend_rate_limit_windows (scope, rate_key);
+CREATE INDEX IF NOT EXISTS backend_rate_limit_expires_at_idx ON backend_rate_limit_windows (expires_at);
+
+-- Reviews, alerts, reports, backups, maintenance windows, files and settings history.
+CREATE TABLE IF NOT EXISTS backend_records (
+  collection TEXT NOT NULL,
+  id TEXT NOT NULL,
+  position BIGINT NOT NULL,
+  data JSONB NOT NULL,
+  PRIMARY KEY (collection, id)
+);
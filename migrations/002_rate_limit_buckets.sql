@@ -0,0 +1,8 @@
+-- Token buckets for RATE_LIMIT_BACKEND=store; the per-request window rows are no longer written.
+DROP TABLE IF EXISTS backend_rate_limit_windows;
+
+CREATE TABLE IF NOT EXISTS backend_rate_limit_buckets (
+  bucket_key TEXT PRIMARY KEY,
+  tokens DOUBLE PRECISION NOT NULL,
+  updated_at BIGINT NOT NULL
+);
@@ -0,0 +1,14 @@
+-- Personal access tokens move out of backend_records so a request can look its token up by hash.
+CREATE TABLE IF NOT EXISTS backend_access_tokens (
+  id TEXT PRIMARY KEY,
+  position BIGINT NOT NULL,
+  user_id TEXT,
+  token_hash TEXT,
+  data JSONB NOT NULL
+);
+CREATE INDEX IF NOT EXISTS backend_access_tokens_token_hash_idx ON backend_access_tokens (token_hash);
+CREATE INDEX IF NOT EXISTS backend_access_tokens_user_id_idx ON backend_access_tokens (user_id);
+
+INSERT INTO backend_access_tokens (id, position, user_id, token_hash, data)
+  SELECT id, position, data->>'userId', data->>'tokenHash', data FROM backend_records WHERE collection = 'accessTokens';
+DELETE FROM backend_records WHERE collection = 'accessTokens';
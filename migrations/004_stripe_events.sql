@@ -0,0 +1,15 @@
+-- Processed Stripe events move out of backend_records so a webhook looks up its event, checkout session and payment
+-- intent by key instead of listing every event.
+CREATE TABLE IF NOT EXISTS backend_stripe_events (
+  id TEXT PRIMARY KEY,
+  position BIGINT NOT NULL,
+  stripe_session_id TEXT,
+  payment_intent_id TEXT,
+  data JSONB NOT NULL
+);
+CREATE INDEX IF NOT EXISTS backend_stripe_events_session_idx ON backend_stripe_events (stripe_session_id);
+CREATE INDEX IF NOT EXISTS backend_stripe_events_payment_intent_idx ON backend_stripe_events (payment_intent_id);
+
+INSERT INTO backend_stripe_events (id, position, stripe_session_id, payment_intent_id, data)
+  SELECT id, position, data->>'stripeSessionId', data->>'stripePaymentIntentId', data FROM backend_records WHERE collection = 'stripeEvents';
+DELETE FROM backend_records WHERE collection = 'stripeEvents';
@@ -0,0 +1,5 @@
+-- A bucket that has been idle for its whole window is full again, the same as no bucket, so rows past `expires_at`
+-- can be deleted. Existing rows get 0 and go on the first sweep.
+ALTER TABLE backend_rate_limit_buckets ADD COLUMN expires_at BIGINT NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS backend_rate_limit_buckets_expires_at_idx ON backend_rate_limit_buckets (expires_at);
@@ -0,0 +1,87 @@
+-- SQLite mirror of ../001_backend_store.sql. Records are stored as JSON text; `position` keeps
+-- list order identical to the JSON-file store.
+
+CREATE TABLE IF NOT EXISTS backend_settings (
+  name TEXT PRIMARY KEY,
+  data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS backend_users (
+  id TEXT PRIMARY KEY,
+  position INTEGER NOT NULL,
+  email TEXT UNIQUE,
+  data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS backend_sessions (
+  id TEXT PRIMARY KEY,
+  position INTEGER NOT NULL,
+  user_id TEXT,
+  token_hash TEXT,
+  revoked_at TEXT,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS backend_sessions_token_hash_idx ON backend_sessions (token_hash);
+CREATE INDEX IF NOT EXISTS backend_sessions_user_id_idx ON backend_sessions (user_id);
+
+CREATE TABLE IF NOT EXISTS backend_summaries (
+  id TEXT PRIMARY KEY,
+  position INTEGER NOT NULL,
+  user_id TEXT,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS backend_summaries_user_id_idx ON backend_summaries (user_id);
+
+CREATE TABLE IF NOT EXISTS backend_transactions (
+  id TEXT PRIMARY KEY,
+  position INTEGER NOT NULL,
+  user_id TEXT,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS backend_transactions_user_id_idx ON backend_transactions (user_id);
+
+CREATE TABLE IF NOT EXISTS backend_events (
+  id TEXT PRIMARY KEY,
+  position INTEGER NOT NULL,
+  type TEXT,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS backend_events_type_idx ON backend_events (type);
+
+CREATE TABLE IF NOT EXISTS backend_batch_jobs (
+  id TEXT PRIMARY KEY,
+  position INTEGER NOT NULL,
+  user_id TEXT,
+  status TEXT,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS backend_batch_jobs_user_id_idx ON backend_batch_jobs (user_id);
+
+CREATE TABLE IF NOT EXISTS backend_idempotency_records (
+  id TEXT PRIMARY KEY,
+  position INTEGER NOT NULL,
+  scope TEXT,
+  record_key TEXT,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS backend_idempotency_scope_key_idx ON backend_idempotency_records (scope, record_key);
+
+CREATE TABLE IF NOT EXISTS backend_rate_limit_windows (
+  id TEXT PRIMARY KEY,
+  position INTEGER NOT NULL,
+  scope TEXT,
+  rate_key TEXT,
+  expires_at INTEGER NOT NULL,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS backend_rate_limit_scope_key_idx ON backend_rate_limit_windows (scope, rate_key);
+CREATE INDEX IF NOT EXISTS backend_rate_limit_expires_at_idx ON backend_rate_limit_windows (expires_at);
+
+-- Reviews, alerts, reports, backups, maintenance windows, files and settings history.
+CREATE TABLE IF NOT EXISTS backend_records (
+  collection TEXT NOT NULL,
+  id TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  data TEXT NOT NULL,
+  PRIMARY KEY (collection, id)
+);
@@ -0,0 +1,8 @@
+-- SQLite mirror of ../002_rate_limit_buckets.sql.
+DROP TABLE IF EXISTS backend_rate_limit_windows;
+
+CREATE TABLE IF NOT EXISTS backend_rate_limit_buckets (
+  bucket_key TEXT PRIMARY KEY,
+  tokens REAL NOT NULL,
+  updated_at INTEGER NOT NULL
+);
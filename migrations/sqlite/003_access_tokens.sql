@@ -0,0 +1,14 @@
+-- SQLite mirror of ../003_access_tokens.sql.
+CREATE TABLE IF NOT EXISTS backend_access_tokens (
+  id TEXT PRIMARY KEY,
+  position INTEGER NOT NULL,
+  user_id TEXT,
+  token_hash TEXT,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS backend_access_tokens_token_hash_idx ON backend_access_tokens (token_hash);
+CREATE INDEX IF NOT EXISTS backend_access_tokens_user_id_idx ON backend_access_tokens (user_id);
+
+INSERT INTO backend_access_tokens (id, position, user_id, token_hash, data)
+  SELECT id, position, json_extract(data, '$.userId'), json_extract(data, '$.tokenHash'), data FROM backend_records WHERE collection = 'accessTokens';
+DELETE FROM backend_records WHERE collection = 'accessTokens';
@@ -0,0 +1,14 @@
+-- SQLite mirror of ../004_stripe_events.sql.
+CREATE TABLE IF NOT EXISTS backend_stripe_events (
+  id TEXT PRIMARY KEY,
+  position INTEGER NOT NULL,
+  stripe_session_id TEXT,
+  payment_intent_id TEXT,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS backend_stripe_events_session_idx ON backend_stripe_events (stripe_session_id);
+CREATE INDEX IF NOT EXISTS backend_stripe_events_payment_intent_idx ON backend_stripe_events (payment_intent_id);
+
+INSERT INTO backend_stripe_events (id, position, stripe_session_id, payment_intent_id, data)
+  SELECT id, position, json_extract(data, '$.stripeSessionId'), json_extract(data, '$.stripePaymentIntentId'), data FROM backend_records WHERE collection = 'stripeEvents';
+DELETE FROM backend_records WHERE collection = 'stripeEvents';
@@ -0,0 +1,4 @@
+-- SQLite mirror of ../005_rate_limit_bucket_expiry.sql.
+ALTER TABLE backend_rate_limit_buckets ADD COLUMN expires_at INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS backend_rate_limit_buckets_expires_at_idx ON backend_rate_limit_buckets (expires_at);
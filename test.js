@@ -120,6 +120,12 @@ assert.match(backendAppText, /\/api\/admin\/reports/);
 assert.match(backendAppText, /\/api\/admin\/backup\/create/);
 assert.match(backendAppText, /\/api\/admin\/maintenance\/schedule/);
 assert.match(backendAppText, /\/api\/admin\/credits\/bulk-adjust/);
+// The OpenAPI document and the router in backend-app.js must list the same method and path pairs, /api/v2 included.
+const appRoutes = new Set(require("./backend-app").routeTable());
+const documentedRoutes = new Set(require("./backend-openapi").OPERATIONS.map((operation) => `${operation.method} ${operation.path}`));
+assert.ok(appRoutes.has("GET /api/v2/admin/users"), "Routes are not served under /api/v2");
+assert.deepEqual([...appRoutes].filter((item) => !documentedRoutes.has(item)), [], "Routes missing from the OpenAPI document");
+assert.deepEqual([...documentedRoutes].filter((item) => !appRoutes.has(item)), [], "Documented operations without a route");
 const backendConfigText = fs.readFileSync(path.join(__dirname, "backend-config.js"), "utf8");
 assert.match(backendConfigText, /function env\(\)/);
 assert.match(backendConfigText, /get JWT_SECRET\(\)/);
@@ -273,6 +279,8 @@ assert.match(popupText, /function renderBatchExecutionReview/);
 assert.match(popupText, /function openFirstBatchCard/);
 assert.match(popupText, /function copyBatchManualChecklist/);
 assert.match(popupText, /function copyBatchHandoffReport/);
+assert.match(popupText, /function readBackendMaintenance/);
+assert.match(popupText, /maintenance\.active\)[\s\S]{0,300}return;[\s\S]{0,100}ensureBackendBatchJob\(/);
 assert.match(popupText, /copyLedgerExport\("decision-handoff-packet"\)/);
 assert.match(popupText, /decisionHandoffPacketForLedgerRun/);
 assert.match(popupText, /function renderBatchProgress/);